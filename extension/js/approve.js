@@ -0,0 +1,54 @@
+/**
+ * @file approve.js
+ * @description Access prompt for external callers
+ *
+ * Opened by the background script in a small window when another
+ * extension or an allow-listed site calls the external API for the first
+ * time (see external-access.js). The caller origin is passed in the
+ * 'origin' query parameter. The answer is stored and the window closes;
+ * the background script picks the decision up from chrome.storage.
+ *
+ * @author llama-cpp-wasm-qwen3
+ * @license MIT
+ */
+
+import { getCallerDisplayName, setApproval } from './external-access.js';
+
+/**
+ * Initialize the prompt when DOM is ready.
+ * @listens DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', () => {
+  const origin = new URLSearchParams(location.search).get('origin');
+
+  /** @type {HTMLButtonElement} */
+  const allowButton = document.getElementById('allowButton');
+
+  /** @type {HTMLButtonElement} */
+  const denyButton = document.getElementById('denyButton');
+
+  if (!origin) {
+    window.close();
+    return;
+  }
+
+  document.getElementById('callerName').textContent = getCallerDisplayName(origin);
+  document.getElementById('callerOrigin').textContent = origin;
+  document.getElementById('extensionNotice').hidden = !origin.startsWith('chrome-extension://');
+
+  /**
+   * Stores the decision and closes the window.
+   *
+   * @async
+   * @param {boolean} allowed - Whether the caller may use the model
+   */
+  async function decide(allowed) {
+    allowButton.disabled = true;
+    denyButton.disabled = true;
+    await setApproval(origin, allowed);
+    window.close();
+  }
+
+  allowButton.addEventListener('click', () => decide(true));
+  denyButton.addEventListener('click', () => decide(false));
+});
@@ -14,24 +14,119 @@
  * Message Flow:
  * Popup -> Background -> Offscreen -> Background -> Popup
  *
+ * Streaming:
+ * Prompts sent over a 'prompt-stream' port receive start, delta, done and
+ * error events as the offscreen document generates tokens, preceded by
+ * queued events while other prompts run before them. A page that
+ * reopens a conversation can attach to its running generation, so the
+ * popup and the side panel can pick up where the other left off.
+ *
+ * Request Routing:
+ * Every prompt is assigned a request ID that travels to the offscreen
+ * document and back on each OFFSCREEN_* message, so concurrent callers
+ * each receive their own results. The offscreen document runs one
+ * request at a time; the chat pages go first, then context menu
+ * actions, then external callers (see getQueueSlot).
+ *
+ * Context Menus:
+ * Actions on selected text run as stored conversations, so their results
+ * can be read in the popup after the menu has closed.
+ *
+ * Settings:
+ * The offscreen document cannot read chrome.storage, so load settings are
+ * attached to OFFSCREEN_INIT_MODEL and inference settings to every
+ * OFFSCREEN_RUN_PROMPT. Changing a load setting or the selected model
+ * reloads the model. The system prompt is also sent with
+ * OFFSCREEN_INIT_MODEL and, when it changes, OFFSCREEN_SET_SYSTEM_PROMPT,
+ * so it can be evaluated while the model is idle.
+ *
+ * Worker Restarts:
+ * Chrome stops this service worker when idle, while the offscreen
+ * document keeps generating. The requests in flight are mirrored to
+ * chrome.storage.session; on wake-up they are restored and re-synced
+ * with the offscreen document through OFFSCREEN_GET_STATE, so chat pages
+ * can re-attach and context menu results are still reported. Replies
+ * are saved to the conversation by the offscreen document either way.
+ *
+ * Idle Unload:
+ * The offscreen document unloads a model left unused for the configured
+ * idle time. Its status becomes 'unloaded', and the next prompt reloads
+ * it from the OPFS cache before running. The offscreen document itself
+ * can be closed too, if the user chose so.
+ *
+ * External API:
+ * Other extensions can query the model status, run completions and
+ * chats, and compute embeddings, one-shot via runtime.sendMessage or
+ * streamed over a port. Each caller origin must be approved by the user
+ * first (see external-access.js). Web apps on the sites allowed on the
+ * options page use the OpenAI-shaped window.localLLM (see page-api.js),
+ * whose calls reach the same API through a content script port. The
+ * content scripts are registered for those sites at runtime.
+ *
  * References:
  * - Chrome Service Workers: https://developer.chrome.com/docs/extensions/develop/concepts/service-workers
  * - Chrome Offscreen API: https://developer.chrome.com/docs/extensions/reference/api/offscreen
+ * - Cross-extension messaging: https://developer.chrome.com/docs/extensions/develop/concepts/messaging#external
  *
  * @license MIT
  */
 
+import {
+  CUSTOM_PROMPT_MENU_ID,
+  buildActionPrompt,
+  getContextMenuAction,
+  registerContextMenus,
+  trimSelection
+} from './context-menus.js';
+import { createConversation } from './conversation-store.js';
+import {
+  EXTERNAL_APPROVALS_STORAGE_KEY,
+  ensureApproved,
+  getCallerOrigin,
+  syncPageApiScripts
+} from './external-access.js';
+import { getExternalOverrides, validateChatMessages } from './external-requests.js';
+import {
+  LOAD_SETTING_KEYS,
+  SELECTED_MODEL_STORAGE_KEY,
+  SETTINGS_STORAGE_KEY,
+  getIdleTimeoutMs,
+  getInferenceSettings,
+  getLoadConfig,
+  getSelectedModelUrl,
+  loadSettings
+} from './settings.js';
+
 /**
- * Relative path to the GGUF model file within the extension package.
+ * Relative path to the offscreen HTML document.
  * @const {string}
  */
-const MODEL_FILE_PATH = 'models/Qwen3-0.6B-UD-Q8_K_XL.gguf';
+const OFFSCREEN_DOCUMENT_PATH = 'html/offscreen.html';
 
 /**
- * Relative path to the offscreen HTML document.
+ * Name of the long-lived port used to stream generated tokens to the popup.
  * @const {string}
  */
-const OFFSCREEN_DOCUMENT_PATH = 'html/offscreen.html';
+const PROMPT_STREAM_PORT_NAME = 'prompt-stream';
+
+/**
+ * chrome.storage.session key of the pending request records.
+ * @const {string}
+ */
+const PENDING_REQUESTS_STORAGE_KEY = 'pendingRequests';
+
+/**
+ * Name of the port opened by the page API bridge content script for each
+ * window.localLLM call (see page-bridge.js).
+ * @const {string}
+ */
+const PAGE_API_PORT_NAME = 'page-api';
+
+/**
+ * Maximum number of texts embedded in one external request.
+ * @const {number}
+ */
+const MAX_EMBEDDING_INPUTS = 64;
 
 /**
  * Promise tracking offscreen document creation.
@@ -41,38 +136,76 @@ const OFFSCREEN_DOCUMENT_PATH = 'html/offscreen.html';
 let creatingOffscreenPromise = null;
 
 /**
- * Cached sendResponse callback from the popup.
- * Stored to enable asynchronous response delivery after model operations complete.
- * @type {Function|null}
+ * @typedef {Object} PendingRequest
+ * @property {Function|null} sendResponse - One-shot SEND_PROMPT callback
+ * @property {Set<chrome.runtime.Port>} ports - Ports receiving stream events
+ * @property {string|null} conversationId - Conversation being continued
+ * @property {string|null} origin - External caller, null for the extension's own pages
+ * @property {boolean} menuAction - Whether a context menu action started the request
+ * @property {string} response - Answer text streamed so far
+ * @property {string} reasoning - Reasoning text streamed so far
+ * @property {number} seq - Number of the last delta received
+ * @property {number} queuePosition - Position in the offscreen job queue, 0 once started
+ */
+
+/**
+ * In-flight prompt requests keyed by request ID.
+ * Entries are removed once the final response or error has been delivered.
+ * @type {Map<string, PendingRequest>}
  */
-let popupSendResponse = null;
+const pendingRequests = new Map();
+
+/**
+ * Whether the requests of the previous worker instance have been restored.
+ * Until then, offscreen messages about requests are held back.
+ * @type {boolean}
+ */
+let requestsRestored = false;
+
+/**
+ * Callbacks waiting for the model to finish loading.
+ * Settled by OFFSCREEN_MODEL_LOADED or OFFSCREEN_MODEL_INIT_ERROR.
+ * @type {Array<{resolve: Function, reject: Function}>}
+ */
+let modelReadyWaiters = [];
+
+/**
+ * Conversation IDs of context menu actions still running.
+ * Drives the toolbar badge.
+ * @type {Set<string>}
+ */
+const runningMenuActions = new Set();
+
+/**
+ * Open external ports and the origin of their caller.
+ * Disconnected when the caller's access is revoked.
+ * @type {Map<chrome.runtime.Port, string>}
+ */
+const externalPorts = new Map();
+
+/**
+ * Generates a unique identifier for a prompt request.
+ *
+ * @returns {string} Request ID
+ */
+function createRequestId() {
+  return crypto.randomUUID();
+}
 
 /**
  * Updates the popup UI and persists status to storage.
  *
- * Attempts direct callback first for immediate delivery when popup is open,
- * then falls back to broadcast via runtime.sendMessage.
+ * Model status is shared by every caller, so it is broadcast via
+ * runtime.sendMessage rather than routed to a single request.
  *
- * @param {string} status - Model status: 'not_loaded' | 'loading' | 'loaded' | 'error'
+ * @param {string} status - Model status: 'not_loaded' | 'loading' | 'loaded' | 'unloaded' | 'paused' | 'error'
  * @param {string} [message=''] - Human-readable status description
+ * @param {boolean} [downloading=false] - Whether the model file is being
+ *   downloaded, so the download can be paused
  */
-function updatePopupStatus(status, message = '') {
-  const payload = { action: 'UPDATE_MODEL_STATUS', status, message };
-
-  /*
-   * Try direct callback first (faster when popup is open).
-   * Fall back to broadcast if callback is stale.
-   */
-  if (popupSendResponse) {
-    try {
-      popupSendResponse(payload);
-    } catch (e) {
-      popupSendResponse = null;
-      chrome.runtime.sendMessage(payload).catch(() => {});
-    }
-  } else {
-    chrome.runtime.sendMessage(payload).catch(() => {});
-  }
+function updatePopupStatus(status, message = '', downloading = false) {
+  const payload = { action: 'UPDATE_MODEL_STATUS', status, message, downloading };
+  chrome.runtime.sendMessage(payload).catch(() => {});
 
   /* Persist state for popup restoration after close/reopen */
   chrome.storage.local.set({ modelStatus: status, modelStatusMessage: message });
@@ -125,11 +258,597 @@ async function setupOffscreenDocument() {
 
   try {
     await creatingOffscreenPromise;
+  } catch (error) {
+    /* Created meanwhile by a worker instance stopped before it finished */
+    if (!await hasOffscreenDocument(OFFSCREEN_DOCUMENT_PATH)) throw error;
   } finally {
     creatingOffscreenPromise = null;
   }
 }
 
+/**
+ * Creates the offscreen document and asks it to load the selected model
+ * with the current load settings.
+ *
+ * @async
+ * @throws {Error} If the offscreen document cannot be created
+ */
+async function loadModel() {
+  await setupOffscreenDocument();
+  const settings = await loadSettings();
+  chrome.runtime.sendMessage({
+    action: 'OFFSCREEN_INIT_MODEL',
+    modelUrl: await getSelectedModelUrl(),
+    loadConfig: getLoadConfig(settings),
+    systemPrompt: settings.systemPrompt,
+    idleTimeoutMs: getIdleTimeoutMs(settings)
+  }).catch(() => {});
+}
+
+/**
+ * Loads the model unless it is already loaded, and waits until it is ready.
+ *
+ * The offscreen document answers OFFSCREEN_INIT_MODEL with
+ * OFFSCREEN_MODEL_LOADED right away when the model is already loaded,
+ * and after loading otherwise.
+ *
+ * @async
+ * @throws {Error} If loading fails
+ */
+async function ensureModelLoaded() {
+  const ready = new Promise((resolve, reject) => {
+    modelReadyWaiters.push({ resolve, reject });
+  });
+
+  const { modelStatus } = await chrome.storage.local.get('modelStatus');
+  if (modelStatus === 'unloaded') {
+    updatePopupStatus('loading', 'Reloading...');
+  } else if (modelStatus !== 'loaded' && modelStatus !== 'loading') {
+    updatePopupStatus('loading', 'Initializing...');
+  }
+
+  try {
+    await loadModel();
+  } catch (error) {
+    updatePopupStatus('error', error.message);
+    settleModelReadyWaiters(error);
+  }
+  await ready;
+}
+
+/**
+ * Settles every pending ensureModelLoaded() call.
+ *
+ * @param {Error|null} error - Load error, or null on success
+ */
+function settleModelReadyWaiters(error) {
+  const waiters = modelReadyWaiters;
+  modelReadyWaiters = [];
+  for (const { resolve, reject } of waiters) {
+    if (error) {
+      reject(error);
+    } else {
+      resolve();
+    }
+  }
+}
+
+/**
+ * Shows on the toolbar icon whether context menu actions are running.
+ *
+ * @param {string} [outcome] - 'ready' when a result has just arrived,
+ *   'error' when an action failed
+ * @param {string} [message] - Error description for the tooltip
+ */
+function updateActionBadge(outcome, message = '') {
+  if (outcome === 'error') {
+    chrome.action.setBadgeText({ text: '!' });
+    chrome.action.setTitle({ title: `Qwen3 could not run the action: ${message}` });
+  } else if (runningMenuActions.size > 0) {
+    chrome.action.setBadgeText({ text: '…' });
+    chrome.action.setTitle({ title: 'Qwen3 is working on your selection' });
+  } else if (outcome === 'ready') {
+    chrome.action.setBadgeText({ text: '1' });
+    chrome.action.setTitle({ title: 'Result ready. Open to read it.' });
+  }
+}
+
+/**
+ * Reports the end of a context menu action on the toolbar badge and
+ * tells open chat pages that its conversation changed.
+ *
+ * @param {string} conversationId - Conversation of the action
+ * @param {Object} response - Final SEND_PROMPT payload
+ * @param {boolean} response.success - Whether the action succeeded
+ * @param {string} [response.message] - Error description
+ */
+function finishMenuAction(conversationId, response) {
+  runningMenuActions.delete(conversationId);
+  if (response.success) {
+    updateActionBadge('ready');
+  } else {
+    updateActionBadge('error', response.message);
+  }
+  chrome.runtime.sendMessage({
+    action: 'CONVERSATION_UPDATED',
+    conversationId
+  }).catch(() => {});
+}
+
+/**
+ * Posts a stream event to every port following a request.
+ *
+ * A port whose page has closed throws on postMessage; it is dropped so
+ * the remaining events of the generation are discarded quietly.
+ *
+ * @param {string} requestId - Request the event belongs to
+ * @param {Object} event - Stream event
+ * @param {string} event.type - 'queued' | 'start' | 'delta' | 'done' | 'error'
+ */
+function postToStream(requestId, event) {
+  const entry = pendingRequests.get(requestId);
+  if (!entry) return;
+  for (const port of entry.ports) {
+    try {
+      port.postMessage({ ...event, requestId });
+    } catch (e) {
+      entry.ports.delete(port);
+    }
+  }
+}
+
+/**
+ * Finishes a prompt request, delivering the final payload to both the
+ * one-shot callback and the stream ports, then removes it from the registry.
+ *
+ * @param {string} requestId - Request to finish
+ * @param {Object} response - Payload for the SEND_PROMPT callback
+ * @param {Object} event - Final stream event ('done' or 'error')
+ */
+function finishPrompt(requestId, response, event) {
+  const entry = pendingRequests.get(requestId);
+  if (!entry) return;
+
+  if (entry.sendResponse) {
+    try {
+      entry.sendResponse({ ...response, requestId });
+    } catch (e) {}
+  }
+  postToStream(requestId, event);
+  pendingRequests.delete(requestId);
+  persistPendingRequests();
+}
+
+/**
+ * Mirrors pendingRequests to chrome.storage.session, without the
+ * delivery channels, which cannot be stored.
+ */
+function persistPendingRequests() {
+  const records = {};
+  for (const [requestId, { conversationId, origin, menuAction }] of pendingRequests) {
+    records[requestId] = { conversationId, origin, menuAction };
+  }
+  chrome.storage.session.set({ [PENDING_REQUESTS_STORAGE_KEY]: records }).catch(() => {});
+}
+
+/**
+ * Restores the requests left by the previous worker instance.
+ *
+ * The offscreen document reports which requests it is still working on
+ * and the text generated so far, plus its latest results:
+ * - Running prompts of the extension's pages are registered again, with
+ *   no channels until a page re-attaches.
+ * - Context menu actions get their badge callback back.
+ * - External callers lost their ports with the previous instance, so
+ *   their requests are cancelled.
+ * - Results produced in the meantime are delivered; requests the
+ *   offscreen document no longer knows end with an error.
+ *
+ * @async
+ */
+async function restorePendingRequests() {
+  const { [PENDING_REQUESTS_STORAGE_KEY]: records = {} } = await chrome.storage.session.get(PENDING_REQUESTS_STORAGE_KEY);
+  if (Object.keys(records).length === 0) return;
+
+  let state = null;
+  if (await hasOffscreenDocument(OFFSCREEN_DOCUMENT_PATH)) {
+    state = await chrome.runtime.sendMessage({ action: 'OFFSCREEN_GET_STATE' }).catch(() => null);
+  }
+  const { requests = [], recentResults = [] } = state || {};
+  const openRequests = new Map(requests.map(progress => [progress.requestId, progress]));
+
+  for (const [requestId, record] of Object.entries(records)) {
+    const progress = openRequests.get(requestId);
+    if (record.origin) {
+      if (progress) {
+        chrome.runtime.sendMessage({ action: 'OFFSCREEN_CANCEL_PROMPT', requestId }).catch(() => {});
+      }
+      continue;
+    }
+
+    pendingRequests.set(requestId, {
+      sendResponse: record.menuAction
+        ? response => finishMenuAction(record.conversationId, response)
+        : null,
+      ports: new Set(),
+      conversationId: record.conversationId,
+      origin: null,
+      menuAction: record.menuAction,
+      response: progress?.response || '',
+      reasoning: progress?.reasoning || '',
+      seq: progress?.seq || 0,
+      queuePosition: 0,
+      job: null,
+      retried: false,
+      cancelled: false
+    });
+    if (record.menuAction) runningMenuActions.add(record.conversationId);
+  }
+  persistPendingRequests();
+
+  for (const message of recentResults) {
+    deliverResult(message);
+  }
+  for (const requestId of [...pendingRequests.keys()]) {
+    if (openRequests.has(requestId)) continue;
+    finishPrompt(
+      requestId,
+      { success: false, message: 'The request was interrupted' },
+      { type: 'error', message: 'The request was interrupted' }
+    );
+  }
+  updateActionBadge();
+}
+
+/**
+ * Settles once restorePendingRequests() has run.
+ * @type {Promise<void>}
+ */
+const requestsRestoring = restorePendingRequests()
+  .catch(error => console.error('Restoring pending requests failed:', error))
+  .finally(() => {
+    requestsRestored = true;
+  });
+
+/**
+ * Registers a request in pendingRequests.
+ *
+ * A model unloaded after being idle is reloaded first. Otherwise, if the
+ * offscreen document does not exist, the request is finished immediately
+ * with a 'Model not loaded' error. A model unloaded while the request is
+ * on its way is reloaded by retryAfterReload().
+ *
+ * @async
+ * @param {Object} channels - Delivery channels of the originator
+ * @param {Function} [channels.sendResponse] - One-shot result callback
+ * @param {chrome.runtime.Port} [channels.port] - Port receiving stream events
+ * @param {Object} [details={}] - Request details
+ * @param {string} [details.conversationId] - Conversation being continued
+ * @param {string} [details.origin] - External caller
+ * @param {boolean} [details.menuAction=false] - Started by a context menu action
+ * @returns {Promise<string|null>} The generated request ID, or null if
+ *   the request was finished right away
+ */
+async function registerRequest(channels, { conversationId, origin, menuAction = false } = {}) {
+  /* Restored records would be overwritten by persisting before */
+  await requestsRestoring;
+
+  const requestId = createRequestId();
+  pendingRequests.set(requestId, {
+    sendResponse: channels.sendResponse || null,
+    ports: new Set(channels.port ? [channels.port] : []),
+    conversationId: conversationId || null,
+    origin: origin || null,
+    menuAction,
+    response: '',
+    reasoning: '',
+    seq: 0,
+    queuePosition: 0,
+    job: null,
+    retried: false,
+    cancelled: false
+  });
+  persistPendingRequests();
+
+  const { modelStatus } = await chrome.storage.local.get('modelStatus');
+  if (modelStatus === 'unloaded') {
+    try {
+      await ensureModelLoaded();
+    } catch (error) {
+      finishPrompt(
+        requestId,
+        { success: false, message: error.message },
+        { type: 'error', message: error.message }
+      );
+      return null;
+    }
+  }
+
+  if (!await hasOffscreenDocument(OFFSCREEN_DOCUMENT_PATH)) {
+    finishPrompt(
+      requestId,
+      { success: false, message: 'Model not loaded' },
+      { type: 'error', message: 'Model not loaded' }
+    );
+    return null;
+  }
+  return requestId;
+}
+
+/**
+ * Returns the place of a request in the offscreen job queue: its
+ * priority, and the caller its per-caller limit counts against.
+ *
+ * @param {Object} details - Request details
+ * @param {string} [details.origin] - External caller
+ * @param {boolean} [details.menuAction] - Started by a context menu action
+ * @returns {{priority: string, caller: string}} 'interactive' for the chat
+ *   pages, 'background' for context menu actions, 'external' for callers
+ *   of the external API
+ */
+function getQueueSlot({ origin, menuAction }) {
+  if (origin) return { priority: 'external', caller: origin };
+  if (menuAction) return { priority: 'background', caller: 'context-menu' };
+  return { priority: 'interactive', caller: 'chat' };
+}
+
+/**
+ * Registers a prompt request and forwards it to the offscreen document.
+ *
+ * @async
+ * @param {Object} payload - Prompt to run
+ * @param {string} [payload.prompt] - User input text
+ * @param {string} [payload.conversationId] - Stored conversation to continue
+ * @param {Object} [payload.pageContext] - Page the question is about
+ * @param {Array<Object>} [payload.messages] - Complete chat history, for external callers
+ * @param {Object} [payload.overrides] - Generation settings replacing the stored ones
+ * @param {string} [payload.origin] - External caller
+ * @param {boolean} [payload.menuAction] - Started by a context menu action
+ * @param {Object} channels - Delivery channels of the originator
+ * @param {Function} [channels.sendResponse] - One-shot result callback
+ * @param {chrome.runtime.Port} [channels.port] - Port receiving stream events
+ * @returns {Promise<string|null>} The generated request ID
+ */
+async function submitPrompt({ prompt, conversationId, pageContext, messages, overrides, origin, menuAction }, channels) {
+  const requestId = await registerRequest(channels, { conversationId, origin, menuAction });
+  if (!requestId) return null;
+
+  const settings = await loadSettings();
+  sendJob(requestId, {
+    action: 'OFFSCREEN_RUN_PROMPT',
+    requestId,
+    prompt,
+    conversationId,
+    settings: { ...getInferenceSettings(settings), ...overrides },
+    pageContext,
+    messages,
+    ...getQueueSlot({ origin, menuAction })
+  });
+  return requestId;
+}
+
+/**
+ * Registers an embedding request and forwards it to the offscreen document.
+ *
+ * @async
+ * @param {string[]} input - Texts to embed
+ * @param {string} origin - External caller
+ * @param {Object} channels - Delivery channels of the originator
+ * @returns {Promise<string|null>} The generated request ID
+ */
+async function submitEmbeddings(input, origin, channels) {
+  const requestId = await registerRequest(channels, { origin });
+  if (!requestId) return null;
+
+  sendJob(requestId, {
+    action: 'OFFSCREEN_EMBED',
+    requestId,
+    input,
+    ...getQueueSlot({ origin })
+  });
+  return requestId;
+}
+
+/**
+ * Sends a job to the offscreen document and keeps the message with the
+ * request, so it can be sent again by retryAfterReload().
+ *
+ * @param {string} requestId - Request the job answers
+ * @param {Object} message - OFFSCREEN_RUN_PROMPT or OFFSCREEN_EMBED message
+ */
+function sendJob(requestId, message) {
+  const entry = pendingRequests.get(requestId);
+  if (entry) entry.job = message;
+  chrome.runtime.sendMessage(message).catch(() => {});
+}
+
+/**
+ * Reloads the model and sends a job again after the offscreen document
+ * answered it with OFFSCREEN_MODEL_NOT_LOADED_FOR_PROMPT.
+ *
+ * That happens when a request arrives while the idle unload is still
+ * running: the stored status is not 'unloaded' yet, so registerRequest()
+ * does not reload, and the job runs after the model is gone. Each job is
+ * retried once. Requests restored after a worker restart have no job to
+ * send and fail.
+ *
+ * @async
+ * @param {string} requestId - Request answered with OFFSCREEN_MODEL_NOT_LOADED_FOR_PROMPT
+ */
+async function retryAfterReload(requestId) {
+  const entry = pendingRequests.get(requestId);
+  if (!entry) return;
+
+  if (!entry.job || entry.retried) {
+    finishPrompt(
+      requestId,
+      { success: false, message: 'Model not loaded' },
+      { type: 'error', message: 'Model not loaded' }
+    );
+    return;
+  }
+
+  entry.retried = true;
+  try {
+    await ensureModelLoaded();
+  } catch (error) {
+    finishPrompt(
+      requestId,
+      { success: false, message: error.message },
+      { type: 'error', message: error.message }
+    );
+    return;
+  }
+
+  /* Finished in the meantime, e.g. its external caller was revoked */
+  if (!pendingRequests.has(requestId)) return;
+
+  /* The offscreen document did not know the request while it was reloading */
+  if (entry.cancelled && entry.job.action === 'OFFSCREEN_EMBED') {
+    finishPrompt(
+      requestId,
+      { success: false, message: 'Cancelled' },
+      { type: 'error', message: 'Cancelled' }
+    );
+    return;
+  }
+  if (entry.cancelled) {
+    finishPrompt(
+      requestId,
+      { success: true, response: '', reasoning: '', finishReason: 'cancelled' },
+      { type: 'done', response: '', reasoning: '', finishReason: 'cancelled' }
+    );
+    return;
+  }
+  chrome.runtime.sendMessage(entry.job).catch(() => {});
+}
+
+/**
+ * Asks the offscreen document to cancel a request, and remembers the
+ * cancellation for a request waiting in retryAfterReload().
+ *
+ * @param {string} requestId - Request to cancel
+ */
+function cancelRequest(requestId) {
+  const entry = pendingRequests.get(requestId);
+  if (entry) entry.cancelled = true;
+  chrome.runtime.sendMessage({ action: 'OFFSCREEN_CANCEL_PROMPT', requestId }).catch(() => {});
+}
+
+/**
+ * Delivers the final message of a request from the offscreen document.
+ *
+ * @param {Object} message - OFFSCREEN_MODEL_RESPONSE, OFFSCREEN_EMBEDDINGS,
+ *   OFFSCREEN_MODEL_RUN_ERROR or OFFSCREEN_MODEL_NOT_LOADED_FOR_PROMPT
+ */
+function deliverResult(message) {
+  const { action, requestId } = message;
+
+  if (action === 'OFFSCREEN_MODEL_RESPONSE') {
+    const { response, reasoning, finishReason } = message;
+    finishPrompt(
+      requestId,
+      { success: true, response, reasoning, finishReason },
+      { type: 'done', response, reasoning, finishReason }
+    );
+  } else if (action === 'OFFSCREEN_EMBEDDINGS') {
+    const { embeddings } = message;
+    finishPrompt(
+      requestId,
+      { success: true, embeddings },
+      { type: 'done', embeddings }
+    );
+  } else if (action === 'OFFSCREEN_MODEL_RUN_ERROR') {
+    finishPrompt(
+      requestId,
+      { success: false, message: message.error },
+      { type: 'error', message: message.error }
+    );
+  } else if (action === 'OFFSCREEN_MODEL_NOT_LOADED_FOR_PROMPT') {
+    retryAfterReload(requestId);
+  }
+}
+
+/**
+ * Attaches a port to the running generation of a conversation.
+ *
+ * The port first receives a start event carrying the text generated so
+ * far, or a queued event if the prompt has not started yet, then the
+ * remaining events. If nothing is running for the conversation, an idle
+ * event is posted instead.
+ *
+ * @param {chrome.runtime.Port} port - Port opened by the chat page
+ * @param {string} conversationId - Conversation shown by the page
+ */
+function attachToPrompt(port, conversationId) {
+  for (const [requestId, entry] of pendingRequests) {
+    if (entry.conversationId !== conversationId) continue;
+
+    entry.ports.add(port);
+    if (entry.queuePosition) {
+      port.postMessage({ type: 'queued', requestId, position: entry.queuePosition });
+    } else {
+      port.postMessage({
+        type: 'start',
+        requestId,
+        response: entry.response,
+        reasoning: entry.reasoning
+      });
+    }
+    return;
+  }
+  port.postMessage({ type: 'idle' });
+}
+
+/**
+ * Streaming prompt channel for the chat pages (popup and side panel).
+ *
+ * A page opens a 'prompt-stream' port and posts either
+ * - SEND_PROMPT ({ prompt, conversationId?, pageContext? }) to run a new prompt, or
+ * - ATTACH_PROMPT ({ conversationId }) to follow a running generation.
+ * Generation events are posted back on the same port, each tagged with
+ * the requestId of the prompt it belongs to:
+ * - { type: 'queued', requestId, position } while waiting for other prompts
+ * - { type: 'start', requestId, response?, reasoning? }
+ * - { type: 'delta', requestId, delta, reasoningDelta }
+ * - { type: 'done', requestId, response, reasoning, finishReason }
+ * - { type: 'error', requestId, message }
+ * - { type: 'idle' } when there was nothing to attach to
+ *
+ * 'page-api' ports of the window.localLLM bridge are served like
+ * external ports.
+ *
+ * @listens chrome.runtime.onConnect
+ * @param {chrome.runtime.Port} port - Port opened by the chat page
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  /* window.localLLM calls relayed by the content script of a web page */
+  if (port.name === PAGE_API_PORT_NAME && port.sender.tab) {
+    connectExternalPort(port);
+    return;
+  }
+  if (port.name !== PROMPT_STREAM_PORT_NAME) return;
+
+  port.onMessage.addListener((message) => {
+    if (message.action === 'SEND_PROMPT') {
+      submitPrompt(message, { port });
+    } else if (message.action === 'ATTACH_PROMPT') {
+      /* A page reconnecting after a worker restart attaches to a restored request */
+      requestsRestoring.then(() => attachToPrompt(port, message.conversationId));
+    }
+  });
+
+  /*
+   * Stop streaming to a closed page. The request stays registered until
+   * it finishes, so another page can attach to it.
+   */
+  port.onDisconnect.addListener(() => {
+    for (const entry of pendingRequests.values()) {
+      entry.ports.delete(port);
+    }
+  });
+});
+
 /**
  * Main message router for the extension.
  *
@@ -137,44 +856,69 @@ async function setupOffscreenDocument() {
  *
  * From Popup:
  * - PING: Health check, returns PONG
+ * - CHECK_OFFSCREEN_STATUS: Reports whether the offscreen document exists
  * - LOAD_MODEL: Triggers model initialization
  * - SEND_PROMPT: Sends prompt for completion
+ * - CANCEL_PROMPT: Stops a running completion by request ID
+ * - PAUSE_DOWNLOAD: Pauses the model download; LOAD_MODEL resumes it
+ * - LOAD_SESSION: Loads the saved session of the conversation opened
+ * - SAVE_SESSION: Saves the session of a conversation
+ * - CHECK_SESSION: Checks an imported session against the loaded model
  *
- * From Offscreen:
+ * From Offscreen (prompt messages carry the requestId they answer):
  * - OFFSCREEN_MODEL_LOADED: Model ready notification
+ * - OFFSCREEN_MODEL_RELOADING: Reload with another model or changed settings started
+ * - OFFSCREEN_MODEL_UNLOADED: Model unloaded after the idle timeout
  * - OFFSCREEN_PROGRESS: Download progress update
- * - OFFSCREEN_MODEL_RESPONSE: Generated text response
+ * - OFFSCREEN_DOWNLOAD_PAUSED: Model download paused, partial file kept
+ * - OFFSCREEN_QUEUE_POSITION: Queued request moved in the job queue
+ * - OFFSCREEN_STREAM_START: Generation started
+ * - OFFSCREEN_STREAM_DELTA: Newly generated answer and reasoning text
+ * - OFFSCREEN_MODEL_RESPONSE: Generated answer, reasoning and finish reason
+ * - OFFSCREEN_EMBEDDINGS: Embedding vectors for an external caller
  * - OFFSCREEN_MODEL_INIT_ERROR: Initialization failure
  * - OFFSCREEN_MODEL_RUN_ERROR: Inference failure
  * - OFFSCREEN_MODEL_NOT_LOADED_FOR_PROMPT: Model not ready
  * - OFFSCREEN_ALREADY_INITIALIZING: Duplicate init request
  *
+ * Offscreen messages about a request that arrive while the requests of
+ * the previous worker instance are being restored are handled afterwards.
+ *
  * @listens chrome.runtime.onMessage
  * @param {Object} request - Message payload with action property
  * @param {chrome.runtime.MessageSender} sender - Message sender information
  * @param {Function} sendResponse - Callback for synchronous or async response
  * @returns {boolean} True if response will be sent asynchronously
  */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+function handleMessage(request, sender, sendResponse) {
   const { action } = request;
 
+  if (!requestsRestored && request.requestId && action?.startsWith('OFFSCREEN_')) {
+    requestsRestoring.then(() => handleMessage(request, sender, sendResponse));
+    return false;
+  }
+
   /* Health check endpoint */
   if (action === 'PING') {
     sendResponse({ message: 'PONG' });
     return false;
   }
 
+  /* Debug check of the offscreen document from the popup or side panel */
+  if (action === 'CHECK_OFFSCREEN_STATUS') {
+    hasOffscreenDocument(OFFSCREEN_DOCUMENT_PATH)
+      .then(exists => sendResponse({ success: true, hasOffscreenDocument: exists }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; /* Async response */
+  }
+
   /* Model loading request from popup */
   if (action === 'LOAD_MODEL') {
     updatePopupStatus('loading', 'Initializing...');
 
     (async () => {
       try {
-        await setupOffscreenDocument();
-        chrome.runtime.sendMessage({
-          action: 'OFFSCREEN_INIT_MODEL',
-          modelUrl: chrome.runtime.getURL(MODEL_FILE_PATH)
-        }).catch(() => {});
+        await loadModel();
         sendResponse({ success: true });
       } catch (error) {
         updatePopupStatus('error', error.message);
@@ -187,67 +931,152 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
   /* Prompt submission from popup */
   if (action === 'SEND_PROMPT') {
+    /* Register callback for async response delivery */
+    submitPrompt(request, { sendResponse });
+
+    return true; /* Async response */
+  }
+
+  /* Pausing the model download from popup; the next LOAD_MODEL resumes it */
+  if (action === 'PAUSE_DOWNLOAD') {
+    chrome.runtime.sendMessage({ action: 'OFFSCREEN_PAUSE_DOWNLOAD' })
+      .then(response => sendResponse(response || { success: false }))
+      .catch(error => sendResponse({ success: false, message: error.message }));
+    return true; /* Async response */
+  }
+
+  /*
+   * The chat opened a conversation. Only a loaded model is asked to load
+   * its saved session; the offscreen document skips it when busy.
+   */
+  if (action === 'LOAD_SESSION') {
+    (async () => {
+      if (!await hasOffscreenDocument(OFFSCREEN_DOCUMENT_PATH)) return;
+      await chrome.runtime.sendMessage({ action: 'OFFSCREEN_LOAD_SESSION', conversationId: request.conversationId });
+    })().catch(() => {});
+    return false;
+  }
+
+  /* Sessions are saved and checked by the loaded model, never loading one for it */
+  if (action === 'SAVE_SESSION' || action === 'CHECK_SESSION') {
     (async () => {
       if (!await hasOffscreenDocument(OFFSCREEN_DOCUMENT_PATH)) {
-        sendResponse({ success: false, message: 'Model not loaded' });
-        return;
+        return { success: false, error: 'Load the model first.' };
       }
+      const message = action === 'SAVE_SESSION'
+        ? {
+            action: 'OFFSCREEN_SAVE_SESSION',
+            conversationId: request.conversationId,
+            settings: getInferenceSettings(await loadSettings())
+          }
+        : { action: 'OFFSCREEN_CHECK_SESSION', session: request.session };
+      return await chrome.runtime.sendMessage(message) || { success: false, error: 'No response' };
+    })()
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; /* Async response */
+  }
 
-      /* Store callback for async response delivery */
-      popupSendResponse = sendResponse;
-      chrome.runtime.sendMessage({
-        action: 'OFFSCREEN_RUN_PROMPT',
-        prompt: request.prompt
-      }).catch(() => {});
-    })();
+  /* Cancellation of a running prompt */
+  if (action === 'CANCEL_PROMPT') {
+    if (!pendingRequests.has(request.requestId)) {
+      sendResponse({ success: false, message: 'Unknown request' });
+      return false;
+    }
 
-    return true; /* Async response */
+    /* The partial response arrives later as OFFSCREEN_MODEL_RESPONSE */
+    cancelRequest(request.requestId);
+    sendResponse({ success: true });
+    return false;
   }
 
   /* --- Responses from offscreen document --- */
 
   if (action === 'OFFSCREEN_MODEL_LOADED') {
-    updatePopupStatus('loaded', 'Model ready!');
+    let message = request.modelName ? `Model ready: ${request.modelName}` : 'Model ready!';
+    if (request.reducedContextSize) {
+      message += ` (context reduced to ${request.reducedContextSize} tokens to fit in memory)`;
+    }
+    updatePopupStatus('loaded', message);
+    settleModelReadyWaiters(null);
+    return false;
+  }
+
+  if (action === 'OFFSCREEN_MODEL_RELOADING') {
+    updatePopupStatus('loading', `Reloading ${request.modelName}...`);
+    return false;
+  }
+
+  if (action === 'OFFSCREEN_MODEL_UNLOADED') {
+    updatePopupStatus('unloaded', 'Model unloaded to free memory. It will reload on demand.');
+
+    (async () => {
+      const settings = await loadSettings();
+      if (settings.closeOffscreenWhenIdle && await hasOffscreenDocument(OFFSCREEN_DOCUMENT_PATH)) {
+        await chrome.offscreen.closeDocument();
+      }
+    })().catch(error => console.error('Closing the offscreen document failed:', error));
     return false;
   }
 
   if (action === 'OFFSCREEN_PROGRESS') {
-    updatePopupStatus('loading', `Loading... ${request.percent}%`);
+    updatePopupStatus('loading', `Loading... ${request.percent}%`, request.downloading);
     return false;
   }
 
-  if (action === 'OFFSCREEN_MODEL_RESPONSE') {
-    if (popupSendResponse) {
-      try {
-        popupSendResponse({ success: true, response: request.response });
-      } catch (e) {}
-      popupSendResponse = null;
-    }
+  if (action === 'OFFSCREEN_DOWNLOAD_PAUSED') {
+    updatePopupStatus('paused', `Download paused at ${request.percent}%. Load the model to resume.`);
+    settleModelReadyWaiters(new Error('The model download is paused'));
     return false;
   }
 
-  if (action === 'OFFSCREEN_MODEL_INIT_ERROR') {
-    updatePopupStatus('error', request.error);
+  if (action === 'OFFSCREEN_QUEUE_POSITION') {
+    const entry = pendingRequests.get(request.requestId);
+    if (entry) entry.queuePosition = request.position;
+    postToStream(request.requestId, { type: 'queued', position: request.position });
     return false;
   }
 
-  if (action === 'OFFSCREEN_MODEL_RUN_ERROR') {
-    if (popupSendResponse) {
-      try {
-        popupSendResponse({ success: false, message: request.error });
-      } catch (e) {}
-      popupSendResponse = null;
-    }
+  if (action === 'OFFSCREEN_STREAM_START') {
+    const entry = pendingRequests.get(request.requestId);
+    if (entry) entry.queuePosition = 0;
+    postToStream(request.requestId, { type: 'start' });
     return false;
   }
 
-  if (action === 'OFFSCREEN_MODEL_NOT_LOADED_FOR_PROMPT') {
-    if (popupSendResponse) {
-      try {
-        popupSendResponse({ success: false, message: 'Model not loaded' });
-      } catch (e) {}
-      popupSendResponse = null;
-    }
+  if (action === 'OFFSCREEN_STREAM_DELTA') {
+    /* Kept so pages attaching later can catch up */
+    const entry = pendingRequests.get(request.requestId);
+    if (!entry) return false;
+
+    /* Already included in the text restored after a worker restart */
+    if (request.seq <= entry.seq) return false;
+
+    entry.seq = request.seq;
+    entry.response += request.delta || '';
+    entry.reasoning += request.reasoningDelta || '';
+
+    postToStream(request.requestId, {
+      type: 'delta',
+      delta: request.delta,
+      reasoningDelta: request.reasoningDelta
+    });
+    return false;
+  }
+
+  if (
+    action === 'OFFSCREEN_MODEL_RESPONSE' ||
+    action === 'OFFSCREEN_EMBEDDINGS' ||
+    action === 'OFFSCREEN_MODEL_RUN_ERROR' ||
+    action === 'OFFSCREEN_MODEL_NOT_LOADED_FOR_PROMPT'
+  ) {
+    deliverResult(request);
+    return false;
+  }
+
+  if (action === 'OFFSCREEN_MODEL_INIT_ERROR') {
+    updatePopupStatus('error', request.error);
+    settleModelReadyWaiters(new Error(request.error));
     return false;
   }
 
@@ -257,6 +1086,338 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 
   return false;
+}
+
+chrome.runtime.onMessage.addListener(handleMessage);
+
+/**
+ * Settings change handler.
+ *
+ * When a load-time setting or the selected model changes, the offscreen
+ * document is asked to reload the model. It ignores the request if no
+ * model is loaded, since the next load reads the new settings anyway.
+ * A changed idle unload time or system prompt is passed on as well.
+ *
+ * @listens chrome.storage.onChanged
+ * @param {Object<string, chrome.storage.StorageChange>} changes - Changed keys
+ * @param {string} areaName - Storage area of the change
+ */
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local') return;
+
+  let reloadNeeded = !!changes[SELECTED_MODEL_STORAGE_KEY];
+  let idleTimeoutChanged = false;
+  let systemPromptChanged = false;
+  if (changes[SETTINGS_STORAGE_KEY]) {
+    const { oldValue = {}, newValue = {} } = changes[SETTINGS_STORAGE_KEY];
+    reloadNeeded ||= LOAD_SETTING_KEYS.some(key => oldValue[key] !== newValue[key]);
+    idleTimeoutChanged = oldValue.idleUnloadMinutes !== newValue.idleUnloadMinutes;
+    systemPromptChanged = oldValue.systemPrompt !== newValue.systemPrompt;
+  }
+  if (!reloadNeeded && !idleTimeoutChanged && !systemPromptChanged) return;
+  if (!await hasOffscreenDocument(OFFSCREEN_DOCUMENT_PATH)) return;
+
+  const settings = await loadSettings();
+  if (idleTimeoutChanged) {
+    chrome.runtime.sendMessage({
+      action: 'OFFSCREEN_SET_IDLE_TIMEOUT',
+      idleTimeoutMs: getIdleTimeoutMs(settings)
+    }).catch(() => {});
+  }
+  if (systemPromptChanged) {
+    chrome.runtime.sendMessage({
+      action: 'OFFSCREEN_SET_SYSTEM_PROMPT',
+      systemPrompt: settings.systemPrompt
+    }).catch(() => {});
+  }
+  if (!reloadNeeded) return;
+
+  chrome.runtime.sendMessage({
+    action: 'OFFSCREEN_RELOAD_MODEL',
+    modelUrl: await getSelectedModelUrl(),
+    loadConfig: getLoadConfig(settings)
+  }).catch(() => {});
+});
+
+/**
+ * Runs a context menu action on the selected text.
+ *
+ * Fixed actions (Summarize, Explain, ...) start a new stored conversation,
+ * make it the active one and run the prompt, loading the model first if
+ * needed. The popup shows the conversation the next time it opens; the
+ * badge on the toolbar icon tells the user when the result is ready.
+ *
+ * The custom prompt action leaves the selection as a draft in the popup,
+ * where the user adds their own instruction.
+ *
+ * @listens chrome.contextMenus.onClicked
+ * @param {chrome.contextMenus.OnClickData} info - Click details
+ */
+chrome.contextMenus.onClicked.addListener(async (info) => {
+  const action = getContextMenuAction(info.menuItemId);
+  if (!action || !info.selectionText) return;
+
+  if (action.id === CUSTOM_PROMPT_MENU_ID) {
+    await chrome.storage.local.set({
+      promptDraft: `\n\n"""\n${trimSelection(info.selectionText)}\n"""`
+    });
+    chrome.action.openPopup().catch(() => {
+      chrome.action.setBadgeText({ text: '1' });
+      chrome.action.setTitle({ title: 'Open to finish your prompt' });
+    });
+    return;
+  }
+
+  const selection = trimSelection(info.selectionText).replace(/\s+/g, ' ');
+  const conversation = await createConversation({
+    title: `${action.title}: ${selection.slice(0, 30)}${selection.length > 30 ? '…' : ''}`
+  });
+  await chrome.storage.local.set({ activeConversationId: conversation.id });
+
+  runningMenuActions.add(conversation.id);
+  updateActionBadge();
+
+  /* Open the popup right away where the browser allows it */
+  chrome.action.openPopup().catch(() => {});
+
+  const finish = response => finishMenuAction(conversation.id, response);
+
+  try {
+    await ensureModelLoaded();
+  } catch (error) {
+    finish({ success: false, message: error.message });
+    return;
+  }
+
+  submitPrompt(
+    { prompt: buildActionPrompt(action, info.selectionText), conversationId: conversation.id, menuAction: true },
+    { sendResponse: finish }
+  );
+});
+
+/**
+ * Runs one request of the external API for an approved caller.
+ *
+ * Actions:
+ * - GET_STATUS: Model status and status message
+ * - LOAD_MODEL: Loads the model and waits until it is ready
+ * - COMPLETION ({ prompt, options? }): Answers a single prompt
+ * - CHAT ({ messages, options? }): Answers the last user message of a chat
+ * - EMBEDDINGS ({ input }): Embedding vectors of a string or an array of strings
+ * - CANCEL ({ requestId }): Stops one of the caller's running or queued requests
+ *
+ * COMPLETION, CHAT and EMBEDDINGS load the model if needed. Their result
+ * is delivered through the channels like a SEND_PROMPT result: one
+ * response for runtime.sendMessage, or queued, start, delta, done and
+ * error events on a port. Other actions return their response.
+ *
+ * @async
+ * @param {Object} request - Request from the caller
+ * @param {string} origin - Approved caller origin
+ * @param {Object} channels - Delivery channels of the caller
+ * @returns {Promise<Object|null>} Response, or null if it is delivered through the channels
+ * @throws {Error} If the request is invalid or the model cannot be loaded
+ */
+async function runExternalRequest(request, origin, channels) {
+  switch (request?.action) {
+    case 'GET_STATUS': {
+      const { modelStatus, modelStatusMessage } = await chrome.storage.local.get(['modelStatus', 'modelStatusMessage']);
+      return { success: true, status: modelStatus || 'not_loaded', message: modelStatusMessage || '' };
+    }
+
+    case 'LOAD_MODEL':
+      await ensureModelLoaded();
+      return { success: true };
+
+    case 'COMPLETION': {
+      if (typeof request.prompt !== 'string' || !request.prompt.trim()) {
+        throw new Error('prompt must be a non-empty string');
+      }
+      const overrides = getExternalOverrides(request.options, await loadSettings());
+      await ensureModelLoaded();
+      await submitPrompt({ prompt: request.prompt, overrides, origin }, channels);
+      return null;
+    }
+
+    case 'CHAT': {
+      const messages = validateChatMessages(request.messages);
+      const overrides = getExternalOverrides(request.options, await loadSettings());
+      await ensureModelLoaded();
+      await submitPrompt({ messages, overrides, origin }, channels);
+      return null;
+    }
+
+    case 'EMBEDDINGS': {
+      const input = typeof request.input === 'string' ? [request.input] : request.input;
+      if (!Array.isArray(input) || input.length === 0 || input.some(text => typeof text !== 'string')) {
+        throw new Error('input must be a string or a non-empty array of strings');
+      }
+      if (input.length > MAX_EMBEDDING_INPUTS) {
+        throw new Error(`At most ${MAX_EMBEDDING_INPUTS} inputs per request`);
+      }
+      await ensureModelLoaded();
+      await submitEmbeddings(input, origin, channels);
+      return null;
+    }
+
+    case 'CANCEL': {
+      const entry = pendingRequests.get(request.requestId);
+      if (!entry || entry.origin !== origin) {
+        return { success: false, message: 'Unknown request' };
+      }
+      cancelRequest(request.requestId);
+      return { success: true };
+    }
+
+    default:
+      throw new Error(`Unknown action: ${request?.action}`);
+  }
+}
+
+/**
+ * Checks the caller's approval, then runs an external request.
+ *
+ * Failures are delivered like results: as { success: false, message }
+ * to sendResponse, or as an error event on a port.
+ *
+ * @async
+ * @param {Object} request - Request from the caller
+ * @param {chrome.runtime.MessageSender} sender - Caller of the message or port
+ * @param {Object} channels - Delivery channels of the caller
+ */
+async function handleExternalRequest(request, sender, channels) {
+  let response;
+  try {
+    const origin = getCallerOrigin(sender);
+    if (!origin || !await ensureApproved(origin)) {
+      throw new Error('Access denied');
+    }
+    response = await runExternalRequest(request, origin, channels);
+  } catch (error) {
+    response = { success: false, message: error.message };
+  }
+  if (!response) return;
+
+  /* The caller may have closed its page or port while the request ran */
+  try {
+    if (channels.sendResponse) {
+      channels.sendResponse(response);
+    } else if (response.success) {
+      channels.port.postMessage({ type: 'result', action: request?.action, ...response });
+    } else {
+      channels.port.postMessage({ type: 'error', message: response.message });
+    }
+  } catch (e) {}
+}
+
+/**
+ * One-shot external API calls from other extensions and allow-listed sites.
+ * See runExternalRequest() for the actions.
+ *
+ * @listens chrome.runtime.onMessageExternal
+ * @param {Object} request - Request with action property
+ * @param {chrome.runtime.MessageSender} sender - Caller
+ * @param {Function} sendResponse - Receives the result
+ * @returns {boolean} True, the response is always sent asynchronously
+ */
+chrome.runtime.onMessageExternal.addListener((request, sender, sendResponse) => {
+  handleExternalRequest(request, sender, { sendResponse });
+  return true;
+});
+
+/**
+ * Serves the external API on a port.
+ *
+ * Callers post the same requests as with runtime.sendMessage. COMPLETION
+ * and CHAT results stream as queued, start, delta, done and error events,
+ * as for the chat pages; EMBEDDINGS end with a done event carrying the vectors;
+ * other actions answer with a result event. Events carry the requestId
+ * used to CANCEL. Requests still running when the port closes are
+ * cancelled.
+ *
+ * @param {chrome.runtime.Port} port - Port opened by the caller
+ */
+function connectExternalPort(port) {
+  externalPorts.set(port, getCallerOrigin(port.sender));
+  port.onMessage.addListener((message) => {
+    handleExternalRequest(message, port.sender, { port });
+  });
+
+  port.onDisconnect.addListener(() => {
+    externalPorts.delete(port);
+    for (const [requestId, entry] of pendingRequests) {
+      if (!entry.ports.delete(port) || entry.sendResponse || entry.ports.size > 0) continue;
+      cancelRequest(requestId);
+    }
+  });
+}
+
+/**
+ * Streaming external API for other extensions and allow-listed sites,
+ * on ports named 'prompt-stream'. See connectExternalPort().
+ *
+ * @listens chrome.runtime.onConnectExternal
+ * @param {chrome.runtime.Port} port - Port opened by the caller
+ */
+chrome.runtime.onConnectExternal.addListener((port) => {
+  if (port.name !== PROMPT_STREAM_PORT_NAME) {
+    port.disconnect();
+    return;
+  }
+  connectExternalPort(port);
+});
+
+/**
+ * Registers the window.localLLM content scripts for the allowed sites
+ * whose host permission is granted (see syncPageApiScripts).
+ */
+function updatePageApiScripts() {
+  syncPageApiScripts().catch((error) => {
+    console.error('Registering the page API scripts failed:', error);
+  });
+}
+
+/**
+ * Keeps the page API scripts in step with host permissions granted or
+ * removed on the options page or in the browser's extension settings.
+ *
+ * @listens chrome.permissions.onAdded
+ * @listens chrome.permissions.onRemoved
+ */
+chrome.permissions.onAdded.addListener(updatePageApiScripts);
+chrome.permissions.onRemoved.addListener(updatePageApiScripts);
+
+/**
+ * Approval change handler.
+ *
+ * The window.localLLM content scripts follow the allowed sites. When the
+ * user revokes or blocks a caller, its running requests are cancelled
+ * and its ports are closed.
+ *
+ * @listens chrome.storage.onChanged
+ * @param {Object<string, chrome.storage.StorageChange>} changes - Changed keys
+ * @param {string} areaName - Storage area of the change
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes[EXTERNAL_APPROVALS_STORAGE_KEY]) return;
+
+  updatePageApiScripts();
+
+  const { oldValue = {}, newValue = {} } = changes[EXTERNAL_APPROVALS_STORAGE_KEY];
+  const revoked = new Set(
+    Object.keys(oldValue).filter(origin => oldValue[origin].allowed && !newValue[origin]?.allowed)
+  );
+  if (revoked.size === 0) return;
+
+  for (const [requestId, entry] of pendingRequests) {
+    if (!revoked.has(entry.origin)) continue;
+    cancelRequest(requestId);
+  }
+  for (const [port, origin] of externalPorts) {
+    if (!revoked.has(origin)) continue;
+    externalPorts.delete(port);
+    port.disconnect();
+  }
 });
 
 /**
@@ -264,12 +1425,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  *
  * Initializes storage with default values on fresh install.
  * On update, preserves existing state but ensures model path is current.
+ * Context menus are (re)created on both.
  *
  * @listens chrome.runtime.onInstalled
  * @param {Object} details - Installation event details
  * @param {string} details.reason - 'install' | 'update' | 'chrome_update'
  */
 chrome.runtime.onInstalled.addListener((details) => {
+  registerContextMenus();
+  updatePageApiScripts();
+
   if (details.reason === 'install') {
     chrome.storage.local.set({
       modelStatus: 'not_loaded',
@@ -0,0 +1,943 @@
+/**
+ * @file chat-controller.js
+ * @description Chat UI controller shared by the popup and the side panel
+ *
+ * Manages the chat interface for the llama.cpp Chrome extension.
+ * Handles user input, model loading requests, and displays inference results.
+ * Both surfaces use the same element IDs; optional elements may be absent.
+ *
+ * Conversations are persisted in IndexedDB (see conversation-store.js).
+ * The active conversation ID is kept in chrome.storage.local so reopening
+ * the popup restores the same thread. Context menu actions set it too, so
+ * the popup opens on their result.
+ *
+ * With "Ask about the current page" checked, the readable text of the
+ * active tab is sent along with the next prompt (see page-context.js).
+ *
+ * Generations run in the offscreen document independently of the page
+ * that started them. When a conversation is opened while its reply is
+ * still being generated (e.g. the popup was closed and reopened), the
+ * controller re-attaches to the running generation and keeps streaming.
+ *
+ * The tokens the model evaluated for a conversation can be saved as a
+ * session, exported to a file and imported with their conversation (see
+ * session-store.js). Opening a conversation with a session evaluates its
+ * tokens again; it does not skip processing the prompt. Importing is
+ * refused if the session was saved with another model or load settings.
+ *
+ * @author llama-cpp-wasm-qwen3
+ * @license MIT
+ */
+
+import {
+  DEFAULT_CONVERSATION_SETTINGS,
+  createConversation,
+  deleteConversation,
+  getConversation,
+  listConversations,
+  renameConversation,
+  updateConversation
+} from './conversation-store.js';
+import { readPageContext } from './page-context.js';
+import { createSessionFile, deleteSession, readSession, readSessionFile, writeSession } from './session-store.js';
+
+/**
+ * Status texts that differ from the status name.
+ * @const {Object<string, string>}
+ */
+const MODEL_STATUS_LABELS = {
+  unloaded: 'unloaded (will reload on demand)',
+  paused: 'download paused'
+};
+
+/**
+ * Returns the text shown for a model status.
+ *
+ * @param {string} status - Model status from the background script
+ * @returns {string} Display text
+ */
+function getModelStatusLabel(status) {
+  return MODEL_STATUS_LABELS[status] || status;
+}
+
+/**
+ * Wires up the chat UI of the current page.
+ * Call once the DOM is ready.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.requestPageAccess=false] - Ask for host access
+ *   when page questions are enabled, for surfaces that outlive activeTab
+ */
+export function initChatController({ requestPageAccess = false } = {}) {
+  /** @type {HTMLTextAreaElement} */
+  const promptInput = document.getElementById('promptInput');
+
+  /** @type {HTMLButtonElement} */
+  const sendButton = document.getElementById('sendButton');
+
+  /** @type {HTMLButtonElement|null} */
+  const stopButton = document.getElementById('stopButton');
+
+  /** @type {HTMLButtonElement|null} */
+  const newChatButton = document.getElementById('newChatButton');
+
+  /** @type {HTMLButtonElement|null} */
+  const historyButton = document.getElementById('historyButton');
+
+  /** @type {HTMLButtonElement|null} */
+  const settingsButton = document.getElementById('settingsButton');
+
+  /** @type {HTMLDivElement|null} */
+  const conversationPanel = document.getElementById('conversationPanel');
+
+  /** @type {HTMLUListElement|null} */
+  const conversationList = document.getElementById('conversationList');
+
+  /** @type {HTMLDivElement|null} */
+  const conversationTitle = document.getElementById('conversationTitle');
+
+  /** @type {HTMLButtonElement|null} */
+  const saveSessionButton = document.getElementById('saveSessionButton');
+
+  /** @type {HTMLButtonElement|null} */
+  const exportSessionButton = document.getElementById('exportSessionButton');
+
+  /** @type {HTMLButtonElement|null} */
+  const importSessionButton = document.getElementById('importSessionButton');
+
+  /** @type {HTMLInputElement|null} */
+  const sessionFileInput = document.getElementById('sessionFileInput');
+
+  /** @type {HTMLInputElement|null} */
+  const thinkToggle = document.getElementById('thinkToggle');
+
+  /** @type {HTMLInputElement|null} */
+  const pageToggle = document.getElementById('pageToggle');
+
+  /** @type {HTMLButtonElement|null} */
+  const loadModelButton = document.getElementById('loadModelButton');
+
+  /** @type {HTMLButtonElement|null} */
+  const pauseDownloadButton = document.getElementById('pauseDownloadButton');
+
+  /** @type {HTMLDivElement} */
+  const responseArea = document.getElementById('responseArea');
+
+  /** @type {HTMLSpanElement} */
+  const modelStatusSpan = document.getElementById('modelStatus');
+
+  /** @type {HTMLButtonElement|null} */
+  const checkOffscreenButton = document.getElementById('checkOffscreenButton');
+
+  /** @type {HTMLSpanElement|null} */
+  const offscreenStatusSpan = document.getElementById('offscreenStatus');
+
+  // Bail out if required elements are missing
+  if (!promptInput || !sendButton || !responseArea || !modelStatusSpan) {
+    console.error('Missing required DOM elements');
+    return;
+  }
+
+  /**
+   * Appends a message to the response area.
+   *
+   * @param {string} text - Message content
+   * @param {string} [type='info'] - CSS class for styling: 'info' | 'error' | 'status' | 'user-prompt' | 'model-response'
+   * @returns {HTMLParagraphElement} The created paragraph element
+   */
+  function addMessage(text, type = 'info') {
+    const p = document.createElement('p');
+    p.textContent = text;
+    p.className = type;
+    responseArea.appendChild(p);
+    responseArea.scrollTop = responseArea.scrollHeight;
+    return p;
+  }
+
+  /**
+   * Appends a model reply with a collapsible section for its reasoning.
+   * The reasoning section stays hidden until there is reasoning to show.
+   *
+   * @returns {{setReasoning: function(string, boolean=): void, setContent: function(string): void}}
+   *   Setters updating the rendered reasoning and answer
+   */
+  function addModelResponse() {
+    const turn = document.createElement('div');
+    turn.className = 'model-turn';
+
+    const details = document.createElement('details');
+    details.className = 'reasoning';
+    details.hidden = true;
+    const summary = document.createElement('summary');
+    const reasoningEl = document.createElement('div');
+    reasoningEl.className = 'reasoning-text';
+    details.append(summary, reasoningEl);
+
+    const p = document.createElement('p');
+    p.className = 'model-response';
+    p.textContent = 'Model: ';
+
+    turn.append(details, p);
+    responseArea.appendChild(turn);
+    responseArea.scrollTop = responseArea.scrollHeight;
+
+    return {
+      setReasoning(text, streaming = false) {
+        details.hidden = !text.trim();
+        summary.textContent = streaming ? 'Thinking…' : 'Reasoning';
+        reasoningEl.textContent = text.trim();
+        responseArea.scrollTop = responseArea.scrollHeight;
+      },
+      setContent(text) {
+        p.textContent = `Model: ${text}`;
+        responseArea.scrollTop = responseArea.scrollHeight;
+      }
+    };
+  }
+
+  /**
+   * Sets the loading state of a button.
+   *
+   * @param {HTMLButtonElement|null} button - Target button element
+   * @param {boolean} loading - Whether to show loading state
+   */
+  function setButtonLoading(button, loading) {
+    if (!button) return;
+    button.disabled = loading;
+    button.classList.toggle('loading', loading);
+  }
+
+  /**
+   * Labels the Load Model button as Resume Download while a download is
+   * paused; loading the model continues the download.
+   *
+   * @param {string} status - Model status from the background script
+   */
+  function showLoadButtonLabel(status) {
+    if (!loadModelButton) return;
+    loadModelButton.textContent = status === 'paused' ? 'Resume Download' : 'Load Model';
+  }
+
+  /**
+   * Swaps the Send button for the Stop button while a generation runs.
+   *
+   * @param {boolean} generating - Whether a generation is in progress
+   */
+  function setGenerating(generating) {
+    if (!stopButton) {
+      setButtonLoading(sendButton, generating);
+      return;
+    }
+    sendButton.hidden = generating;
+    stopButton.hidden = !generating;
+    stopButton.disabled = false;
+  }
+
+  /**
+   * Cancel handler for the generation currently streaming, if any.
+   * @type {Function|null}
+   */
+  let cancelGeneration = null;
+
+  /**
+   * ID of the conversation shown in the chat.
+   * Null for a new chat that has not been saved yet.
+   * @type {string|null}
+   */
+  let activeConversationId = null;
+
+  /**
+   * Title shown for conversations that have not been named yet.
+   * @const {string}
+   */
+  const UNTITLED = 'New chat';
+
+  /**
+   * Makes a conversation the active one and remembers it across page opens.
+   *
+   * @param {string|null} id - Conversation ID, or null for a new chat
+   */
+  function setActiveConversation(id) {
+    activeConversationId = id;
+    chrome.storage.local.set({ activeConversationId: id });
+  }
+
+  /**
+   * Updates the heading above the chat with the conversation title.
+   *
+   * @param {import('./conversation-store.js').Conversation|null} conversation
+   */
+  function showConversationTitle(conversation) {
+    if (!conversationTitle) return;
+    conversationTitle.textContent = conversation?.title || UNTITLED;
+  }
+
+  /**
+   * Replaces the response area with the messages of a conversation.
+   *
+   * @param {import('./conversation-store.js').Conversation|null} conversation
+   */
+  function renderConversation(conversation) {
+    responseArea.textContent = '';
+    showConversationTitle(conversation);
+    if (thinkToggle) {
+      thinkToggle.checked = !!conversation?.settings?.thinking;
+    }
+
+    if (!conversation || conversation.messages.length === 0) {
+      addMessage("Enter your prompt below and click 'Send'.");
+      return;
+    }
+
+    for (const message of conversation.messages) {
+      if (message.role === 'user') {
+        addMessage(`You: ${message.content}`, 'user-prompt');
+        if (message.page) addMessage(`About: ${message.page.title || message.page.url}`, 'page-ref');
+      } else if (message.role === 'assistant') {
+        const reply = addModelResponse();
+        reply.setReasoning(message.reasoning || '');
+        reply.setContent(message.content);
+        if (message.finishReason === 'cancelled') {
+          addMessage('Generation stopped.', 'status');
+        }
+      }
+    }
+  }
+
+  /**
+   * Opens a stored conversation in the chat view and re-attaches to its
+   * generation if one is running. Otherwise the model is asked to load the
+   * saved session of the conversation, if it has one, while it is idle.
+   *
+   * @async
+   * @param {string} id - Conversation ID
+   */
+  async function openConversation(id) {
+    const conversation = await getConversation(id);
+    setActiveConversation(conversation ? id : null);
+    renderConversation(conversation);
+
+    /* A trailing user message means its reply may still be generating */
+    if (conversation?.messages.at(-1)?.role === 'user' && !cancelGeneration) {
+      followGeneration(id, { action: 'ATTACH_PROMPT', conversationId: id });
+    } else if (conversation) {
+      chrome.runtime.sendMessage({ action: 'LOAD_SESSION', conversationId: id }).catch(() => {});
+    }
+  }
+
+  /**
+   * Returns the active conversation ID, creating a record on first send.
+   *
+   * @async
+   * @returns {Promise<string>} Conversation ID
+   */
+  async function ensureActiveConversation() {
+    if (activeConversationId) return activeConversationId;
+
+    const conversation = await createConversation({
+      settings: { ...DEFAULT_CONVERSATION_SETTINGS, thinking: !!thinkToggle?.checked }
+    });
+    setActiveConversation(conversation.id);
+    return conversation.id;
+  }
+
+  /**
+   * Switches a list entry's title into an inline text field for renaming.
+   *
+   * @param {HTMLLIElement} item - List entry
+   * @param {import('./conversation-store.js').Conversation} conversation
+   */
+  function startRename(item, conversation) {
+    const titleEl = item.querySelector('.conversation-name');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'conversation-rename';
+    input.value = conversation.title;
+    titleEl.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const commit = async (save) => {
+      if (done) return;
+      done = true;
+      if (save && input.value.trim()) {
+        await renameConversation(conversation.id, input.value);
+        if (conversation.id === activeConversationId) {
+          showConversationTitle({ title: input.value.trim() });
+        }
+      }
+      renderConversationList();
+    };
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') commit(true);
+      if (e.key === 'Escape') commit(false);
+    });
+    input.addEventListener('blur', () => commit(true));
+  }
+
+  /**
+   * Rebuilds the conversation list, most recently updated first.
+   *
+   * @async
+   */
+  async function renderConversationList() {
+    if (!conversationList) return;
+
+    const conversations = await listConversations();
+    conversationList.textContent = '';
+
+    if (conversations.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'conversation-empty';
+      empty.textContent = 'No saved conversations.';
+      conversationList.appendChild(empty);
+      return;
+    }
+
+    for (const conversation of conversations) {
+      const item = document.createElement('li');
+      item.className = 'conversation-item';
+      item.classList.toggle('active', conversation.id === activeConversationId);
+
+      const name = document.createElement('span');
+      name.className = 'conversation-name';
+      name.textContent = conversation.title || UNTITLED;
+      name.title = new Date(conversation.updatedAt).toLocaleString();
+
+      const renameButton = document.createElement('button');
+      renameButton.className = 'icon-button';
+      renameButton.textContent = 'Rename';
+
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'icon-button';
+      deleteButton.textContent = 'Delete';
+
+      name.addEventListener('click', async () => {
+        if (cancelGeneration) return;
+        await openConversation(conversation.id);
+        conversationPanel.hidden = true;
+      });
+      renameButton.addEventListener('click', () => startRename(item, conversation));
+      deleteButton.addEventListener('click', async () => {
+        if (cancelGeneration && conversation.id === activeConversationId) return;
+        await deleteConversation(conversation.id);
+        deleteSession(conversation.id).catch(error => console.error('Deleting the session failed:', error));
+        if (conversation.id === activeConversationId) {
+          setActiveConversation(null);
+          renderConversation(null);
+        }
+        renderConversationList();
+      });
+
+      item.append(name, renameButton, deleteButton);
+      conversationList.appendChild(item);
+    }
+  }
+
+  // Restore persisted model status
+  chrome.storage.local.get('modelStatus', (data) => {
+    modelStatusSpan.textContent = getModelStatusLabel(data.modelStatus || 'not_loaded');
+    showLoadButtonLabel(data.modelStatus);
+  });
+
+  /* Opening a chat surface acknowledges context menu results */
+  chrome.action.setBadgeText({ text: '' });
+  chrome.action.setTitle({ title: chrome.runtime.getManifest().name });
+
+  // Restore the conversation that was open when the chat was last closed
+  chrome.storage.local.get(['activeConversationId', 'promptDraft'], (data) => {
+    /* A custom prompt from the context menu starts a new chat */
+    if (data.promptDraft) {
+      chrome.storage.local.remove('promptDraft');
+      setActiveConversation(null);
+      renderConversation(null);
+      promptInput.value = data.promptDraft;
+      promptInput.focus();
+      promptInput.setSelectionRange(0, 0);
+    } else if (data.activeConversationId) {
+      openConversation(data.activeConversationId);
+    } else {
+      showConversationTitle(null);
+    }
+  });
+
+  /**
+   * Handles status updates and finished context menu actions from the
+   * background script.
+   * @listens chrome.runtime.onMessage
+   */
+  chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === 'UPDATE_MODEL_STATUS') {
+      modelStatusSpan.textContent = getModelStatusLabel(request.status);
+
+      if (request.message) {
+        addMessage(`Status: ${request.message}`, 'status');
+      }
+
+      const isLoading = request.status === 'loading';
+      /* An unloaded model is reloaded by the next prompt */
+      const isReady = request.status === 'loaded' || request.status === 'unloaded';
+
+      setButtonLoading(loadModelButton, isLoading);
+      showLoadButtonLabel(request.status);
+      sendButton.disabled = isLoading || !isReady;
+
+      if (pauseDownloadButton) {
+        pauseDownloadButton.hidden = !request.downloading;
+        if (!request.downloading) pauseDownloadButton.disabled = false;
+      }
+    } else if (request.action === 'CONVERSATION_UPDATED') {
+      /* A context menu result arrived for the conversation on screen */
+      if (request.conversationId === activeConversationId && !cancelGeneration) {
+        openConversation(activeConversationId);
+      }
+    }
+    return false;
+  });
+
+  /**
+   * Streams a generation into the response area over a 'prompt-stream' port.
+   *
+   * Used both to send a new prompt and to re-attach to a generation that
+   * is still running for the conversation. While it runs, the Send button
+   * is replaced by Stop and cancelGeneration is set.
+   *
+   * @param {string} conversationId - Conversation the generation belongs to
+   * @param {Object} message - SEND_PROMPT or ATTACH_PROMPT port message
+   */
+  function followGeneration(conversationId, message) {
+    /** @type {ReturnType<typeof addModelResponse>|null} */
+    let reply = null;
+
+    /** @type {HTMLParagraphElement|null} */
+    let queueNotice = null;
+    let responseText = '';
+    let reasoningText = '';
+    let finished = false;
+
+    /** @type {string|null} */
+    let requestId = null;
+    let cancelRequested = false;
+
+    setGenerating(true);
+    const port = chrome.runtime.connect({ name: 'prompt-stream' });
+
+    /**
+     * Asks the background script to stop this generation.
+     * Deferred until the start event provides the request ID.
+     */
+    function requestCancel() {
+      cancelRequested = true;
+      if (!requestId) return;
+      chrome.runtime.sendMessage({ action: 'CANCEL_PROMPT', requestId }, () => {
+        void chrome.runtime.lastError;
+      });
+    }
+
+    /**
+     * Ends the stream, restoring the Send button.
+     */
+    function finish() {
+      queueNotice?.remove();
+      finished = true;
+      cancelGeneration = null;
+      setGenerating(false);
+      port.disconnect();
+    }
+
+    cancelGeneration = requestCancel;
+
+    port.onMessage.addListener((event) => {
+      if (event.type === 'queued') {
+        /* Other prompts run first; the request can already be cancelled */
+        requestId = event.requestId;
+        queueNotice ??= addMessage('', 'status');
+        queueNotice.textContent = `Queued, position ${event.position}`;
+        if (cancelRequested) requestCancel();
+      } else if (event.type === 'start') {
+        requestId = event.requestId;
+        queueNotice?.remove();
+        queueNotice = null;
+        reply = addModelResponse();
+
+        /* On re-attach, the start event carries the text generated so far */
+        reasoningText = event.reasoning || '';
+        responseText = event.response || '';
+        if (reasoningText) reply.setReasoning(reasoningText, true);
+        if (responseText) reply.setContent(responseText);
+
+        if (cancelRequested) requestCancel();
+      } else if (event.type === 'delta') {
+        if (!reply) reply = addModelResponse();
+        if (event.reasoningDelta) {
+          reasoningText += event.reasoningDelta;
+          reply.setReasoning(reasoningText, true);
+        }
+        if (event.delta) {
+          responseText += event.delta;
+          reply.setContent(responseText);
+        }
+      } else if (event.type === 'done') {
+        /* The final text is authoritative over the accumulated deltas */
+        if (!reply && (event.response || event.reasoning)) reply = addModelResponse();
+        reply?.setReasoning(event.reasoning || '');
+        reply?.setContent(event.response);
+        if (event.finishReason === 'cancelled') {
+          addMessage('Generation stopped.', 'status');
+        }
+        finish();
+
+        /* The first prompt names the conversation */
+        getConversation(conversationId).then(showConversationTitle);
+      } else if (event.type === 'idle') {
+        /*
+         * Nothing is running for the conversation. The reply may have
+         * been stored after the conversation was read; show it if so.
+         */
+        finish();
+        getConversation(conversationId).then((conversation) => {
+          if (conversationId !== activeConversationId) return;
+          if (conversation?.messages.at(-1)?.role === 'assistant') {
+            renderConversation(conversation);
+          }
+        });
+      } else if (event.type === 'error') {
+        addMessage(`Error: ${event.message || 'No response'}`, 'error');
+        finish();
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      if (finished) return;
+      finished = true;
+      cancelGeneration = null;
+      setGenerating(false);
+
+      /*
+       * The service worker was stopped mid-generation. The offscreen
+       * document keeps generating, so reopen the conversation, which
+       * re-attaches through the restarted worker.
+       */
+      if (requestId && conversationId === activeConversationId) {
+        openConversation(conversationId);
+        return;
+      }
+      addMessage('Error: Connection to background lost', 'error');
+    });
+
+    port.postMessage(message);
+  }
+
+  /**
+   * Sends the user's prompt to the model.
+   *
+   * Tokens are rendered as they are generated instead of waiting for the
+   * full response.
+   * @listens click
+   */
+  sendButton.addEventListener('click', async () => {
+    const prompt = promptInput.value.trim();
+    if (!prompt || cancelGeneration) return;
+
+    /* Placeholder for the first message is replaced by the chat */
+    if (!activeConversationId) responseArea.textContent = '';
+
+    addMessage(`You: ${prompt}`, 'user-prompt');
+    promptInput.value = '';
+    setGenerating(true);
+
+    let conversationId;
+    let pageContext;
+    try {
+      /*
+       * The page is sent once; follow-up questions reuse the copy stored
+       * with this message, so the toggle is cleared after sending.
+       */
+      if (pageToggle?.checked) {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab) throw new Error('No active tab');
+        pageContext = await readPageContext(tab.id);
+        addMessage(`About: ${pageContext.title || pageContext.url}`, 'page-ref');
+        pageToggle.checked = false;
+      }
+      conversationId = await ensureActiveConversation();
+    } catch (error) {
+      addMessage(`Error: ${error.message}`, 'error');
+      setGenerating(false);
+      return;
+    }
+
+    followGeneration(conversationId, { action: 'SEND_PROMPT', prompt, conversationId, pageContext });
+  });
+
+  /**
+   * Stops the running generation; the partial response is kept.
+   * @listens click
+   */
+  if (stopButton) {
+    stopButton.addEventListener('click', () => {
+      if (!cancelGeneration) return;
+      stopButton.disabled = true;
+      cancelGeneration();
+    });
+  }
+
+  /**
+   * Starts a new conversation so earlier turns no longer influence replies.
+   * The record is created when the first prompt is sent.
+   * @listens click
+   */
+  if (newChatButton) {
+    newChatButton.addEventListener('click', () => {
+      if (cancelGeneration) return;
+
+      setActiveConversation(null);
+      renderConversation(null);
+      if (conversationPanel) conversationPanel.hidden = true;
+    });
+  }
+
+  /**
+   * Saves the session of the active conversation.
+   *
+   * @async
+   * @returns {Promise<boolean>} True if it was saved
+   */
+  async function saveActiveSession() {
+    if (!activeConversationId) {
+      addMessage('Send a prompt before saving a session.', 'error');
+      return false;
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: 'SAVE_SESSION', conversationId: activeConversationId });
+    if (!response?.success) {
+      addMessage(`Session not saved: ${response?.error || 'Unknown error'}`, 'error');
+      return false;
+    }
+    addMessage(`Session saved (${response.tokens} tokens). Reopening the chat evaluates them again; it does not skip processing the prompt.`, 'status');
+    return true;
+  }
+
+  /**
+   * Saves the session of the active conversation, so opening it again
+   * evaluates its tokens without formatting the conversation first.
+   * @listens click
+   */
+  if (saveSessionButton) {
+    saveSessionButton.addEventListener('click', () => {
+      if (cancelGeneration) return;
+      saveActiveSession();
+    });
+  }
+
+  /**
+   * Saves the session of the active conversation and downloads it as a
+   * file, together with the conversation.
+   * @listens click
+   */
+  if (exportSessionButton) {
+    exportSessionButton.addEventListener('click', async () => {
+      if (cancelGeneration || !await saveActiveSession()) return;
+
+      const id = activeConversationId;
+      const [session, conversation] = await Promise.all([readSession(id), getConversation(id)]);
+      const url = URL.createObjectURL(createSessionFile(session, conversation));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${(conversation.title || 'chat').replace(/[\\/:*?"<>|]+/g, '_')}.session.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    });
+  }
+
+  /**
+   * Imports a session file as a new conversation and opens it. The
+   * session is checked against the loaded model first.
+   * @listens click
+   * @listens change
+   */
+  if (importSessionButton && sessionFileInput) {
+    importSessionButton.addEventListener('click', () => {
+      if (cancelGeneration) return;
+      sessionFileInput.click();
+    });
+
+    sessionFileInput.addEventListener('change', async () => {
+      const [file] = sessionFileInput.files;
+      sessionFileInput.value = '';
+      if (!file) return;
+
+      try {
+        const { session, conversation } = await readSessionFile(file);
+        const response = await chrome.runtime.sendMessage({ action: 'CHECK_SESSION', session });
+        if (!response?.success) {
+          throw new Error(response?.error || 'Unknown error');
+        }
+
+        const { id } = await createConversation({
+          title: conversation.title,
+          model: conversation.model,
+          settings: { ...DEFAULT_CONVERSATION_SETTINGS, ...conversation.settings }
+        });
+        await updateConversation(id, { messages: conversation.messages });
+        await writeSession(id, session);
+        await openConversation(id);
+        renderConversationList();
+        if (conversationPanel) conversationPanel.hidden = true;
+      } catch (error) {
+        addMessage(`Session not imported: ${error.message}`, 'error');
+      }
+    });
+  }
+
+  /**
+   * Switches thinking mode for the active conversation.
+   * A new chat picks the setting up when its record is created.
+   * @listens change
+   */
+  if (thinkToggle) {
+    thinkToggle.addEventListener('change', async () => {
+      if (!activeConversationId) return;
+
+      const conversation = await getConversation(activeConversationId);
+      if (!conversation) return;
+      await updateConversation(activeConversationId, {
+        settings: { ...conversation.settings, thinking: thinkToggle.checked }
+      });
+    });
+  }
+
+  /**
+   * Asks for access to all pages when page questions are enabled on a
+   * surface that cannot rely on activeTab. Must run in the user gesture.
+   * Declining still allows pages covered by activeTab.
+   * @listens change
+   */
+  if (pageToggle && requestPageAccess) {
+    pageToggle.addEventListener('change', () => {
+      if (!pageToggle.checked) return;
+      chrome.permissions.request({ origins: ['<all_urls>'] }).catch((error) => {
+        console.warn('Host access request failed:', error.message);
+      });
+    });
+  }
+
+  /**
+   * Toggles the list of saved conversations.
+   * @listens click
+   */
+  if (historyButton && conversationPanel) {
+    historyButton.addEventListener('click', () => {
+      conversationPanel.hidden = !conversationPanel.hidden;
+      if (!conversationPanel.hidden) renderConversationList();
+    });
+  }
+
+  /**
+   * Opens the extension options page.
+   * @listens click
+   */
+  if (settingsButton) {
+    settingsButton.addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
+  }
+
+  /**
+   * Initiates model loading.
+   * @listens click
+   */
+  if (loadModelButton) {
+    loadModelButton.addEventListener('click', () => {
+      addMessage('Loading model...', 'status');
+      modelStatusSpan.textContent = 'loading...';
+      setButtonLoading(loadModelButton, true);
+
+      chrome.runtime.sendMessage({ action: 'LOAD_MODEL' }, (response) => {
+        if (chrome.runtime.lastError) {
+          addMessage(`Error: ${chrome.runtime.lastError.message}`, 'error');
+          modelStatusSpan.textContent = 'error';
+          setButtonLoading(loadModelButton, false);
+          return;
+        }
+
+        if (response && response.success) {
+          addMessage(response.message, 'status');
+        } else {
+          addMessage(`Failed: ${response?.message || 'Unknown error'}`, 'error');
+          modelStatusSpan.textContent = 'error';
+          setButtonLoading(loadModelButton, false);
+        }
+      });
+    });
+  }
+
+  /**
+   * Pauses the model download. The downloaded part is kept, and the Load
+   * Model button, now labelled Resume Download, continues from there.
+   * @listens click
+   */
+  if (pauseDownloadButton) {
+    pauseDownloadButton.addEventListener('click', () => {
+      pauseDownloadButton.disabled = true;
+
+      chrome.runtime.sendMessage({ action: 'PAUSE_DOWNLOAD' }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          addMessage('The download could not be paused.', 'error');
+          pauseDownloadButton.disabled = false;
+        }
+      });
+    });
+  }
+
+  // Verify background script connection
+  chrome.runtime.sendMessage({ action: 'PING' }, (response) => {
+    if (chrome.runtime.lastError) {
+      addMessage('Background script not responding.', 'warning');
+    } else if (response?.message === 'PONG') {
+      addMessage('Connected to background.', 'status');
+    }
+  });
+
+  /**
+   * Debug button to check offscreen document status.
+   * @listens click
+   */
+  if (checkOffscreenButton && offscreenStatusSpan) {
+    checkOffscreenButton.addEventListener('click', () => {
+      addMessage('Checking offscreen status...', 'status');
+      offscreenStatusSpan.textContent = 'checking...';
+
+      chrome.runtime.sendMessage({ action: 'CHECK_OFFSCREEN_STATUS' }, (response) => {
+        if (chrome.runtime.lastError) {
+          offscreenStatusSpan.textContent = 'Error';
+          addMessage(`Error: ${chrome.runtime.lastError.message}`, 'error');
+          return;
+        }
+
+        if (response && response.success) {
+          const status = response.hasOffscreenDocument ? 'Active' : 'Not found';
+          offscreenStatusSpan.textContent = status;
+          addMessage(`Offscreen: ${status}`, 'status');
+        } else {
+          offscreenStatusSpan.textContent = 'Error';
+          addMessage(`Failed: ${response?.error || 'Unknown'}`, 'error');
+        }
+      });
+    });
+  }
+
+  /**
+   * Handle Enter key to submit prompt.
+   * Shift+Enter inserts a newline instead.
+   * @listens keypress
+   */
+  promptInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      sendButton.click();
+    }
+  });
+}
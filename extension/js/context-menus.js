@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Context Menu Actions
+ *
+ * Defines the entries shown in the page context menu when text is
+ * selected, and turns a selection into the prompt for each action.
+ * The background script registers the menus and runs the prompts.
+ *
+ * References:
+ * - chrome.contextMenus: https://developer.chrome.com/docs/extensions/reference/api/contextMenus
+ *
+ * @license MIT
+ */
+
+/**
+ * ID of the parent menu entry grouping all actions.
+ * @const {string}
+ */
+const PARENT_MENU_ID = 'qwen3';
+
+/**
+ * ID of the action that lets the user write their own prompt.
+ * @const {string}
+ */
+export const CUSTOM_PROMPT_MENU_ID = 'qwen3-custom';
+
+/**
+ * Maximum number of selected characters sent to the model.
+ * Longer selections are cut so the prompt fits the default context size.
+ * @const {number}
+ */
+const MAX_SELECTION_LENGTH = 4000;
+
+/**
+ * @typedef {Object} ContextMenuAction
+ * @property {string} id - Menu item ID
+ * @property {string} title - Menu label
+ * @property {function(string): string} [instruction] - Builds the instruction
+ *   placed before the selection; absent for the custom prompt
+ */
+
+/**
+ * Actions offered for selected text, in menu order.
+ * @const {ContextMenuAction[]}
+ */
+const CONTEXT_MENU_ACTIONS = [
+  {
+    id: 'qwen3-summarize',
+    title: 'Summarize',
+    instruction: () => 'Summarize the following text in a few sentences.'
+  },
+  {
+    id: 'qwen3-explain',
+    title: 'Explain',
+    instruction: () => 'Explain the following text in simple terms.'
+  },
+  {
+    id: 'qwen3-translate',
+    title: 'Translate',
+    instruction: language => `Translate the following text into ${language}. Reply with the translation only.`
+  },
+  {
+    id: 'qwen3-rewrite',
+    title: 'Rewrite',
+    instruction: () => 'Rewrite the following text to be clearer and more concise.'
+  },
+  {
+    id: CUSTOM_PROMPT_MENU_ID,
+    title: 'Custom prompt…'
+  }
+];
+
+/**
+ * Creates the context menu entries.
+ *
+ * Menus persist across service worker restarts, so this only needs to run
+ * when the extension is installed or updated.
+ *
+ * @async
+ */
+export async function registerContextMenus() {
+  await chrome.contextMenus.removeAll();
+
+  chrome.contextMenus.create({
+    id: PARENT_MENU_ID,
+    title: 'Qwen3: %s',
+    contexts: ['selection']
+  });
+
+  for (const action of CONTEXT_MENU_ACTIONS) {
+    chrome.contextMenus.create({
+      id: action.id,
+      parentId: PARENT_MENU_ID,
+      title: action.title,
+      contexts: ['selection']
+    });
+  }
+}
+
+/**
+ * Returns the action for a menu item ID.
+ *
+ * @param {string} menuItemId - ID from contextMenus.onClicked
+ * @returns {ContextMenuAction|null} The action, or null for foreign IDs
+ */
+export function getContextMenuAction(menuItemId) {
+  return CONTEXT_MENU_ACTIONS.find(action => action.id === menuItemId) || null;
+}
+
+/**
+ * Shortens a selection to MAX_SELECTION_LENGTH characters.
+ *
+ * @param {string} selection - Selected text
+ * @returns {string} Trimmed selection
+ */
+export function trimSelection(selection) {
+  const text = selection.trim();
+  return text.length > MAX_SELECTION_LENGTH
+    ? `${text.slice(0, MAX_SELECTION_LENGTH)}…`
+    : text;
+}
+
+/**
+ * Builds the prompt for an action on a selection.
+ *
+ * Translations target the browser's UI language.
+ *
+ * @param {ContextMenuAction} action - Action with an instruction
+ * @param {string} selection - Selected text
+ * @returns {string} Prompt text
+ */
+export function buildActionPrompt(action, selection) {
+  const locale = chrome.i18n.getUILanguage();
+  let language = locale;
+  try {
+    language = new Intl.DisplayNames(['en'], { type: 'language' }).of(locale) || locale;
+  } catch (e) {}
+
+  return `${action.instruction(language)}\n\n"""\n${trimSelection(selection)}\n"""`;
+}
@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Conversation History Store
+ *
+ * Persists chat conversations in IndexedDB so they survive the popup
+ * closing. The database lives on the extension origin and is shared by
+ * every extension context: the popup lists and manages conversations,
+ * while the offscreen document appends turns as it generates them.
+ *
+ * Record shape:
+ * - id: Unique conversation ID
+ * - title: User-visible title ('' until the first user message names it)
+ * - createdAt / updatedAt: Timestamps in milliseconds since the epoch
+ * - model: File name of the model that produced the latest reply
+ * - settings: Thinking mode, and the sampling settings of the latest reply
+ * - messages: Chat turns, oldest first
+ *
+ * References:
+ * - IndexedDB API: https://developer.mozilla.org/en-US/docs/Web/API/IndexedDB_API
+ *
+ * @license MIT
+ */
+
+import { DEFAULT_SETTINGS } from './settings.js';
+
+/**
+ * Name of the IndexedDB database.
+ * @const {string}
+ */
+const DB_NAME = 'qwen3-chat';
+
+/**
+ * Schema version of the database.
+ * @const {number}
+ */
+const DB_VERSION = 1;
+
+/**
+ * Object store holding conversation records.
+ * @const {string}
+ */
+const STORE_NAME = 'conversations';
+
+/**
+ * Maximum length of a title derived from the first user message.
+ * @const {number}
+ */
+const MAX_TITLE_LENGTH = 40;
+
+/**
+ * Sampling settings applied to conversations created without explicit ones.
+ * @const {ConversationSettings}
+ */
+export const DEFAULT_CONVERSATION_SETTINGS = Object.freeze({
+  nPredict: DEFAULT_SETTINGS.nPredict,
+  temp: DEFAULT_SETTINGS.temp,
+  top_k: DEFAULT_SETTINGS.top_k,
+  top_p: DEFAULT_SETTINGS.top_p,
+  thinking: false
+});
+
+/**
+ * @typedef {Object} ConversationSettings
+ * @property {number} nPredict - Maximum tokens generated per reply
+ * @property {number} temp - Sampling temperature
+ * @property {number} top_k - Top-K sampling cutoff
+ * @property {number} top_p - Nucleus sampling threshold
+ * @property {boolean} thinking - Whether Qwen3 reasons before answering
+ */
+
+/**
+ * @typedef {Object} StoredMessage
+ * @property {'system'|'user'|'assistant'} role - Author of the message
+ * @property {string} content - Message text, without any reasoning
+ * @property {number} createdAt - Timestamp in milliseconds
+ * @property {boolean} [thinking] - Thinking mode a user message was sent with
+ * @property {string} [reasoning] - Reasoning that preceded an assistant reply
+ * @property {string} [finishReason] - Finish reason of an assistant reply
+ * @property {{title: string, url: string, text: string}} [page] - Page a user
+ *   question was about, with the text as sent to the model
+ */
+
+/**
+ * @typedef {Object} Conversation
+ * @property {string} id - Unique conversation ID
+ * @property {string} title - Title, empty until named
+ * @property {number} createdAt - Creation timestamp in milliseconds
+ * @property {number} updatedAt - Last modification timestamp in milliseconds
+ * @property {string|null} model - Model file name of the latest reply
+ * @property {ConversationSettings} settings - Sampling settings
+ * @property {StoredMessage[]} messages - Chat turns, oldest first
+ */
+
+/**
+ * Promise for the shared database connection.
+ * @type {Promise<IDBDatabase>|null}
+ */
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the conversation database.
+ *
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('updatedAt', 'updatedAt');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Wraps an IDBRequest in a promise.
+ *
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Resolves with the request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs a callback inside a transaction on the conversations store.
+ *
+ * The returned promise settles when the transaction completes, so writes
+ * are durable once it resolves.
+ *
+ * @async
+ * @param {IDBTransactionMode} mode - 'readonly' | 'readwrite'
+ * @param {function(IDBObjectStore): Promise<*>} callback - Store operations
+ * @returns {Promise<*>} The value returned by the callback
+ */
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  const result = await callback(transaction.objectStore(STORE_NAME));
+  await done;
+  return result;
+}
+
+/**
+ * Reads a conversation, applies a change and writes it back atomically.
+ *
+ * @async
+ * @param {string} id - Conversation ID
+ * @param {function(Conversation): void} mutate - Modifies the record in place
+ * @returns {Promise<Conversation>} The updated record
+ * @throws {Error} If the conversation does not exist
+ */
+async function updateRecord(id, mutate) {
+  return withStore('readwrite', async (store) => {
+    const conversation = await promisifyRequest(store.get(id));
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+
+    mutate(conversation);
+    conversation.updatedAt = Date.now();
+    await promisifyRequest(store.put(conversation));
+    return conversation;
+  });
+}
+
+/**
+ * Creates an empty conversation.
+ *
+ * @async
+ * @param {Object} [options]
+ * @param {string} [options.title=''] - Initial title
+ * @param {string|null} [options.model=null] - Model file name
+ * @param {ConversationSettings} [options.settings] - Sampling settings
+ * @returns {Promise<Conversation>} The new record
+ */
+export async function createConversation({
+  title = '',
+  model = null,
+  settings = DEFAULT_CONVERSATION_SETTINGS
+} = {}) {
+  const now = Date.now();
+  const conversation = {
+    id: crypto.randomUUID(),
+    title,
+    createdAt: now,
+    updatedAt: now,
+    model,
+    settings: { ...settings },
+    messages: []
+  };
+
+  await withStore('readwrite', store => promisifyRequest(store.add(conversation)));
+  return conversation;
+}
+
+/**
+ * Reads a single conversation.
+ *
+ * @async
+ * @param {string} id - Conversation ID
+ * @returns {Promise<Conversation|null>} The record, or null if not found
+ */
+export async function getConversation(id) {
+  const conversation = await withStore('readonly', store => promisifyRequest(store.get(id)));
+  return conversation || null;
+}
+
+/**
+ * Lists all conversations, most recently updated first.
+ *
+ * @async
+ * @returns {Promise<Conversation[]>} All records
+ */
+export async function listConversations() {
+  const conversations = await withStore(
+    'readonly',
+    store => promisifyRequest(store.index('updatedAt').getAll())
+  );
+  return conversations.reverse();
+}
+
+/**
+ * Changes the title of a conversation.
+ *
+ * @async
+ * @param {string} id - Conversation ID
+ * @param {string} title - New title
+ * @returns {Promise<Conversation>} The updated record
+ */
+export async function renameConversation(id, title) {
+  return updateRecord(id, (conversation) => {
+    conversation.title = title.trim();
+  });
+}
+
+/**
+ * Applies arbitrary field changes to a conversation.
+ *
+ * @async
+ * @param {string} id - Conversation ID
+ * @param {Partial<Conversation>} changes - Fields to overwrite
+ * @returns {Promise<Conversation>} The updated record
+ */
+export async function updateConversation(id, changes) {
+  return updateRecord(id, (conversation) => {
+    Object.assign(conversation, changes, { id });
+  });
+}
+
+/**
+ * Deletes a conversation and all its messages.
+ *
+ * @async
+ * @param {string} id - Conversation ID
+ */
+export async function deleteConversation(id) {
+  await withStore('readwrite', store => promisifyRequest(store.delete(id)));
+}
+
+/**
+ * Appends a message to a conversation.
+ *
+ * An untitled conversation is named after its first user message.
+ *
+ * @async
+ * @param {string} id - Conversation ID
+ * @param {Omit<StoredMessage, 'createdAt'>} message - Message to append
+ * @param {Partial<Conversation>} [changes={}] - Fields to update in the same write
+ * @returns {Promise<Conversation>} The updated record
+ */
+export async function appendMessage(id, message, changes = {}) {
+  return updateRecord(id, (conversation) => {
+    Object.assign(conversation, changes, { id });
+    conversation.messages.push({ ...message, createdAt: Date.now() });
+
+    if (!conversation.title && message.role === 'user') {
+      const title = message.content.replace(/\s+/g, ' ').trim();
+      conversation.title = title.length > MAX_TITLE_LENGTH
+        ? `${title.slice(0, MAX_TITLE_LENGTH - 1)}…`
+        : title;
+    }
+  });
+}
+
+/**
+ * Removes a message from a conversation.
+ *
+ * Used to take back a question whose reply failed, so the stored turns
+ * keep alternating between user and assistant.
+ *
+ * @async
+ * @param {string} id - Conversation ID
+ * @param {number} createdAt - Timestamp identifying the message
+ * @returns {Promise<Conversation>} The updated record
+ */
+export async function removeMessage(id, createdAt) {
+  return updateRecord(id, (conversation) => {
+    conversation.messages = conversation.messages.filter(message => message.createdAt !== createdAt);
+  });
+}
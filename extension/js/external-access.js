@@ -0,0 +1,290 @@
+/**
+ * @fileoverview External Access Approvals
+ *
+ * Other extensions and allow-listed web sites can use the local model
+ * through the external API of the background script. Each caller origin
+ * must be approved by the user first; the decision is stored in
+ * chrome.storage.local and can be revoked on the options page.
+ *
+ * externally_connectable lists "ids": ["*"], so every installed extension
+ * can reach the API. The approval prompt says when the caller is an
+ * extension rather than a site.
+ *
+ * Sites are added on the options page, which asks for an optional host
+ * permission for the site and allows it. The window.localLLM content
+ * scripts (page-bridge.js and page-api.js) are registered at runtime for
+ * the allowed sites that have a granted host permission (see
+ * syncPageApiScripts).
+ *
+ * Origins are 'https://example.com' for web pages and
+ * 'chrome-extension://<id>' for other extensions.
+ *
+ * References:
+ * - externally_connectable: https://developer.chrome.com/docs/extensions/reference/manifest/externally-connectable
+ * - Dynamic content scripts: https://developer.chrome.com/docs/extensions/reference/api/scripting#method-registerContentScripts
+ *
+ * @license MIT
+ */
+
+/**
+ * Key under which approvals are stored in chrome.storage.local.
+ * @const {string}
+ */
+export const EXTERNAL_APPROVALS_STORAGE_KEY = 'externalApprovals';
+
+/**
+ * Relative path to the page asking the user to approve a caller.
+ * @const {string}
+ */
+const APPROVAL_PAGE_PATH = 'html/approve.html';
+
+/**
+ * IDs of the registered window.localLLM content scripts.
+ * @const {{bridge: string, api: string}}
+ */
+const PAGE_API_SCRIPT_IDS = Object.freeze({ bridge: 'page-bridge', api: 'page-api' });
+
+/**
+ * @typedef {Object} ExternalApproval
+ * @property {string} origin - Caller origin
+ * @property {boolean} allowed - Whether the user allowed access
+ * @property {number} decidedAt - Timestamp of the decision
+ */
+
+/**
+ * Approval prompts currently open, keyed by origin.
+ * Concurrent calls from one origin share a single prompt.
+ * @type {Map<string, Promise<boolean>>}
+ */
+const openPrompts = new Map();
+
+/**
+ * Returns the origin identifying the caller of an external message.
+ *
+ * @param {chrome.runtime.MessageSender} sender - Sender of the message or port
+ * @returns {string|null} Caller origin, or null if it cannot be determined
+ */
+export function getCallerOrigin(sender) {
+  if (sender.origin && sender.origin !== 'null') return sender.origin;
+  if (sender.url) {
+    try {
+      return new URL(sender.url).origin;
+    } catch (e) {}
+  }
+  return sender.id ? `chrome-extension://${sender.id}` : null;
+}
+
+/**
+ * Returns a readable name for a caller origin.
+ *
+ * @param {string} origin - Caller origin
+ * @returns {string} Host name, or 'Extension <id>' for extensions
+ */
+export function getCallerDisplayName(origin) {
+  const url = new URL(origin);
+  return url.protocol === 'chrome-extension:' ? `Extension ${url.host}` : url.host;
+}
+
+/**
+ * Reads all stored approvals.
+ *
+ * @async
+ * @returns {Promise<Object<string, ExternalApproval>>} Approvals keyed by origin
+ */
+async function readApprovals() {
+  const data = await chrome.storage.local.get(EXTERNAL_APPROVALS_STORAGE_KEY);
+  return data[EXTERNAL_APPROVALS_STORAGE_KEY] || {};
+}
+
+/**
+ * Lists the stored decisions, most recent first.
+ *
+ * @async
+ * @returns {Promise<ExternalApproval[]>} Allowed and blocked callers
+ */
+export async function listApprovals() {
+  const approvals = await readApprovals();
+  return Object.values(approvals).sort((a, b) => b.decidedAt - a.decidedAt);
+}
+
+/**
+ * Returns the stored decision for a caller.
+ *
+ * @async
+ * @param {string} origin - Caller origin
+ * @returns {Promise<boolean|null>} True if allowed, false if blocked,
+ *   null if the user has not decided yet
+ */
+export async function getApproval(origin) {
+  const approvals = await readApprovals();
+  return approvals[origin] ? approvals[origin].allowed : null;
+}
+
+/**
+ * Stores the user's decision for a caller.
+ *
+ * @async
+ * @param {string} origin - Caller origin
+ * @param {boolean} allowed - Whether access is allowed
+ */
+export async function setApproval(origin, allowed) {
+  const approvals = await readApprovals();
+  approvals[origin] = { origin, allowed, decidedAt: Date.now() };
+  await chrome.storage.local.set({ [EXTERNAL_APPROVALS_STORAGE_KEY]: approvals });
+}
+
+/**
+ * Forgets the decision for a caller. Its next call asks the user again.
+ *
+ * @async
+ * @param {string} origin - Caller origin
+ */
+export async function revokeApproval(origin) {
+  const approvals = await readApprovals();
+  delete approvals[origin];
+  await chrome.storage.local.set({ [EXTERNAL_APPROVALS_STORAGE_KEY]: approvals });
+
+  if (isSiteOrigin(origin)) {
+    await chrome.permissions.remove({ origins: [getSitePattern(origin)] });
+  }
+}
+
+/**
+ * Whether an origin is a web site, as opposed to an extension.
+ *
+ * @param {string} origin - Caller origin
+ * @returns {boolean} True for http: and https: origins
+ */
+export function isSiteOrigin(origin) {
+  return /^https?:\/\//.test(origin);
+}
+
+/**
+ * Returns the match pattern covering all pages of a site.
+ *
+ * @param {string} origin - Site origin
+ * @returns {string} Match pattern, e.g. 'https://example.com/*'
+ */
+function getSitePattern(origin) {
+  return `${origin}/*`;
+}
+
+/**
+ * Allows a site to use window.localLLM.
+ *
+ * Asks for the optional host permission the content scripts need, so it
+ * must be called from a user gesture. The site is approved only if the
+ * permission is granted.
+ *
+ * @async
+ * @param {string} url - Address or origin of the site
+ * @returns {Promise<boolean>} True if the permission was granted
+ * @throws {Error} If the address is not an http: or https: URL
+ */
+export async function addSite(url) {
+  const { origin } = new URL(url);
+  if (!isSiteOrigin(origin)) {
+    throw new Error('Enter an http:// or https:// address');
+  }
+
+  const granted = await chrome.permissions.request({ origins: [getSitePattern(origin)] });
+  if (granted) {
+    await setApproval(origin, true);
+  }
+  return granted;
+}
+
+/**
+ * Registers the window.localLLM content scripts for the allowed sites
+ * whose host permission is granted, replacing earlier registrations.
+ *
+ * Called by the background script when approvals or permissions change.
+ * Registrations persist across browser sessions.
+ *
+ * @async
+ */
+export async function syncPageApiScripts() {
+  const [approvals, permissions] = await Promise.all([readApprovals(), chrome.permissions.getAll()]);
+  const granted = new Set(permissions.origins || []);
+  const matches = Object.values(approvals)
+    .filter(approval => approval.allowed && isSiteOrigin(approval.origin))
+    .map(approval => getSitePattern(approval.origin))
+    .filter(pattern => granted.has(pattern));
+
+  const ids = Object.values(PAGE_API_SCRIPT_IDS);
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: registered.map(script => script.id) });
+  }
+  if (matches.length === 0) return;
+
+  await chrome.scripting.registerContentScripts([
+    {
+      id: PAGE_API_SCRIPT_IDS.bridge,
+      matches,
+      js: ['js/page-bridge.js'],
+      runAt: 'document_start'
+    },
+    {
+      id: PAGE_API_SCRIPT_IDS.api,
+      matches,
+      js: ['js/page-api.js'],
+      runAt: 'document_start',
+      world: 'MAIN'
+    }
+  ]);
+}
+
+/**
+ * Asks the user whether a caller may use the model, unless they have
+ * decided before.
+ *
+ * Opens the approval page in a small window and waits until the user
+ * answers or closes it. Closing the window denies this call without
+ * storing a decision. Only available in the service worker.
+ *
+ * @async
+ * @param {string} origin - Caller origin
+ * @returns {Promise<boolean>} True if the caller is allowed
+ */
+export async function ensureApproved(origin) {
+  const approval = await getApproval(origin);
+  if (approval !== null) return approval;
+
+  if (!openPrompts.has(origin)) {
+    const prompt = promptForApproval(origin).finally(() => openPrompts.delete(origin));
+    openPrompts.set(origin, prompt);
+  }
+  return openPrompts.get(origin);
+}
+
+/**
+ * Opens the approval window and resolves with the user's answer.
+ *
+ * @async
+ * @param {string} origin - Caller origin
+ * @returns {Promise<boolean>} True if the user allowed access
+ */
+async function promptForApproval(origin) {
+  const url = chrome.runtime.getURL(`${APPROVAL_PAGE_PATH}?origin=${encodeURIComponent(origin)}`);
+  const win = await chrome.windows.create({ url, type: 'popup', width: 420, height: 320, focused: true });
+
+  return new Promise((resolve) => {
+    const onChanged = (changes, areaName) => {
+      const decision = changes[EXTERNAL_APPROVALS_STORAGE_KEY]?.newValue?.[origin];
+      if (areaName !== 'local' || !decision) return;
+      done(decision.allowed);
+    };
+    const onRemoved = (windowId) => {
+      if (windowId === win.id) done(false);
+    };
+    const done = (allowed) => {
+      chrome.storage.onChanged.removeListener(onChanged);
+      chrome.windows.onRemoved.removeListener(onRemoved);
+      resolve(allowed);
+    };
+
+    chrome.storage.onChanged.addListener(onChanged);
+    chrome.windows.onRemoved.addListener(onRemoved);
+  });
+}
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview External Request Checks
+ *
+ * Checks the parts of an external API request (see background.js) that
+ * do not depend on the browser: the chat history of a CHAT request and
+ * the generation options of COMPLETION and CHAT requests.
+ *
+ * @license MIT
+ */
+
+import { validateSettings } from './settings.js';
+
+/**
+ * Generation settings an external caller may override per request.
+ * @const {string[]}
+ */
+const EXTERNAL_OPTION_KEYS = ['nPredict', 'temp', 'top_k', 'top_p'];
+
+/**
+ * Checks the chat history sent by an external caller.
+ *
+ * @param {*} messages - Value of the CHAT request's messages field
+ * @returns {Array<{role: string, content: string}>} Messages with only role and content
+ * @throws {Error} If the history is malformed or does not end with a user message
+ */
+export function validateChatMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('messages must be a non-empty array');
+  }
+
+  const checked = messages.map(({ role, content } = {}, index) => {
+    if (!['system', 'user', 'assistant'].includes(role)) {
+      throw new Error(`messages[${index}].role must be 'system', 'user' or 'assistant'`);
+    }
+    if (role === 'system' && index > 0) {
+      throw new Error('Only the first message can be a system message');
+    }
+    if (typeof content !== 'string') {
+      throw new Error(`messages[${index}].content must be a string`);
+    }
+    return { role, content };
+  });
+
+  if (checked[checked.length - 1].role !== 'user') {
+    throw new Error('The last message must be a user message');
+  }
+  return checked;
+}
+
+/**
+ * Turns the options of an external request into settings overrides.
+ *
+ * Values are checked against the same rules as the options page, in
+ * combination with the stored settings (e.g. nPredict below n_ctx).
+ * Options left out are not overridden: without thinking, the thinking
+ * mode of a new chat applies, as in the popup.
+ *
+ * @param {Object} [options={}] - nPredict, temp, top_k, top_p and thinking
+ * @param {import('./settings.js').Settings} settings - Stored settings
+ * @returns {Object} Overrides for OFFSCREEN_RUN_PROMPT settings
+ * @throws {Error} If an option is out of range
+ */
+export function getExternalOverrides(options = {}, settings) {
+  const requested = {};
+  for (const key of EXTERNAL_OPTION_KEYS) {
+    if (options[key] !== undefined) requested[key] = options[key];
+  }
+
+  const { settings: checked, errors } = validateSettings({ ...settings, ...requested });
+  const overrides = {};
+  if (options.thinking !== undefined) {
+    if (typeof options.thinking !== 'boolean') {
+      throw new Error('Invalid option thinking: Must be true or false');
+    }
+    overrides.thinking = options.thinking;
+  }
+  for (const key of Object.keys(requested)) {
+    if (errors[key]) {
+      throw new Error(`Invalid option ${key}: ${errors[key]}`);
+    }
+    overrides[key] = checked[key];
+  }
+  return overrides;
+}
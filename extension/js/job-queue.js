@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Job Queue
+ *
+ * Prompts and embeddings share one KV cache in the offscreen document,
+ * so they run one at a time. Jobs that arrive while one runs wait here,
+ * ordered by priority. Within a priority, callers take turns: a caller's
+ * second job waits behind the first job of every other caller, so one
+ * busy caller cannot hold up the rest.
+ *
+ * The queue only orders jobs; the offscreen document decides when the
+ * next one runs (see runNextJob in offscreen.js).
+ *
+ * @license MIT
+ */
+
+/**
+ * Queue rank of each kind of caller; lower ranks run first.
+ * - interactive: the popup and the side panel, where the user waits
+ * - background: context menu actions
+ * - external: other extensions and web pages
+ * @const {Object<string, number>}
+ */
+export const JOB_PRIORITIES = Object.freeze({ interactive: 0, background: 1, external: 2 });
+
+/**
+ * Maximum number of jobs a caller may have waiting in the queue.
+ * @const {number}
+ */
+export const MAX_QUEUED_JOBS_PER_CALLER = 4;
+
+/**
+ * @typedef {Object} Job
+ * @property {string} requestId - Request the job answers
+ * @property {number} priority - Rank from JOB_PRIORITIES
+ * @property {string} caller - Caller the per-caller limit applies to
+ * @property {number} turn - Number of jobs of the same caller ahead of it
+ * @property {number} position - Last position reported to the caller, 0 if none
+ * @property {function(): Promise<void>} run - Runs the job
+ * @property {function(): void} cancel - Answers the request without running it
+ */
+
+/**
+ * Jobs waiting for the running one to finish, next first.
+ */
+export class JobQueue {
+  constructor() {
+    /** @type {Job[]} Waiting jobs, next first */
+    this.jobs = [];
+  }
+
+  /**
+   * Number of waiting jobs.
+   * @type {number}
+   */
+  get length() {
+    return this.jobs.length;
+  }
+
+  /**
+   * Adds a job behind the jobs it has to wait for.
+   *
+   * @param {Object} job - Job to add
+   * @param {string} job.requestId - Request the job answers
+   * @param {string} [job.priority='external'] - Key of JOB_PRIORITIES
+   * @param {string} [job.caller] - Caller identity, the request ID if not given
+   * @param {function(): Promise<void>} job.run - Runs the job
+   * @param {function(): void} job.cancel - Answers the request without running it
+   * @returns {boolean} False if the caller already has
+   *   MAX_QUEUED_JOBS_PER_CALLER jobs waiting
+   */
+  add({ requestId, priority = 'external', caller = requestId, run, cancel }) {
+    const turn = this.jobs.filter(job => job.caller === caller).length;
+    if (turn >= MAX_QUEUED_JOBS_PER_CALLER) return false;
+
+    const job = {
+      requestId,
+      priority: JOB_PRIORITIES[priority] ?? JOB_PRIORITIES.external,
+      caller,
+      turn,
+      position: 0,
+      run,
+      cancel
+    };
+    const index = this.jobs.findIndex(queued =>
+      queued.priority > job.priority || (queued.priority === job.priority && queued.turn > job.turn)
+    );
+    this.jobs.splice(index === -1 ? this.jobs.length : index, 0, job);
+    return true;
+  }
+
+  /**
+   * Takes the next job out of the queue.
+   *
+   * @returns {Job|undefined} The job, or undefined if none is waiting
+   */
+  shift() {
+    const job = this.jobs.shift();
+    if (job) this.moveUp(job);
+    return job;
+  }
+
+  /**
+   * Takes a waiting job out of the queue.
+   *
+   * @param {string} requestId - Request the job answers
+   * @returns {Job|null} The job, or null if none is waiting for the request
+   */
+  remove(requestId) {
+    const index = this.jobs.findIndex(job => job.requestId === requestId);
+    if (index === -1) return null;
+
+    const [job] = this.jobs.splice(index, 1);
+    this.moveUp(job);
+    return job;
+  }
+
+  /**
+   * Updates the reported position of every job that moved.
+   * Position 1 runs next.
+   *
+   * @returns {Job[]} The jobs whose position changed
+   */
+  updatePositions() {
+    return this.jobs.filter((job, index) => {
+      if (job.position === index + 1) return false;
+      job.position = index + 1;
+      return true;
+    });
+  }
+
+  /**
+   * Moves the later jobs of a caller up a turn after one of its jobs left.
+   *
+   * @private
+   * @param {Job} removed - Job taken out of the queue
+   */
+  moveUp(removed) {
+    for (const job of this.jobs) {
+      if (job.caller === removed.caller && job.turn > removed.turn) job.turn--;
+    }
+  }
+}
@@ -0,0 +1,387 @@
+/**
+ * @fileoverview Model Library
+ *
+ * Manages the GGUF models available to the extension. Models live in the
+ * wllama cache (Origin Private File System) of the extension origin, which
+ * every extension page shares, so a model added on the options page can be
+ * loaded by the offscreen document.
+ *
+ * Models are identified by URL:
+ * - Remote models by their download URL
+ * - The bundled model by its chrome-extension:// URL
+ * - Local files by a synthetic local:// URL, written to the cache with the
+ *   same metadata a download would produce, so Wllama.loadModelFromUrl
+ *   finds them without fetching anything
+ *
+ * References:
+ * - wllama ModelManager: https://github.com/ngxson/wllama
+ * - Origin Private File System: https://developer.mozilla.org/en-US/docs/Web/API/File_System_API/Origin_private_file_system
+ *
+ * @license MIT
+ */
+
+import {
+  ModelManager,
+  ModelValidationStatus,
+  checkGGUFSupport,
+  getGGUFModelInfo,
+  isValidGgufFile,
+  readGGUFHeader
+} from './wllama/index.js';
+
+/**
+ * Scheme of the synthetic URLs given to models imported from local files.
+ * @const {string}
+ */
+const LOCAL_MODEL_SCHEME = 'local:';
+
+/**
+ * Shared model manager backed by the default OPFS cache.
+ * @type {ModelManager|null}
+ */
+let modelManager = null;
+
+/**
+ * @typedef {Object} ModelEntry
+ * @property {string} url - URL identifying the model
+ * @property {string} name - File name shown to the user
+ * @property {number} size - Size in bytes, -1 if deleted from the cache
+ * @property {string} status - A ModelValidationStatus value
+ * @property {boolean} local - Whether the model was imported from a local file
+ * @property {string|null} sha256 - Expected SHA-256 digest recorded for the
+ *   first file, or null if none was given
+ * @property {number} lastUsed - Time the model was last downloaded or
+ *   loaded, in milliseconds since the epoch; 0 if unknown
+ */
+
+/**
+ * @typedef {Object} ModelDetails
+ * @property {string|null} architecture - Model architecture, e.g. 'qwen3'
+ * @property {string|null} name - Model name recorded in the file
+ * @property {string|null} quantization - Quantization, e.g. 'Q8_0'
+ * @property {number|null} contextLength - Context length the model was
+ *   trained for, in tokens
+ * @property {string|null} chatTemplate - Jinja chat template
+ * @property {number} parameterCount - Parameters in the first file
+ * @property {string|null} unsupported - Why llama.cpp cannot load the
+ *   model, or null if it can
+ */
+
+/**
+ * @typedef {Object} StorageInfo
+ * @property {number} usage - Bytes used by the extension origin
+ * @property {number} quota - Bytes the origin may use
+ * @property {number} available - Bytes left for new models
+ * @property {boolean} persisted - Whether the browser keeps the storage
+ *   when the disk runs low
+ */
+
+/**
+ * Returns the shared model manager, creating it on first use.
+ *
+ * @returns {ModelManager} Model manager
+ */
+function getModelManager() {
+  if (!modelManager) {
+    modelManager = new ModelManager();
+  }
+  return modelManager;
+}
+
+/**
+ * Derives a readable file name from a model URL.
+ *
+ * @param {string} url - Model URL
+ * @returns {string} Last path segment without query string
+ */
+export function getModelDisplayName(url) {
+  const fileName = url.split('?')[0].split('/').pop();
+  try {
+    return decodeURIComponent(fileName);
+  } catch (e) {
+    return fileName;
+  }
+}
+
+/**
+ * Formats a byte count for display.
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as '610.2 MB'
+ */
+export function formatBytes(bytes) {
+  if (bytes < 0) return '—';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Checks that llama.cpp can load a GGUF file, from its header. Only the
+ * first megabytes are read; the tokenizer vocabulary is skipped.
+ *
+ * @async
+ * @param {Blob} file - File contents
+ * @throws {Error} If the file is not GGUF or uses a format llama.cpp
+ *   cannot load
+ */
+async function checkModelFile(file) {
+  checkGGUFSupport(await readGGUFHeader(file, { maxArrayLength: 0 }));
+}
+
+/**
+ * Lists the models in the cache.
+ *
+ * Invalid models (e.g. interrupted downloads) are included so the user can
+ * see and remove them. If the cache holds a shard whose siblings are
+ * missing, wllama cannot describe invalid models, and only valid ones are
+ * listed.
+ *
+ * @async
+ * @returns {Promise<ModelEntry[]>} Cached models
+ */
+export async function listModels() {
+  const manager = getModelManager();
+  let models;
+  try {
+    models = await manager.getModels({ includeInvalid: true });
+  } catch (error) {
+    console.warn('Listing invalid models failed:', error.message);
+    models = await manager.getModels();
+  }
+
+  return models.map(toModelEntry);
+}
+
+/**
+ * Describes a cached model.
+ *
+ * @param {Model} model - wllama model
+ * @returns {ModelEntry} Model entry
+ */
+function toModelEntry(model) {
+  return {
+    url: model.url,
+    name: getModelDisplayName(model.url),
+    size: model.size,
+    status: model.validate(),
+    local: model.url.startsWith(LOCAL_MODEL_SCHEME),
+    sha256: model.files[0]?.metadata.sha256 || null,
+    lastUsed: model.lastUsed
+  };
+}
+
+/**
+ * Downloads a model into the cache.
+ *
+ * Aborting the signal pauses the download: the part already downloaded is
+ * kept, and calling this again with the same URL resumes it.
+ *
+ * With a SHA-256 digest, the file is hashed while it downloads. A file
+ * that does not match stays in the cache with the status
+ * 'checksum_mismatch', and the next download starts over.
+ *
+ * A download that does not fit in the free storage space is refused with
+ * a WllamaError of type 'storage_error', unless evicting is allowed: the
+ * least recently used models, except those in keepModels, are then
+ * deleted to make room.
+ *
+ * @async
+ * @param {string} url - http(s) URL of a .gguf file (first shard if split)
+ * @param {function({loaded: number, total: number}): void} [onProgress] - Download progress
+ * @param {Object} [options={}] - Download options
+ * @param {AbortSignal} [options.signal] - Pauses the download
+ * @param {string} [options.sha256] - Expected SHA-256 digest (hex) of a single-file model
+ * @param {boolean} [options.evict=false] - Delete least recently used models if space is short
+ * @param {string[]} [options.keepModels=[]] - Models never deleted to make room
+ * @returns {Promise<ModelEntry>} The cached model
+ * @throws {Error} If the URL is not a GGUF URL, the file is not a model
+ *   llama.cpp can load (checked before downloading), does not match the
+ *   digest or does not fit
+ * @throws {DOMException} AbortError if the download was paused
+ */
+export async function addModelFromUrl(url, onProgress, { signal, sha256, evict = false, keepModels = [] } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error('Enter a valid URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol) || !isValidGgufFile(parsed.pathname)) {
+    throw new Error('URL must be http(s) and point to a .gguf file');
+  }
+
+  const manager = getModelManager();
+  const model = await manager.downloadModel(url, {
+    progressCallback: onProgress,
+    signal,
+    sha256: sha256 || undefined,
+    evictLeastRecentlyUsed: evict,
+    keepModels
+  });
+  return toModelEntry(model);
+}
+
+/**
+ * Copies a local GGUF file into the cache under a synthetic local:// URL.
+ *
+ * Split models are not supported from local files, because every shard
+ * would have to be imported together.
+ *
+ * @async
+ * @param {File} file - File chosen by the user
+ * @param {function({loaded: number, total: number}): void} [onProgress] - Copy progress
+ * @returns {Promise<ModelEntry>} The cached model
+ * @throws {Error} If the file is not a single-file GGUF model llama.cpp can
+ *   load, or the copy fails
+ */
+export async function addModelFromFile(file, onProgress) {
+  if (!isValidGgufFile(file.name)) {
+    throw new Error('File name must end with .gguf');
+  }
+  if (/-\d{5}-of-\d{5}\.gguf$/.test(file.name)) {
+    throw new Error('Split models must be added from a URL');
+  }
+  await checkModelFile(file);
+
+  const url = `${LOCAL_MODEL_SCHEME}//${crypto.randomUUID()}/${encodeURIComponent(file.name)}`;
+  const { cacheManager } = getModelManager();
+
+  /* Count bytes as they pass so the copy can report progress */
+  let loaded = 0;
+  const counter = new TransformStream({
+    transform(chunk, controller) {
+      loaded += chunk.byteLength;
+      onProgress?.({ loaded, total: file.size });
+      controller.enqueue(chunk);
+    }
+  });
+
+  /*
+   * Same file names and metadata as CacheManager.download(). write() does
+   * not wait for its metadata, so it is written again and awaited after
+   * the copy; listModels() then sees a complete record.
+   */
+  const metadata = { originalURL: url, originalSize: file.size, etag: '' };
+  await cacheManager.write(url, file.stream().pipeThrough(counter), metadata);
+  await cacheManager.writeMetadata(url, metadata);
+
+  const entry = (await listModels()).find(model => model.url === url);
+  if (!entry || entry.status !== ModelValidationStatus.VALID) {
+    await cacheManager.delete(url);
+    throw new Error('Could not copy the file into the model cache');
+  }
+  return entry;
+}
+
+/**
+ * Lists the models that would be deleted, least recently used first, to
+ * make room for a download.
+ *
+ * @async
+ * @param {string} url - URL of the model to download
+ * @param {string[]} [keepModels=[]] - Models never deleted to make room
+ * @returns {Promise<ModelEntry[]|null>} Models to delete (empty if the
+ *   download fits), or null if deleting them all would not be enough
+ */
+export async function getModelsToEvict(url, keepModels = []) {
+  const manager = getModelManager();
+  const urls = ModelManager.parseModelUrl(url);
+  const sizes = await Promise.all(urls.map(async (fileUrl) => {
+    const response = await fetch(fileUrl, { method: 'HEAD' });
+    return Number(response.headers.get('content-length') || 0);
+  }));
+  const needed = sizes.reduce((sum, size) => sum + size, 0);
+
+  const models = await manager.selectModelsToEvict(needed, [url, ...keepModels]);
+  return models && models.map(toModelEntry);
+}
+
+/**
+ * Estimates the storage space of the extension origin.
+ *
+ * @async
+ * @returns {Promise<StorageInfo>} Usage, quota and free space in bytes
+ */
+export async function getStorageInfo() {
+  return getModelManager().estimateStorage();
+}
+
+/**
+ * Asks the browser to keep the cached models when the disk runs low.
+ * Chrome decides without prompting, based on how the extension is used.
+ *
+ * @async
+ * @returns {Promise<boolean>} Whether the storage is now persisted
+ */
+export async function requestPersistentStorage() {
+  return getModelManager().cacheManager.persistStorage();
+}
+
+/**
+ * Hashes a cached model and compares it with its SHA-256 digest.
+ *
+ * @async
+ * @param {string} url - Model URL
+ * @param {string} [sha256] - Expected digest (hex); defaults to the one
+ *   recorded when the model was downloaded
+ * @param {function({loaded: number, total: number}): void} [onProgress] - Hashing progress
+ * @returns {Promise<string>} ModelValidationStatus value after the check
+ * @throws {Error} If the model is not cached or the digest is invalid
+ */
+export async function verifyModel(url, sha256, onProgress) {
+  const models = await getModelManager().getModels({ includeInvalid: true });
+  const model = models.find(m => m.url === url);
+  if (!model) {
+    throw new Error('Model is not in the cache');
+  }
+  return model.verify({ sha256: sha256 || undefined, progressCallback: onProgress });
+}
+
+/**
+ * Reads the details of a model from its GGUF header, without loading it:
+ * from the cache if the model is there, otherwise from the first
+ * megabytes of its URL.
+ *
+ * @async
+ * @param {string} url - Model URL
+ * @returns {Promise<ModelDetails>} Details of the model
+ * @throws {Error} If the header cannot be read or is not GGUF
+ */
+export async function getModelDetails(url) {
+  const models = await getModelManager().getModels({ includeInvalid: true });
+  const model = models.find(m => m.url === url && m.files.length > 0);
+  const header = model
+    ? await model.readHeader({ maxArrayLength: 0 })
+    : await readGGUFHeader(url, { maxArrayLength: 0 });
+
+  let unsupported = null;
+  try {
+    checkGGUFSupport(header);
+  } catch (error) {
+    unsupported = error.message;
+  }
+  return { ...getGGUFModelInfo(header), unsupported };
+}
+
+/**
+ * Deletes a model and all of its shards from the cache.
+ *
+ * @async
+ * @param {string} url - Model URL
+ */
+export async function removeModel(url) {
+  const models = await getModelManager().getModels({ includeInvalid: true }).catch(() => []);
+  const model = models.find(m => m.url === url);
+
+  if (model) {
+    await model.remove();
+  } else {
+    await getModelManager().cacheManager.delete(url);
+  }
+}
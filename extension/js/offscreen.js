@@ -13,6 +13,16 @@
  * - This script initializes wllama and loads the GGUF model
  * - Inference requests are forwarded here from the background script
  * - Results are sent back to the background script for relay to the popup
+ * - A model left unused for the configured idle time is unloaded; the
+ *   background script reloads it with the next prompt
+ * - Requests outlive the background service worker, which Chrome stops
+ *   when idle; their progress is reported again on OFFSCREEN_GET_STATE
+ * - Prompts and embeddings share one KV cache, so they run one at a time
+ *   from a priority queue (see job-queue.js)
+ * - While the model is idle, the configured system prompt is kept
+ *   evaluated at the start of the KV cache (see warmSystemPrompt)
+ * - The tokens of a conversation can be saved as a session in OPFS (see
+ *   session-store.js); opening the conversation evaluates them again
  *
  * References:
  * - Chrome Offscreen Documents: https://developer.chrome.com/docs/extensions/reference/api/offscreen
@@ -22,6 +32,19 @@
  */
 
 import { Wllama } from './wllama/index.js';
+import { checkSession, parseSession } from './wllama/session.js';
+import {
+  DEFAULT_CONVERSATION_SETTINGS,
+  appendMessage,
+  getConversation,
+  removeMessage
+} from './conversation-store.js';
+import { JobQueue } from './job-queue.js';
+import { getModelDisplayName } from './model-library.js';
+import { formatPageQuestion } from './page-context.js';
+import { formatConversationPrefix, rewarmPrefix, tokenizePrefix } from './prefix-rewarm.js';
+import { readSession, writeSession } from './session-store.js';
+import { ThinkStreamParser, splitThinking, withThinkingSwitch } from './think-parser.js';
 
 console.log('[Offscreen] Script loaded');
 
@@ -39,12 +62,186 @@ let wllama = null;
  */
 let isInitializing = false;
 
+/**
+ * Aborts the model download of the running initialization.
+ * Aborting pauses it: the partial file stays in the cache and the next
+ * load resumes from where it stopped.
+ * @type {AbortController|null}
+ */
+let downloadController = null;
+
+/**
+ * Last reported download progress, in percent.
+ * @type {number}
+ */
+let downloadPercent = 0;
+
 /**
  * Flag indicating whether the model has been successfully loaded.
  * @type {boolean}
  */
 let modelLoaded = false;
 
+/**
+ * Abort controllers of running generations, keyed by request ID.
+ * Used to stop a completion early when OFFSCREEN_CANCEL_PROMPT arrives.
+ * @type {Map<string, AbortController>}
+ */
+const activeGenerations = new Map();
+
+/**
+ * File name of the loaded model, recorded on conversations it replies in.
+ * @type {string|null}
+ */
+let loadedModelName = null;
+
+/**
+ * URL of the loaded model, compared against the selected model on reload.
+ * @type {string|null}
+ */
+let loadedModelUrl = null;
+
+/**
+ * Serialized load config the current model was loaded with.
+ * Compared against new settings to decide whether a reload is needed.
+ * @type {string|null}
+ */
+let loadedConfigKey = null;
+
+/**
+ * Context size the model was loaded with, when the memory preflight
+ * reduced it below the configured n_ctx; null otherwise.
+ * @type {number|null}
+ */
+let reducedContextSize = null;
+
+/**
+ * System prompt from the settings, as sent by the background script with
+ * OFFSCREEN_INIT_MODEL and OFFSCREEN_SET_SYSTEM_PROMPT. The system prompt
+ * of each prompt comes with its inference settings instead.
+ * @type {string}
+ */
+let configuredSystemPrompt = '';
+
+/**
+ * Tokens of the formatted configured system prompt, and the key they are
+ * valid for: the prompt text, the model URL and its load config. A change
+ * of any of them formats and tokenizes the prompt again.
+ * @type {{key: string, tokens: number[]}|null}
+ */
+let systemPromptPrefix = null;
+
+/**
+ * Flag indicating that the model is being unloaded for a reload or
+ * after the idle timeout. Queued jobs wait until it is done.
+ * @type {boolean}
+ */
+let isUnloading = false;
+
+/**
+ * Reload requested while a load was in progress, applied once it finishes.
+ * @type {{modelUrl: string, loadConfig: Object}|null}
+ */
+let pendingReload = null;
+
+/**
+ * Promises of the runPrompt or embed call, or the KV cache warm-up, in
+ * progress. A reload waits for them to settle before unloading the model.
+ * @type {Set<Promise<void>>}
+ */
+const runningPrompts = new Set();
+
+/**
+ * Jobs waiting for the running one to finish.
+ * @type {JobQueue}
+ */
+const jobQueue = new JobQueue();
+
+/**
+ * Time without prompts after which the model is unloaded, 0 for never.
+ * Set by the background script from the settings.
+ * @type {number}
+ */
+let idleTimeoutMs = 0;
+
+/**
+ * Timer of the pending idle unload.
+ * @type {number|null}
+ */
+let idleTimer = null;
+
+/**
+ * Maximum number of final messages kept in recentResults.
+ * @const {number}
+ */
+const MAX_RECENT_RESULTS = 16;
+
+/**
+ * Messages that answer a request for good.
+ * @const {string[]}
+ */
+const FINAL_ACTIONS = [
+  'OFFSCREEN_MODEL_RESPONSE',
+  'OFFSCREEN_EMBEDDINGS',
+  'OFFSCREEN_MODEL_RUN_ERROR',
+  'OFFSCREEN_MODEL_NOT_LOADED_FOR_PROMPT'
+];
+
+/**
+ * @typedef {Object} RequestProgress
+ * @property {string} response - Answer text sent so far
+ * @property {string} reasoning - Reasoning text sent so far
+ * @property {number} seq - Number of OFFSCREEN_STREAM_DELTA messages sent
+ */
+
+/**
+ * Requests received and not answered yet, keyed by request ID.
+ * Reported on OFFSCREEN_GET_STATE, so a restarted background script can
+ * route the rest of their messages.
+ * @type {Map<string, RequestProgress>}
+ */
+const openRequests = new Map();
+
+/**
+ * Final messages of the latest prompts, oldest first. A background script
+ * stopped while one was on its way delivers it after restarting.
+ * Embeddings are left out; their external callers do not survive a restart.
+ * @type {Object[]}
+ */
+const recentResults = [];
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {'system'|'user'|'assistant'} role - Author of the message
+ * @property {string} content - Message text
+ */
+
+/**
+ * Records what a message tells the background script about its request
+ * in openRequests and recentResults.
+ *
+ * Deltas are numbered, so the background script can skip those already
+ * included in an OFFSCREEN_GET_STATE answer.
+ *
+ * @param {Object} message - Message about to be sent
+ */
+function trackRequestProgress(message) {
+  const progress = openRequests.get(message.requestId);
+  if (!progress) return;
+
+  if (message.action === 'OFFSCREEN_STREAM_DELTA') {
+    progress.response += message.delta || '';
+    progress.reasoning += message.reasoningDelta || '';
+    message.seq = ++progress.seq;
+  } else if (FINAL_ACTIONS.includes(message.action)) {
+    openRequests.delete(message.requestId);
+    if (message.action !== 'OFFSCREEN_EMBEDDINGS') {
+      recentResults.push(message);
+      if (recentResults.length > MAX_RECENT_RESULTS) recentResults.shift();
+    }
+  }
+}
+
 /**
  * Sends a message to the background service worker.
  *
@@ -52,6 +249,7 @@ let modelLoaded = false;
  * @param {string} message.action - Action identifier for the background script
  */
 function sendToBackground(message) {
+  trackRequestProgress(message);
   chrome.runtime.sendMessage(message).catch(e => {
     console.error('[Offscreen] Send error:', e.message);
   });
@@ -66,21 +264,29 @@ function sendToBackground(message) {
  * 3. Reports progress updates to the background script
  * 4. Notifies completion or error status
  *
+ * Load-time options (context size, threads, batch size, KV cache types,
+ * flash attention, memory preflight) come from the extension settings,
+ * which the background script reads from chrome.storage on our behalf.
+ * The preflight may load a smaller context than configured; the size is
+ * then reported with OFFSCREEN_MODEL_LOADED.
+ *
  * @async
- * @param {string} modelUrl - chrome-extension:// URL to the GGUF model file
+ * @param {string} modelUrl - URL of the GGUF model (see model-library.js)
+ * @param {Object} [loadConfig={}] - Wllama load options from the settings
  * @fires sendToBackground - OFFSCREEN_ALREADY_INITIALIZING if init in progress
  * @fires sendToBackground - OFFSCREEN_MODEL_LOADED on success
  * @fires sendToBackground - OFFSCREEN_PROGRESS with percent during download
+ * @fires sendToBackground - OFFSCREEN_DOWNLOAD_PAUSED when the download is paused
  * @fires sendToBackground - OFFSCREEN_MODEL_INIT_ERROR on failure
  */
-async function initializeModel(modelUrl) {
+async function initializeModel(modelUrl, loadConfig = {}) {
   if (isInitializing) {
     sendToBackground({ action: 'OFFSCREEN_ALREADY_INITIALIZING' });
     return;
   }
 
   if (modelLoaded) {
-    sendToBackground({ action: 'OFFSCREEN_MODEL_LOADED' });
+    sendToBackground({ action: 'OFFSCREEN_MODEL_LOADED', modelName: loadedModelName, reducedContextSize });
     return;
   }
 
@@ -99,51 +305,551 @@ async function initializeModel(modelUrl) {
     };
 
     wllama = new Wllama(configPaths, { allowOffline: true });
+    downloadController = new AbortController();
+    downloadPercent = 0;
 
     /*
      * Load model with progress callback.
      * The context size (n_ctx) determines the maximum prompt + response length.
      */
     await wllama.loadModelFromUrl(modelUrl, {
-      n_ctx: 2048,
+      ...loadConfig,
+      signal: downloadController.signal,
       progressCallback: ({ loaded, total }) => {
-        const percent = Math.round((loaded / total) * 100);
-        sendToBackground({ action: 'OFFSCREEN_PROGRESS', percent });
+        downloadPercent = Math.round((loaded / total) * 100);
+        sendToBackground({ action: 'OFFSCREEN_PROGRESS', percent: downloadPercent, downloading: loaded < total });
       },
     });
 
     modelLoaded = true;
+    loadedModelName = getModelDisplayName(modelUrl);
+    loadedModelUrl = modelUrl;
+    loadedConfigKey = JSON.stringify(loadConfig);
+
+    /* The 'shrink' memory preflight may have lowered n_ctx to fit */
+    const { n_ctx } = wllama.getLoadedContextInfo();
+    reducedContextSize = loadConfig.n_ctx && n_ctx < loadConfig.n_ctx ? n_ctx : null;
+
+    /* A failed warm-up only costs the first prompt its prefill */
+    try {
+      await warmSystemPrompt();
+    } catch (error) {
+      console.error('[Offscreen] System prompt warm-up error:', error);
+    }
+
     isInitializing = false;
     console.log('[Offscreen] Model loaded');
-    sendToBackground({ action: 'OFFSCREEN_MODEL_LOADED' });
+    sendToBackground({ action: 'OFFSCREEN_MODEL_LOADED', modelName: loadedModelName, reducedContextSize });
+    scheduleIdleUnload();
   } catch (error) {
-    console.error('[Offscreen] Init error:', error);
     isInitializing = false;
-    sendToBackground({ action: 'OFFSCREEN_MODEL_INIT_ERROR', error: error.message });
+    if (error.name === 'AbortError') {
+      console.log('[Offscreen] Download paused at', `${downloadPercent}%`);
+      sendToBackground({ action: 'OFFSCREEN_DOWNLOAD_PAUSED', percent: downloadPercent });
+    } else {
+      console.error('[Offscreen] Init error:', error);
+      sendToBackground({ action: 'OFFSCREEN_MODEL_INIT_ERROR', error: error.message });
+    }
+  } finally {
+    downloadController = null;
+  }
+
+  if (pendingReload) {
+    const { modelUrl: nextUrl, loadConfig: nextConfig } = pendingReload;
+    pendingReload = null;
+    await reloadModel(nextUrl, nextConfig);
   }
+  runNextJob();
 }
 
 /**
- * Runs inference with the provided prompt.
+ * Reloads the model when another model was selected or its load-time
+ * settings have changed. The current model is unloaded with exit() first.
  *
- * Generates text completion using the loaded model and sends the
- * result back to the background script.
+ * Running generations are cancelled and allowed to settle before the
+ * model is unloaded; queued jobs wait and run on the new model. If no
+ * model is loaded, nothing happens; the next OFFSCREEN_INIT_MODEL uses
+ * the new settings anyway.
  *
  * @async
+ * @param {string} modelUrl - URL of the selected GGUF model
+ * @param {Object} loadConfig - New Wllama load options
+ * @fires sendToBackground - OFFSCREEN_MODEL_RELOADING when a reload starts
+ */
+async function reloadModel(modelUrl, loadConfig) {
+  if (isInitializing) {
+    pendingReload = { modelUrl, loadConfig };
+    return;
+  }
+
+  if (!modelLoaded) return;
+  if (modelUrl === loadedModelUrl && JSON.stringify(loadConfig) === loadedConfigKey) return;
+
+  console.log('[Offscreen] Reloading model:', modelUrl);
+  sendToBackground({ action: 'OFFSCREEN_MODEL_RELOADING', modelName: getModelDisplayName(modelUrl) });
+
+  isUnloading = true;
+  for (const abortController of activeGenerations.values()) {
+    abortController.abort();
+  }
+  await Promise.allSettled(runningPrompts);
+
+  modelLoaded = false;
+  loadedModelUrl = null;
+  loadedConfigKey = null;
+  try {
+    await wllama.exit();
+  } catch (error) {
+    console.error('[Offscreen] Unload error:', error);
+  }
+  wllama = null;
+  isUnloading = false;
+
+  await initializeModel(modelUrl, loadConfig);
+}
+
+/**
+ * (Re)starts the idle timer. Called whenever the model becomes unused.
+ */
+function scheduleIdleUnload() {
+  clearTimeout(idleTimer);
+  idleTimer = null;
+  if (idleTimeoutMs > 0 && modelLoaded) {
+    idleTimer = setTimeout(unloadIdleModel, idleTimeoutMs);
+  }
+}
+
+/**
+ * Unloads the model after the idle timeout to free its WASM memory.
+ *
+ * Skipped while a load or a prompt is running; the timer restarts once
+ * they finish. The model URL is forgotten, so the next OFFSCREEN_INIT_MODEL
+ * loads it again from the cache.
+ *
+ * @async
+ * @fires sendToBackground - OFFSCREEN_MODEL_UNLOADED once the model is unloaded
+ */
+async function unloadIdleModel() {
+  idleTimer = null;
+  if (!modelLoaded || isInitializing || runningPrompts.size > 0) return;
+
+  console.log('[Offscreen] Unloading idle model');
+  const modelName = loadedModelName;
+  isUnloading = true;
+  modelLoaded = false;
+  loadedModelUrl = null;
+  loadedConfigKey = null;
+  try {
+    await wllama.exit();
+  } catch (error) {
+    console.error('[Offscreen] Unload error:', error);
+  }
+  wllama = null;
+  isUnloading = false;
+
+  sendToBackground({ action: 'OFFSCREEN_MODEL_UNLOADED', modelName });
+  runNextJob();
+}
+
+/**
+ * Re-warms the KV cache with the configured system prompt (see
+ * prefix-rewarm.js), so the first prompt of a new conversation does not
+ * evaluate it. Nothing is decoded when the cache already starts with it,
+ * e.g. behind the conversation of the last prompt.
+ *
+ * Only called while no prompt runs: after a model load, after jobs that
+ * clear the KV cache and when the setting changes. The formatted prompt
+ * is tokenized once per prompt text, model and load config (see
+ * systemPromptPrefix).
+ *
+ * Nothing is evaluated for chat templates that do not render a lone
+ * system message as the start of a conversation, since that prefix would
+ * not be reused.
+ *
+ * @async
+ */
+async function warmSystemPrompt() {
+  const content = configuredSystemPrompt.trim();
+  if (!content) return;
+
+  const key = JSON.stringify([content, loadedModelUrl, loadedConfigKey]);
+  if (systemPromptPrefix?.key !== key) {
+    const system = { role: 'system', content };
+    const prefix = await wllama.formatChat([system], false);
+    const conversation = await wllama.formatChat([system, { role: 'user', content: '' }], true);
+    const tokens = conversation.startsWith(prefix) ? await tokenizePrefix(wllama, prefix) : [];
+    systemPromptPrefix = { key, tokens };
+  }
+
+  const decoded = await rewarmPrefix(wllama, systemPromptPrefix.tokens);
+  if (decoded > 0) {
+    console.log('[Offscreen] System prompt evaluated:', decoded, 'tokens');
+  }
+}
+
+/**
+ * Evaluates the messages of a stored conversation, so the KV cache holds
+ * what the next turn in it starts with.
+ *
+ * The messages are built and trimmed to the context like runPrompt does
+ * for a next turn. Tokens the cache already shares with them are kept.
+ *
+ * @async
+ * @param {import('./conversation-store.js').Conversation} conversation - Stored conversation
+ * @param {Object} inferenceSettings - Inference settings, as for runPrompt
+ */
+async function evaluateConversation(conversation, inferenceSettings) {
+  const { systemPrompt = '', nPredict = DEFAULT_CONVERSATION_SETTINGS.nPredict } = inferenceSettings;
+  const history = conversation.messages;
+  const messages = [
+    ...getSystemPrefix(history, systemPrompt),
+    ...toChatMessages(history),
+    { role: 'user', content: '' }
+  ];
+  await fitMessagesToContext(messages, getReplyLimit(nPredict));
+  messages.pop();
+
+  const tokens = await tokenizePrefix(wllama, await formatConversationPrefix(wllama, messages));
+  const decoded = await rewarmPrefix(wllama, tokens);
+  if (decoded > 0) {
+    console.log('[Offscreen] Conversation evaluated:', decoded, 'tokens');
+  }
+}
+
+/**
+ * Evaluates a conversation and saves the tokens of the KV cache as its
+ * session, replacing an earlier one.
+ *
+ * The wasm build cannot export KV state, so the session holds tokens
+ * only: loading it decodes them again (see wllama/session.js).
+ *
+ * @async
+ * @param {string} conversationId - Conversation to save
+ * @param {Object} [inferenceSettings={}] - Inference settings, as for runPrompt
+ * @returns {Promise<number>} Number of tokens saved
+ * @throws {Error} If the conversation does not exist or has no messages
+ */
+async function saveSession(conversationId, inferenceSettings = {}) {
+  const conversation = await getConversation(conversationId);
+  if (!conversation?.messages.length) {
+    throw new Error('The conversation has no messages');
+  }
+  await evaluateConversation(conversation, inferenceSettings);
+  const session = await wllama.sessionSave();
+  await writeSession(conversationId, session);
+  return session.tokens.length;
+}
+
+/**
+ * Loads the saved session of a conversation the user opened, if it has
+ * one, so the next prompt in it only evaluates the new turn. The tokens
+ * are decoded again while the model is idle, not restored.
+ *
+ * A session that does not match the loaded model is passed over.
+ *
+ * @async
+ * @param {string} conversationId - Conversation opened
+ */
+async function loadSavedSession(conversationId) {
+  try {
+    const session = await readSession(conversationId);
+    if (session) {
+      const decoded = await wllama.sessionLoad(session);
+      console.log('[Offscreen] Session loaded:', decoded, 'tokens evaluated');
+    }
+  } catch (error) {
+    if (error.type !== 'session_error') throw error;
+    console.warn('[Offscreen] Saved session not loaded:', error.message);
+  }
+}
+
+/**
+ * Saves the session of a conversation again after a reply, if it has
+ * one, so loading it later restores the conversation including the reply.
+ *
+ * @async
+ * @param {string} conversationId - Conversation that was replied in
+ */
+async function updateSavedSession(conversationId) {
+  try {
+    if (await readSession(conversationId)) {
+      await writeSession(conversationId, await wllama.sessionSave());
+    }
+  } catch (error) {
+    console.error('[Offscreen] Session update error:', error);
+  }
+}
+
+/**
+ * Runs a task on the model if it is idle. Jobs arriving meanwhile wait
+ * for it like for a running prompt.
+ *
+ * @param {function(): Promise<*>} task - Task to run
+ * @returns {Promise<*>|null} Result of the task, or null if the model is
+ *   not loaded or a job runs or waits
+ */
+function runWhenIdle(task) {
+  if (!modelLoaded || isInitializing || isUnloading || runningPrompts.size > 0 || jobQueue.length > 0) return null;
+
+  clearTimeout(idleTimer);
+  idleTimer = null;
+  const run = task();
+  trackRun(run.catch(() => {}));
+  return run;
+}
+
+/**
+ * Runs a KV cache warm-up if the model is idle.
+ *
+ * Skipped while a job runs or waits: the jobs evaluate their own prompts,
+ * which the warm-up would only push out of the cache.
+ *
+ * @param {function(): Promise<void>} warmUp - Warm-up to run
+ */
+function warmUpWhenIdle(warmUp) {
+  runWhenIdle(warmUp)?.catch((error) => {
+    console.error('[Offscreen] Warm-up error:', error);
+  });
+}
+
+/**
+ * Drops the oldest turns until the formatted messages leave room for
+ * nPredict tokens of output within the loaded context size.
+ *
+ * Only the prompt sent to the model is trimmed; stored history is kept.
+ * A leading system message and the most recent user message are always
+ * kept, even if they alone exceed the budget; decoding then fails with a
+ * kv_cache_full error.
+ *
+ * @async
+ * @param {ChatMessage[]} messages - Messages to trim in place
+ * @param {number} nPredict - Tokens reserved for the reply
+ */
+async function fitMessagesToContext(messages, nPredict) {
+  const { n_ctx } = wllama.getLoadedContextInfo();
+  const start = messages[0]?.role === 'system' ? 1 : 0;
+
+  while (messages.length > start + 1) {
+    const formatted = await wllama.formatChat(messages, true);
+    const tokens = await wllama.tokenize(formatted, true);
+    if (tokens.length + nPredict <= n_ctx) return;
+
+    /* Remove the oldest user message together with its reply */
+    const dropCount = messages[start + 1]?.role === 'assistant' ? 2 : 1;
+    messages.splice(start, dropCount);
+    console.log('[Offscreen] Trimmed conversation to fit context');
+  }
+}
+
+/**
+ * Tokens held back when trimming page text, covering the ellipsis and
+ * tokenization differences at the cut.
+ * @const {number}
+ */
+const PAGE_TRIM_MARGIN = 16;
+
+/**
+ * Trims page text so the question about it fits the context window.
+ *
+ * The budget is what remains of n_ctx after the reply (nPredict), the
+ * system prompt and the question wrapper. Earlier turns are not counted:
+ * fitMessagesToContext drops them afterwards if the page needs the room.
+ *
+ * @async
+ * @param {import('./page-context.js').PageContext} page - Extracted page
+ * @param {string} userContent - Question with its thinking switch
+ * @param {ChatMessage[]} prefix - Messages preceding the question (system prompt)
+ * @param {number} nPredict - Tokens reserved for the reply
+ * @returns {Promise<import('./page-context.js').PageContext>} Page with trimmed text
+ * @throws {Error} If not even a small part of the page fits
+ */
+async function fitPageToContext(page, userContent, prefix, nPredict) {
+  const { n_ctx } = wllama.getLoadedContextInfo();
+  const skeleton = [...prefix, { role: 'user', content: formatPageQuestion({ ...page, text: '' }, userContent) }];
+  const overhead = (await wllama.tokenize(await wllama.formatChat(skeleton, true), true)).length;
+  const budget = n_ctx - nPredict - overhead - PAGE_TRIM_MARGIN;
+
+  const tokens = await wllama.tokenize(page.text, false);
+  if (tokens.length <= budget) return page;
+  if (budget < 64) {
+    throw new Error('Not enough context left for the page; increase the context size in the settings');
+  }
+
+  const text = (await wllama.detokenize(tokens.slice(0, budget), true)).replace(/\uFFFD+$/, '');
+  console.log(`[Offscreen] Trimmed page from ${tokens.length} to ${budget} tokens`);
+  return { ...page, text: `${text.trimEnd()}…` };
+}
+
+/**
+ * Builds the model-facing content of a user message.
+ *
+ * Questions about a page are wrapped with the page text, and every user
+ * message ends with the thinking switch it was sent with.
+ *
+ * @param {string} content - Question as typed by the user
+ * @param {boolean|undefined} thinking - Thinking mode of the message
+ * @param {import('./page-context.js').PageContext} [page] - Page the question is about
+ * @returns {string} Message content
+ */
+function buildUserContent(content, thinking, page) {
+  const question = typeof thinking === 'boolean' ? withThinkingSwitch(content, thinking) : content;
+  return page ? formatPageQuestion(page, question) : question;
+}
+
+/**
+ * Returns the system message to put before a history: the configured
+ * system prompt, unless the history starts with its own.
+ *
+ * @param {Object[]} history - Earlier messages
+ * @param {string} systemPrompt - System prompt from the settings
+ * @returns {ChatMessage[]} The system message, or nothing
+ */
+function getSystemPrefix(history, systemPrompt) {
+  return systemPrompt.trim() && history[0]?.role !== 'system'
+    ? [{ role: 'system', content: systemPrompt.trim() }]
+    : [];
+}
+
+/**
+ * Turns stored or received messages into the messages sent to the model.
+ * User messages are replayed with the switch and page they were sent
+ * with, so the formatted prefix matches the KV cache of the previous turn.
+ *
+ * @param {Object[]} history - Earlier messages
+ * @returns {ChatMessage[]} Model-facing messages
+ */
+function toChatMessages(history) {
+  return history.map(({ role, content, thinking, page }) => ({
+    role,
+    content: role === 'user' ? buildUserContent(content, thinking, page) : content
+  }));
+}
+
+/**
+ * Caps the reply length of a prompt. A context reduced to fit in memory
+ * may be smaller than the configured limit.
+ *
+ * @param {number} nPredict - Configured maximum reply length in tokens
+ * @returns {number} Reply length to reserve
+ */
+function getReplyLimit(nPredict) {
+  return reducedContextSize ? Math.min(nPredict, Math.floor(reducedContextSize / 2)) : nPredict;
+}
+
+/**
+ * Runs inference with the provided prompt as the next user turn.
+ *
+ * When a conversationId is given, earlier turns are read from the
+ * conversation store, and the prompt and reply are appended to it, so
+ * results are saved even if the popup has closed. Without one, the prompt
+ * is answered as a single-turn chat.
+ *
+ * Messages are formatted with the chat template embedded in the GGUF.
+ * Because the KV cache is reused, only the tokens after the previous turn
+ * are evaluated.
+ *
+ * Sampling settings and the optional system prompt come from the extension
+ * settings; the thinking mode is a per-conversation choice. The settings
+ * used are recorded on the conversation with the reply.
+ *
+ * User messages end with the Qwen3 '/think' or '/no_think' switch of the
+ * conversation's thinking mode.
+ *
+ * External callers (see the external API in background.js) send the whole
+ * chat history instead of a conversation ID; the last message is the new
+ * user turn. Their own system message replaces the configured one.
+ *
+ * With a page context, the question is wrapped with the page text,
+ * trimmed by token count to fit the context window. The trimmed text is
+ * stored with the user message, so follow-up questions stay grounded in
+ * the page and replay the same prefix. Reasoning inside <think>…</think> is
+ * streamed separately from the answer and is not fed back on later turns.
+ *
+ * Generates text completion using the loaded model and streams tokens
+ * back to the background script as they are produced, followed by the
+ * complete text once generation finishes.
+ *
+ * The final response carries a finish reason:
+ * - 'stop': the model emitted an end-of-generation token
+ * - 'length': the nPredict limit was reached
+ * - 'cancelled': the request was cancelled; the text is partial
+ *
+ * Every message sent back carries the requestId so the background script
+ * can route it to the caller that submitted the prompt.
+ *
+ * @async
+ * @param {string} requestId - Broker-assigned ID of the prompt request
  * @param {string} prompt - User input text for completion
+ * @param {string} [conversationId] - Stored conversation to continue
+ * @param {Object} [inferenceSettings={}] - nPredict, sampling and systemPrompt from the settings
+ * @param {import('./page-context.js').PageContext} [pageContext] - Page the question is about
+ * @param {ChatMessage[]} [chatMessages] - Complete history sent by an external caller
  * @fires sendToBackground - OFFSCREEN_MODEL_NOT_LOADED_FOR_PROMPT if model not ready
- * @fires sendToBackground - OFFSCREEN_MODEL_RESPONSE with generated text
+ * @fires sendToBackground - OFFSCREEN_STREAM_START before the first token
+ * @fires sendToBackground - OFFSCREEN_STREAM_DELTA with each new chunk of answer and reasoning
+ * @fires sendToBackground - OFFSCREEN_MODEL_RESPONSE with the answer and reasoning
  * @fires sendToBackground - OFFSCREEN_MODEL_RUN_ERROR on failure
  */
-async function runPrompt(prompt) {
+async function runPrompt(requestId, prompt, conversationId, inferenceSettings = {}, pageContext = null, chatMessages = null) {
   if (!modelLoaded || !wllama) {
-    sendToBackground({ action: 'OFFSCREEN_MODEL_NOT_LOADED_FOR_PROMPT' });
+    sendToBackground({ action: 'OFFSCREEN_MODEL_NOT_LOADED_FOR_PROMPT', requestId });
     return;
   }
 
   console.log('[Offscreen] Running prompt');
+  sendToBackground({ action: 'OFFSCREEN_STREAM_START', requestId });
+
+  /* Length of the text already forwarded as deltas */
+  let streamedLength = 0;
+  let tokenCount = 0;
+  const thinkParser = new ThinkStreamParser();
+
+  const abortController = new AbortController();
+  activeGenerations.set(requestId, abortController);
+
+  /* Stored question, taken back if no reply is stored for it */
+  let question = null;
 
   try {
+    const { systemPrompt = '', ...sampling } = inferenceSettings;
+    let history = [];
+    const settings = { ...DEFAULT_CONVERSATION_SETTINGS, ...sampling };
+
+    if (conversationId) {
+      const conversation = await getConversation(conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+      history = conversation.messages;
+      settings.thinking = !!conversation.settings?.thinking;
+    } else if (chatMessages) {
+      history = chatMessages.slice(0, -1);
+      prompt = chatMessages[chatMessages.length - 1].content;
+    }
+
+    settings.nPredict = getReplyLimit(settings.nPredict);
+
+    const prefix = getSystemPrefix(history, systemPrompt);
+    const page = pageContext
+      ? await fitPageToContext(pageContext, withThinkingSwitch(prompt, settings.thinking), prefix, settings.nPredict)
+      : undefined;
+
+    /* Saved before generating so a reopened popup shows the question */
+    if (conversationId) {
+      const { messages: stored } = await appendMessage(
+        conversationId,
+        { role: 'user', content: prompt, thinking: settings.thinking, page }
+      );
+      question = stored[stored.length - 1];
+    }
+
+    const messages = [
+      ...prefix,
+      ...toChatMessages(history),
+      { role: 'user', content: buildUserContent(prompt, settings.thinking, page) }
+    ];
+    await fitMessagesToContext(messages, settings.nPredict);
+
     /*
      * Generate completion with sampling parameters.
      *
@@ -151,16 +857,218 @@ async function runPrompt(prompt) {
      * - temp: Controls randomness (lower = more deterministic)
      * - top_k: Limits to K most probable tokens
      * - top_p: Nucleus sampling cutoff probability
+     *
+     * All conversations share the single KV sequence of the wasm build
+     * (it has no sequence IDs), so useCache only skips the prefix this
+     * prompt has in common with the previous one. After switching threads
+     * that is the chat template and system prompt, which warmSystemPrompt
+     * evaluates while the model is idle, or the saved session of the
+     * thread (see loadSavedSession).
      */
-    const response = await wllama.createCompletion(prompt, {
-      nPredict: 256,
-      sampling: { temp: 0.7, top_k: 40, top_p: 0.9 },
+    const rawResponse = await wllama.createChatCompletion(messages, {
+      nPredict: settings.nPredict,
+      useCache: true,
+      sampling: { temp: settings.temp, top_k: settings.top_k, top_p: settings.top_p },
+      abortSignal: abortController.signal,
+      onNewToken: (token, piece, currentText) => {
+        tokenCount++;
+
+        /*
+         * A token may end in the middle of a multi-byte character, which
+         * decodes to U+FFFD until the next piece arrives. Hold those back
+         * so the popup never renders a replacement character.
+         */
+        const text = currentText.replace(/\uFFFD+$/, '');
+        if (text.length <= streamedLength) return;
+
+        const { reasoning, content } = thinkParser.push(text.slice(streamedLength));
+        streamedLength = text.length;
+        if (!reasoning && !content) return;
+
+        sendToBackground({
+          action: 'OFFSCREEN_STREAM_DELTA',
+          requestId,
+          delta: content,
+          reasoningDelta: reasoning
+        });
+      },
     });
 
-    sendToBackground({ action: 'OFFSCREEN_MODEL_RESPONSE', response });
+    const { reasoning, content: response } = splitThinking(rawResponse);
+
+    let finishReason = 'stop';
+    if (abortController.signal.aborted) {
+      finishReason = 'cancelled';
+    } else if (tokenCount >= settings.nPredict) {
+      finishReason = 'length';
+    }
+
+    /* A cancelled reply is kept as shown, so the next turn builds on it */
+    if (conversationId) {
+      await appendMessage(
+        conversationId,
+        { role: 'assistant', content: response, reasoning, finishReason },
+        { model: loadedModelName, settings }
+      );
+      question = null;
+      await updateSavedSession(conversationId);
+    }
+
+    sendToBackground({
+      action: 'OFFSCREEN_MODEL_RESPONSE',
+      requestId,
+      response,
+      reasoning,
+      finishReason
+    });
   } catch (error) {
     console.error('[Offscreen] Run error:', error);
-    sendToBackground({ action: 'OFFSCREEN_MODEL_RUN_ERROR', error: error.message });
+    sendToBackground({ action: 'OFFSCREEN_MODEL_RUN_ERROR', requestId, error: error.message });
+  } finally {
+    activeGenerations.delete(requestId);
+
+    /* Otherwise the next turn would send two user messages in a row */
+    if (question) {
+      await removeMessage(conversationId, question.createdAt).catch((error) => {
+        console.error('[Offscreen] Could not remove unanswered question:', error);
+      });
+    }
+  }
+}
+
+/**
+ * Computes embedding vectors for one or more texts.
+ *
+ * Embeddings are switched on for the duration of the call only, since
+ * they disable text generation. Computing them clears the KV cache, so
+ * the next chat turn evaluates its whole prompt again.
+ *
+ * @async
+ * @param {string} requestId - Broker-assigned ID of the request
+ * @param {string[]} inputs - Texts to embed
+ * @fires sendToBackground - OFFSCREEN_MODEL_NOT_LOADED_FOR_PROMPT if model not ready
+ * @fires sendToBackground - OFFSCREEN_EMBEDDINGS with one vector per input
+ * @fires sendToBackground - OFFSCREEN_MODEL_RUN_ERROR on failure
+ */
+async function embed(requestId, inputs) {
+  if (!modelLoaded || !wllama) {
+    sendToBackground({ action: 'OFFSCREEN_MODEL_NOT_LOADED_FOR_PROMPT', requestId });
+    return;
+  }
+
+  console.log('[Offscreen] Computing embeddings');
+  try {
+    await wllama.setOptions({ embeddings: true });
+    const embeddings = [];
+    try {
+      for (const input of inputs) {
+        embeddings.push(await wllama.createEmbedding(input));
+      }
+    } finally {
+      await wllama.setOptions({ embeddings: false });
+    }
+    sendToBackground({ action: 'OFFSCREEN_EMBEDDINGS', requestId, embeddings });
+  } catch (error) {
+    console.error('[Offscreen] Embedding error:', error);
+    sendToBackground({ action: 'OFFSCREEN_MODEL_RUN_ERROR', requestId, error: error.message });
+  }
+
+  /* createEmbedding cleared the KV cache; evaluate the system prompt before the next chat */
+  try {
+    await warmSystemPrompt();
+  } catch (error) {
+    console.error('[Offscreen] System prompt warm-up error:', error);
+  }
+}
+
+/**
+ * Cancels a running generation or a queued job.
+ *
+ * A running completion stops after the token currently being sampled
+ * and runPrompt reports the partial text with a 'cancelled' finish
+ * reason. A queued job is removed and answered without running.
+ *
+ * @param {string} requestId - ID of the request to cancel
+ * @returns {boolean} True if a running generation or queued job was found
+ */
+function cancelPrompt(requestId) {
+  const abortController = activeGenerations.get(requestId);
+  if (abortController) {
+    console.log('[Offscreen] Cancelling prompt');
+    abortController.abort();
+    return true;
+  }
+
+  const job = jobQueue.remove(requestId);
+  if (!job) return false;
+
+  console.log('[Offscreen] Cancelling queued job');
+  job.cancel();
+  reportQueuePositions();
+  return true;
+}
+
+/**
+ * Adds a job to the queue, or starts it right away if nothing runs.
+ *
+ * See job-queue.js for the order. Callers with MAX_QUEUED_JOBS_PER_CALLER
+ * waiting jobs are turned away.
+ *
+ * @param {Object} job - Job to run, as taken by JobQueue#add
+ * @fires sendToBackground - OFFSCREEN_MODEL_RUN_ERROR if the caller has too many jobs waiting
+ */
+function enqueueJob(job) {
+  if (!jobQueue.add(job)) {
+    sendToBackground({
+      action: 'OFFSCREEN_MODEL_RUN_ERROR',
+      requestId: job.requestId,
+      error: 'Too many requests waiting. Try again when one has finished.'
+    });
+    return;
+  }
+
+  runNextJob();
+  reportQueuePositions();
+}
+
+/**
+ * Starts the next queued job unless one is running or a model is
+ * being loaded.
+ */
+function runNextJob() {
+  if (runningPrompts.size > 0 || isInitializing || isUnloading || jobQueue.length === 0) return;
+
+  const job = jobQueue.shift();
+
+  clearTimeout(idleTimer);
+  idleTimer = null;
+  trackRun(job.run());
+}
+
+/**
+ * Records a job or warm-up as running until it settles, then starts the
+ * next job or the idle timer.
+ *
+ * @param {Promise<void>} run - Promise of the running job
+ */
+function trackRun(run) {
+  runningPrompts.add(run);
+  run.finally(() => {
+    runningPrompts.delete(run);
+    runNextJob();
+    if (runningPrompts.size === 0) scheduleIdleUnload();
+  });
+}
+
+/**
+ * Tells the callers of queued jobs whose position changed where they are
+ * in the queue. Position 1 runs next.
+ *
+ * @fires sendToBackground - OFFSCREEN_QUEUE_POSITION for each moved job
+ */
+function reportQueuePositions() {
+  for (const job of jobQueue.updatePositions()) {
+    sendToBackground({ action: 'OFFSCREEN_QUEUE_POSITION', requestId: job.requestId, position: job.position });
   }
 }
 
@@ -169,26 +1077,132 @@ async function runPrompt(prompt) {
  *
  * Handles the following actions:
  * - OFFSCREEN_INIT_MODEL: Initialize wllama and load the model
- * - OFFSCREEN_RUN_PROMPT: Generate completion for a prompt
+ * - OFFSCREEN_RELOAD_MODEL: Switch models or apply changed load settings
+ * - OFFSCREEN_PAUSE_DOWNLOAD: Stop the model download, keeping the partial file
+ * - OFFSCREEN_RUN_PROMPT: Queue a completion for a prompt
+ * - OFFSCREEN_CANCEL_PROMPT: Abort a running completion or drop a queued job
+ * - OFFSCREEN_EMBED: Queue an embedding computation
+ * - OFFSCREEN_SET_IDLE_TIMEOUT: Apply a changed idle unload time
+ * - OFFSCREEN_SET_SYSTEM_PROMPT: Apply a changed system prompt setting
+ * - OFFSCREEN_LOAD_SESSION: Load the saved session of an opened conversation if idle
+ * - OFFSCREEN_SAVE_SESSION: Save the session of a conversation if idle
+ * - OFFSCREEN_CHECK_SESSION: Tell whether a session matches the loaded model
+ * - OFFSCREEN_GET_STATE: Report open requests and recent results
  *
  * @listens chrome.runtime.onMessage
  * @param {Object} request - Message payload
  * @param {string} request.action - Action identifier
- * @param {string} [request.modelUrl] - Model URL for OFFSCREEN_INIT_MODEL
+ * @param {string} [request.modelUrl] - Model URL for OFFSCREEN_INIT_MODEL and OFFSCREEN_RELOAD_MODEL
+ * @param {Object} [request.loadConfig] - Load settings for OFFSCREEN_INIT_MODEL and OFFSCREEN_RELOAD_MODEL
+ * @param {number} [request.idleTimeoutMs] - Idle unload time for OFFSCREEN_INIT_MODEL and OFFSCREEN_SET_IDLE_TIMEOUT
+ * @param {string} [request.systemPrompt] - Configured system prompt for OFFSCREEN_INIT_MODEL and OFFSCREEN_SET_SYSTEM_PROMPT
+ * @param {string} [request.requestId] - Request ID for OFFSCREEN_RUN_PROMPT and OFFSCREEN_CANCEL_PROMPT
  * @param {string} [request.prompt] - Prompt text for OFFSCREEN_RUN_PROMPT
+ * @param {string} [request.conversationId] - Conversation for OFFSCREEN_RUN_PROMPT, OFFSCREEN_LOAD_SESSION and OFFSCREEN_SAVE_SESSION
+ * @param {Object} [request.settings] - Inference settings for OFFSCREEN_RUN_PROMPT and OFFSCREEN_SAVE_SESSION
+ * @param {Object} [request.session] - Session for OFFSCREEN_CHECK_SESSION
+ * @param {Object} [request.pageContext] - Page the OFFSCREEN_RUN_PROMPT question is about
+ * @param {Array<Object>} [request.messages] - Chat history of an external OFFSCREEN_RUN_PROMPT
+ * @param {string[]} [request.input] - Texts for OFFSCREEN_EMBED
+ * @param {string} [request.priority] - Queue priority for OFFSCREEN_RUN_PROMPT and OFFSCREEN_EMBED
+ * @param {string} [request.caller] - Caller identity for the per-caller queue limit
  * @param {chrome.runtime.MessageSender} sender - Message sender info
  * @param {Function} sendResponse - Callback for immediate response
- * @returns {boolean} False to indicate synchronous response handling
+ *   ({ requests, recentResults } for OFFSCREEN_GET_STATE)
+ * @returns {boolean} True if the response is sent asynchronously
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log('[Offscreen] Received:', request.action);
 
   if (request.action === 'OFFSCREEN_INIT_MODEL') {
-    initializeModel(request.modelUrl);
+    idleTimeoutMs = request.idleTimeoutMs || 0;
+    configuredSystemPrompt = request.systemPrompt || '';
+    initializeModel(request.modelUrl, request.loadConfig);
+    sendResponse({ success: true });
+  } else if (request.action === 'OFFSCREEN_PAUSE_DOWNLOAD') {
+    downloadController?.abort();
+    sendResponse({ success: !!downloadController });
+  } else if (request.action === 'OFFSCREEN_SET_IDLE_TIMEOUT') {
+    idleTimeoutMs = request.idleTimeoutMs || 0;
+    if (runningPrompts.size === 0) scheduleIdleUnload();
+    sendResponse({ success: true });
+  } else if (request.action === 'OFFSCREEN_SET_SYSTEM_PROMPT') {
+    configuredSystemPrompt = request.systemPrompt || '';
+    warmUpWhenIdle(warmSystemPrompt);
+    sendResponse({ success: true });
+  } else if (request.action === 'OFFSCREEN_LOAD_SESSION') {
+    warmUpWhenIdle(() => loadSavedSession(request.conversationId));
+    sendResponse({ success: true });
+  } else if (request.action === 'OFFSCREEN_SAVE_SESSION') {
+    const run = runWhenIdle(() => saveSession(request.conversationId, request.settings));
+    if (!run) {
+      sendResponse({ success: false, error: modelLoaded ? 'The model is busy. Try again when it has finished.' : 'Load the model first.' });
+      return false;
+    }
+    run.then(
+      tokens => sendResponse({ success: true, tokens }),
+      error => sendResponse({ success: false, error: error.message })
+    );
+    return true;
+  } else if (request.action === 'OFFSCREEN_CHECK_SESSION') {
+    if (!modelLoaded) {
+      sendResponse({ success: false, error: 'Load the model first.' });
+      return false;
+    }
+    (async () => {
+      checkSession(parseSession(request.session), await wllama.getSessionFingerprint());
+    })().then(
+      () => sendResponse({ success: true }),
+      error => sendResponse({ success: false, error: error.message })
+    );
+    return true;
+  } else if (request.action === 'OFFSCREEN_RELOAD_MODEL') {
+    reloadModel(request.modelUrl, request.loadConfig);
     sendResponse({ success: true });
+  } else if (request.action === 'OFFSCREEN_GET_STATE') {
+    sendResponse({
+      requests: [...openRequests].map(([requestId, progress]) => ({ requestId, ...progress })),
+      recentResults
+    });
   } else if (request.action === 'OFFSCREEN_RUN_PROMPT') {
-    runPrompt(request.prompt);
+    openRequests.set(request.requestId, { response: '', reasoning: '', seq: 0 });
+    enqueueJob({
+      requestId: request.requestId,
+      priority: request.priority,
+      caller: request.caller,
+      run: () => runPrompt(
+        request.requestId,
+        request.prompt,
+        request.conversationId,
+        request.settings,
+        request.pageContext,
+        request.messages
+      ),
+      cancel: () => sendToBackground({
+        action: 'OFFSCREEN_MODEL_RESPONSE',
+        requestId: request.requestId,
+        response: '',
+        reasoning: '',
+        finishReason: 'cancelled'
+      })
+    });
+    sendResponse({ success: true });
+  } else if (request.action === 'OFFSCREEN_EMBED') {
+    openRequests.set(request.requestId, { response: '', reasoning: '', seq: 0 });
+    enqueueJob({
+      requestId: request.requestId,
+      priority: request.priority,
+      caller: request.caller,
+      run: () => embed(request.requestId, request.input),
+      cancel: () => sendToBackground({
+        action: 'OFFSCREEN_MODEL_RUN_ERROR',
+        requestId: request.requestId,
+        error: 'Cancelled'
+      })
+    });
     sendResponse({ success: true });
+  } else if (request.action === 'OFFSCREEN_CANCEL_PROMPT') {
+    sendResponse({ success: cancelPrompt(request.requestId) });
   }
 
   return false;
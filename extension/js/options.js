@@ -0,0 +1,645 @@
+/**
+ * @file options.js
+ * @description Extension options page controller
+ *
+ * Edits the inference and model-loading settings defined in settings.js.
+ * Values are validated before saving; invalid fields are highlighted and
+ * nothing is stored until all of them pass. The background script watches
+ * chrome.storage and reloads the model when a load-time setting changes.
+ *
+ * Also lists the cached models (see model-library.js) with the details
+ * read from their GGUF headers, adds new ones from a URL or a local file,
+ * and selects the model to load.
+ *
+ * The external access section lists the extensions and sites the user
+ * has allowed or blocked (see external-access.js), revokes decisions
+ * and allows new sites to use window.localLLM.
+ *
+ * @author llama-cpp-wasm-qwen3
+ * @license MIT
+ */
+
+import {
+  EXTERNAL_APPROVALS_STORAGE_KEY,
+  getCallerDisplayName,
+  addSite,
+  listApprovals,
+  revokeApproval
+} from './external-access.js';
+import {
+  addModelFromFile,
+  addModelFromUrl,
+  formatBytes,
+  getModelDetails,
+  getModelDisplayName,
+  getModelsToEvict,
+  getStorageInfo,
+  listModels,
+  removeModel,
+  requestPersistentStorage,
+  verifyModel
+} from './model-library.js';
+import {
+  DEFAULT_SETTINGS,
+  KV_CACHE_TYPES,
+  getBundledModelUrl,
+  getSelectedModelUrl,
+  loadSettings,
+  saveSettings,
+  selectModel
+} from './settings.js';
+
+/**
+ * User-facing labels for ModelValidationStatus values.
+ * @const {Object<string, string>}
+ */
+const MODEL_STATUS_LABELS = {
+  valid: 'Valid',
+  invalid: 'Incomplete',
+  deleted: 'Deleted',
+  checksum_mismatch: 'Checksum mismatch'
+};
+
+/**
+ * Model details already read, by model URL. Headers are read once per
+ * page, not on every render of the list.
+ * @type {Map<string, Promise<import('./model-library.js').ModelDetails>>}
+ */
+const modelDetailsCache = new Map();
+
+/**
+ * Formats a parameter count such as 596049920 as '596M'.
+ *
+ * @param {number} count - Number of parameters
+ * @returns {string} Count in millions or billions
+ */
+function formatParameterCount(count) {
+  return count >= 1e9 ? `${(count / 1e9).toFixed(1)}B` : `${Math.round(count / 1e6)}M`;
+}
+
+/**
+ * Describes a model in one line: architecture, quantization, size and
+ * context length.
+ *
+ * @param {import('./model-library.js').ModelDetails} details - Details from the GGUF header
+ * @returns {string} Description such as 'qwen3 · Q8_0 · 596M parameters · 40960-token context'
+ */
+function describeModel(details) {
+  const parts = [details.architecture, details.quantization];
+  if (details.parameterCount) parts.push(`${formatParameterCount(details.parameterCount)} parameters`);
+  if (details.contextLength) parts.push(`${details.contextLength}-token context`);
+  return parts.filter(Boolean).join(' · ');
+}
+
+/**
+ * Initialize the options page when DOM is ready.
+ * @listens DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  /** @type {HTMLFormElement} */
+  const form = document.getElementById('settingsForm');
+
+  /** @type {HTMLButtonElement} */
+  const resetButton = document.getElementById('resetButton');
+
+  /** @type {HTMLSpanElement} */
+  const saveStatus = document.getElementById('saveStatus');
+
+  /** @type {HTMLUListElement} */
+  const modelList = document.getElementById('modelList');
+
+  /** @type {HTMLSpanElement} */
+  const storageSummary = document.getElementById('storageSummary');
+
+  /** @type {HTMLButtonElement} */
+  const persistStorageButton = document.getElementById('persistStorageButton');
+
+  /** @type {HTMLInputElement} */
+  const modelUrlInput = document.getElementById('modelUrlInput');
+
+  /** @type {HTMLButtonElement} */
+  const modelUrlButton = document.getElementById('modelUrlButton');
+
+  /** @type {HTMLInputElement} */
+  const modelSha256Input = document.getElementById('modelSha256Input');
+
+  /** @type {HTMLInputElement} */
+  const modelFileInput = document.getElementById('modelFileInput');
+
+  /** @type {HTMLDivElement} */
+  const modelMessage = document.getElementById('modelMessage');
+
+  /** @type {HTMLUListElement} */
+  const approvalList = document.getElementById('approvalList');
+
+  /** @type {HTMLInputElement} */
+  const siteUrlInput = document.getElementById('siteUrlInput');
+
+  /** @type {HTMLButtonElement} */
+  const siteAddButton = document.getElementById('siteAddButton');
+
+  /** @type {HTMLDivElement} */
+  const siteMessage = document.getElementById('siteMessage');
+
+  for (const select of form.querySelectorAll('select[name^="cache_type"]')) {
+    for (const type of KV_CACHE_TYPES) {
+      select.add(new Option(type, type));
+    }
+  }
+
+  /**
+   * Shows a transient message next to the Save button.
+   *
+   * @param {string} text - Message to display
+   * @param {boolean} [isError=false] - Whether to style it as an error
+   */
+  function showStatus(text, isError = false) {
+    saveStatus.textContent = text;
+    saveStatus.classList.toggle('error', isError);
+  }
+
+  /**
+   * Writes settings into the form controls.
+   *
+   * @param {Object} settings - Settings to display
+   */
+  function fillForm(settings) {
+    for (const [key, value] of Object.entries(settings)) {
+      const control = form.elements.namedItem(key);
+      if (!control) continue;
+
+      if (control.type === 'checkbox') {
+        control.checked = value;
+      } else {
+        control.value = value;
+      }
+    }
+  }
+
+  /**
+   * Reads the form controls into a settings object.
+   * Numbers are left as strings; validateSettings converts them.
+   *
+   * @returns {Object} Raw settings
+   */
+  function readForm() {
+    const settings = {};
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      const control = form.elements.namedItem(key);
+      if (!control) continue;
+      settings[key] = control.type === 'checkbox' ? control.checked : control.value;
+    }
+    return settings;
+  }
+
+  /**
+   * Shows validation errors beside their fields and clears the others.
+   *
+   * @param {Object<string, string>} errors - Error message per field
+   */
+  function showErrors(errors) {
+    for (const element of form.querySelectorAll('[data-error-for]')) {
+      const message = errors[element.dataset.errorFor] || '';
+      element.textContent = message;
+      element.closest('.field').classList.toggle('invalid', !!message);
+    }
+  }
+
+  /**
+   * Validates and saves the form.
+   * @listens submit
+   */
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    try {
+      const errors = await saveSettings(readForm());
+      showErrors(errors);
+
+      if (Object.keys(errors).length > 0) {
+        showStatus('Please fix the highlighted fields.', true);
+      } else {
+        showStatus('Settings saved.');
+      }
+    } catch (error) {
+      showStatus(`Could not save: ${error.message}`, true);
+    }
+  });
+
+  /**
+   * Puts the default values back into the form.
+   * They take effect once saved.
+   * @listens click
+   */
+  resetButton.addEventListener('click', () => {
+    fillForm(DEFAULT_SETTINGS);
+    showErrors({});
+    showStatus('Defaults restored. Click Save to apply.');
+  });
+
+  /* Clear the previous result as soon as the user edits again */
+  form.addEventListener('input', () => showStatus(''));
+
+  /**
+   * Shows a message below the model controls.
+   *
+   * @param {string} text - Message to display
+   * @param {boolean} [isError=false] - Whether to style it as an error
+   */
+  function showModelMessage(text, isError = false) {
+    modelMessage.textContent = text;
+    modelMessage.classList.toggle('error', isError);
+  }
+
+  /**
+   * Enables or disables the controls that add models.
+   * Only one download or import runs at a time.
+   *
+   * @param {boolean} busy - Whether a model is being added
+   */
+  function setAddingModel(busy) {
+    modelUrlInput.disabled = busy;
+    modelUrlButton.disabled = busy;
+    modelSha256Input.disabled = busy;
+    modelFileInput.disabled = busy;
+  }
+
+  /**
+   * Reports download, copy or checksum progress.
+   *
+   * @param {string} verb - 'Downloading' | 'Copying' | 'Verifying'
+   * @returns {function({loaded: number, total: number}): void} Progress callback
+   */
+  function progressReporter(verb) {
+    return ({ loaded, total }) => {
+      const percent = total ? Math.round((loaded / total) * 100) : 0;
+      showModelMessage(`${verb}... ${percent}% (${formatBytes(loaded)} of ${formatBytes(total)})`);
+    };
+  }
+
+  /**
+   * Renders the cached models with their size and validity, and the
+   * storage they use.
+   *
+   * The bundled model is listed even before its first load copies it into
+   * the cache. The selected model cannot be deleted.
+   *
+   * @async
+   */
+  async function renderModelList() {
+    let models;
+    try {
+      models = await listModels();
+    } catch (error) {
+      showModelMessage(`Could not read the model cache: ${error.message}`, true);
+      models = [];
+    }
+
+    const selectedUrl = await getSelectedModelUrl();
+    const bundledUrl = getBundledModelUrl();
+    if (!models.some(model => model.url === bundledUrl)) {
+      models.unshift({ url: bundledUrl, name: getModelDisplayName(bundledUrl), size: -1, status: null, local: false });
+    }
+
+    modelList.textContent = '';
+    for (const model of models) {
+      const selected = model.url === selectedUrl;
+      const item = document.createElement('li');
+      item.className = `model-item${selected ? ' selected' : ''}`;
+
+      const info = document.createElement('div');
+      info.className = 'model-info';
+
+      const name = document.createElement('span');
+      name.className = 'model-name';
+      name.title = model.url;
+      name.textContent = model.name;
+      if (model.url === bundledUrl) name.textContent += ' (bundled)';
+      if (model.local) name.textContent += ' (local file)';
+
+      const details = document.createElement('span');
+      details.className = 'model-details';
+      info.append(name, details);
+
+      const size = document.createElement('span');
+      size.className = 'model-size';
+      size.textContent = model.status ? formatBytes(model.size) : 'not cached';
+      if (model.lastUsed) {
+        size.textContent += `, used ${new Date(model.lastUsed).toLocaleDateString()}`;
+      }
+
+      const badge = document.createElement('span');
+      badge.className = `model-badge ${model.status || ''}`;
+      badge.textContent = MODEL_STATUS_LABELS[model.status] || 'Not loaded yet';
+
+      const useButton = document.createElement('button');
+      useButton.type = 'button';
+      useButton.textContent = selected ? 'In use' : 'Use';
+      /* A broken local copy cannot be downloaded again */
+      useButton.disabled = selected || (model.local && model.status !== 'valid');
+      useButton.addEventListener('click', async () => {
+        await selectModel(model.url);
+        showModelMessage(`Selected ${model.name}.`);
+        renderModelList();
+      });
+
+      /* Hashes the cached file; the digest recorded at download is suggested */
+      const verifyButton = document.createElement('button');
+      verifyButton.type = 'button';
+      verifyButton.className = 'secondary-button';
+      verifyButton.textContent = 'Verify';
+      verifyButton.disabled = !model.status || model.status === 'invalid';
+      verifyButton.addEventListener('click', async () => {
+        const sha256 = prompt(`SHA-256 checksum of ${model.name}:`, model.sha256 || '');
+        if (!sha256?.trim()) return;
+
+        setAddingModel(true);
+        showModelMessage('Verifying...');
+        try {
+          const status = await verifyModel(model.url, sha256.trim(), progressReporter('Verifying'));
+          if (status === 'valid') {
+            showModelMessage(`${model.name} matches its checksum.`);
+          } else {
+            showModelMessage(`${model.name} does not match its checksum. Delete it and download it again.`, true);
+          }
+        } catch (error) {
+          showModelMessage(`Could not verify: ${error.message}`, true);
+        } finally {
+          setAddingModel(false);
+          renderModelList();
+        }
+      });
+
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'secondary-button';
+      deleteButton.textContent = 'Delete';
+      deleteButton.disabled = selected || !model.status;
+      deleteButton.addEventListener('click', async () => {
+        if (!confirm(`Delete ${model.name} from the model cache?`)) return;
+        try {
+          await removeModel(model.url);
+          showModelMessage(`Deleted ${model.name}.`);
+        } catch (error) {
+          showModelMessage(`Could not delete: ${error.message}`, true);
+        }
+        renderModelList();
+      });
+
+      item.append(info, size, badge, useButton, verifyButton, deleteButton);
+      modelList.appendChild(item);
+      showModelDetails(model, details, useButton);
+    }
+
+    renderStorageSummary();
+  }
+
+  /**
+   * Fills in the details of a listed model from its GGUF header. A model
+   * llama.cpp cannot load cannot be selected.
+   *
+   * @async
+   * @param {import('./model-library.js').ModelEntry} model - Listed model
+   * @param {HTMLSpanElement} details - Element for the details
+   * @param {HTMLButtonElement} useButton - Button selecting the model
+   */
+  async function showModelDetails(model, details, useButton) {
+    /* Partial downloads may not hold the whole header yet */
+    if (model.status && model.status !== 'valid') return;
+
+    if (!modelDetailsCache.has(model.url)) {
+      const reading = getModelDetails(model.url);
+      reading.catch(() => modelDetailsCache.delete(model.url));
+      modelDetailsCache.set(model.url, reading);
+    }
+
+    try {
+      const modelDetails = await modelDetailsCache.get(model.url);
+      if (modelDetails.unsupported) {
+        details.textContent = modelDetails.unsupported;
+        details.classList.add('unsupported');
+        useButton.disabled = true;
+      } else {
+        details.textContent = describeModel(modelDetails);
+      }
+    } catch (error) {
+      details.textContent = `Could not read the model header: ${error.message}`;
+    }
+  }
+
+  /**
+   * Shows how much storage the models use and how much is left.
+   *
+   * @async
+   */
+  async function renderStorageSummary() {
+    let storage;
+    try {
+      storage = await getStorageInfo();
+    } catch (error) {
+      console.warn('Estimating storage failed:', error.message);
+    }
+    if (!storage) {
+      storageSummary.textContent = '';
+      persistStorageButton.hidden = true;
+      return;
+    }
+
+    storageSummary.textContent = `Storage: ${formatBytes(storage.usage)} used, ${formatBytes(storage.available)} free.`;
+    if (storage.persisted) {
+      storageSummary.textContent += ' Kept when disk space runs low.';
+    }
+    persistStorageButton.hidden = storage.persisted;
+  }
+
+  /**
+   * Asks the browser to keep the model cache when disk space runs low.
+   * @listens click
+   */
+  persistStorageButton.addEventListener('click', async () => {
+    const persisted = await requestPersistentStorage().catch(() => false);
+    showModelMessage(persisted
+      ? 'Models will be kept when disk space runs low.'
+      : 'The browser declined to keep the models. It may delete them when disk space runs low.', !persisted);
+    renderStorageSummary();
+  });
+
+  /**
+   * Offers to delete the least recently used models when a download does
+   * not fit. The selected model is never deleted.
+   *
+   * @async
+   * @param {string} url - URL of the model to download
+   * @returns {Promise<boolean>} Whether the user agreed
+   */
+  async function confirmEviction(url) {
+    const models = await getModelsToEvict(url, [await getSelectedModelUrl()]);
+    if (!models?.length) return false;
+
+    const names = models.map(model => `${model.name} (${formatBytes(model.size)})`).join('\n');
+    return confirm(`Not enough storage space for this model. Delete the least recently used models to make room?\n\n${names}`);
+  }
+
+  /**
+   * Pauses the running URL download, if any.
+   * @type {AbortController|null}
+   */
+  let downloadController = null;
+
+  /**
+   * Downloads a model from the entered URL into the cache, or pauses the
+   * running download. The download also pauses if this page is closed;
+   * downloading the same URL again resumes it.
+   * @listens click
+   */
+  modelUrlButton.addEventListener('click', async () => {
+    if (downloadController) {
+      downloadController.abort();
+      return;
+    }
+
+    const url = modelUrlInput.value.trim();
+    if (!url) return;
+
+    setAddingModel(true);
+    downloadController = new AbortController();
+    modelUrlButton.disabled = false;
+    modelUrlButton.textContent = 'Pause';
+    showModelMessage('Starting download...');
+
+    let percent = 0;
+    const reportProgress = progressReporter('Downloading');
+    const download = async evict => addModelFromUrl(url, (progress) => {
+      percent = progress.total ? Math.round((progress.loaded / progress.total) * 100) : 0;
+      reportProgress(progress);
+    }, {
+      signal: downloadController.signal,
+      sha256: modelSha256Input.value.trim(),
+      evict,
+      keepModels: [await getSelectedModelUrl()]
+    });
+
+    try {
+      let model;
+      try {
+        model = await download(false);
+      } catch (error) {
+        if (error.type !== 'storage_error' || !await confirmEviction(url)) throw error;
+        model = await download(true);
+      }
+      modelUrlInput.value = '';
+      modelSha256Input.value = '';
+      showModelMessage(`Downloaded ${model.name} (${formatBytes(model.size)}). Click Use to load it.`);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        showModelMessage(`Download paused at ${percent}%. Click Download to resume.`);
+      } else {
+        showModelMessage(`Download failed: ${error.message}`, true);
+      }
+    } finally {
+      downloadController = null;
+      modelUrlButton.textContent = 'Download';
+      setAddingModel(false);
+      renderModelList();
+    }
+  });
+
+  /**
+   * Copies the chosen local file into the cache.
+   * @listens change
+   */
+  modelFileInput.addEventListener('change', async () => {
+    const file = modelFileInput.files[0];
+    if (!file) return;
+
+    setAddingModel(true);
+    showModelMessage('Checking file...');
+    try {
+      const model = await addModelFromFile(file, progressReporter('Copying'));
+      showModelMessage(`Added ${model.name} (${formatBytes(model.size)}). Click Use to load it.`);
+    } catch (error) {
+      showModelMessage(`Could not add file: ${error.message}`, true);
+    } finally {
+      modelFileInput.value = '';
+      setAddingModel(false);
+      renderModelList();
+    }
+  });
+
+  /**
+   * Renders the external callers the user has decided on.
+   *
+   * @async
+   */
+  async function renderApprovals() {
+    const approvals = await listApprovals();
+
+    approvalList.textContent = '';
+    if (approvals.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'approval-empty';
+      empty.textContent = 'No extension or site has asked for access yet.';
+      approvalList.appendChild(empty);
+      return;
+    }
+
+    for (const approval of approvals) {
+      const item = document.createElement('li');
+      item.className = 'model-item approval-item';
+
+      const name = document.createElement('span');
+      name.className = 'model-name';
+      name.title = approval.origin;
+      name.textContent = getCallerDisplayName(approval.origin);
+
+      const badge = document.createElement('span');
+      badge.className = `model-badge ${approval.allowed ? 'allowed' : 'blocked'}`;
+      badge.textContent = approval.allowed ? 'Allowed' : 'Blocked';
+
+      const revokeButton = document.createElement('button');
+      revokeButton.type = 'button';
+      revokeButton.className = 'secondary-button';
+      revokeButton.textContent = 'Revoke';
+      revokeButton.addEventListener('click', () => revokeApproval(approval.origin));
+
+      item.append(name, badge, revokeButton);
+      approvalList.appendChild(item);
+    }
+  }
+
+  /**
+   * Allows the entered site to use window.localLLM. The permission
+   * request needs the user gesture of this click.
+   * @listens click
+   */
+  siteAddButton.addEventListener('click', async () => {
+    siteMessage.classList.remove('error');
+    siteMessage.textContent = '';
+    try {
+      const granted = await addSite(siteUrlInput.value.trim());
+      if (granted) {
+        siteUrlInput.value = '';
+        siteMessage.textContent = 'Allowed. Reload the site\'s open tabs to use window.localLLM.';
+      } else {
+        siteMessage.textContent = 'Access to the site was not granted.';
+      }
+    } catch (error) {
+      siteMessage.classList.add('error');
+      siteMessage.textContent = error instanceof TypeError ? 'Enter a valid address' : error.message;
+    }
+  });
+
+  /**
+   * Keeps the access list current while prompts are answered elsewhere.
+   * @listens chrome.storage.onChanged
+   */
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[EXTERNAL_APPROVALS_STORAGE_KEY]) {
+      renderApprovals();
+    }
+  });
+
+  fillForm(await loadSettings());
+  renderModelList();
+  renderApprovals();
+});
@@ -0,0 +1,382 @@
+/**
+ * @fileoverview Page API (content script, main world)
+ *
+ * Defines window.localLLM on allow-listed sites: an OpenAI-shaped client
+ * for the local model, so code written for the OpenAI SDK can switch to
+ * it by replacing the client object:
+ *
+ *   const client = window.localLLM; // instead of new OpenAI()
+ *   const stream = await client.chat.completions.create({ messages, stream: true });
+ *   for await (const chunk of stream) {
+ *     console.log(chunk.choices[0].delta.content);
+ *   }
+ *
+ * Supported:
+ * - chat.completions.create({ messages, stream?, max_tokens?, max_completion_tokens?,
+ *   temperature?, top_p?, top_k?, thinking? }, { signal? })
+ * - completions.create({ prompt, stream?, ... }, { signal? })
+ * - embeddings.create({ input }, { signal? })
+ * - status() resolving to { status, message }
+ *
+ * Other OpenAI parameters (n, stop, tools, response_format, ...) are
+ * ignored. Qwen3 reasoning is returned in reasoning_content, next to the
+ * answer in content. Token usage is not reported.
+ *
+ * Calls are relayed by page-bridge.js to the background script, which
+ * asks the user to approve the site on its first call.
+ *
+ * Registered as a classic script for the allowed sites by
+ * syncPageApiScripts() in external-access.js, so it cannot use imports.
+ *
+ * References:
+ * - OpenAI chat completions: https://platform.openai.com/docs/api-reference/chat
+ *
+ * @license MIT
+ */
+
+(() => {
+  const PAGE_SOURCE = 'qwen3-local-llm-page';
+  const BRIDGE_SOURCE = 'qwen3-local-llm-bridge';
+
+  /* Reported as the model of every response unless the caller names one */
+  const DEFAULT_MODEL_ID = 'qwen3-local';
+
+  if (window.localLLM) return;
+
+  let callCount = 0;
+
+  /**
+   * @typedef {Object} Call
+   * @property {function(): Promise<Object>} next - Resolves with the next event
+   * @property {function(): void} close - Abandons the call
+   */
+
+  /**
+   * Starts a call through the bridge.
+   *
+   * Events are queued until read with next(). Aborting the signal queues
+   * an 'abort' event and closes the call, which cancels the request.
+   *
+   * @param {Object} request - External API request
+   * @param {AbortSignal} [signal] - Aborts the call
+   * @returns {Call} The running call
+   */
+  function openCall(request, signal) {
+    const id = `${Date.now().toString(36)}-${++callCount}`;
+    const queue = [];
+    let wake = null;
+    let closed = false;
+
+    const push = (event) => {
+      queue.push(event);
+      if (wake) wake();
+    };
+
+    const onMessage = (event) => {
+      if (event.source !== window || event.data?.source !== BRIDGE_SOURCE || event.data.id !== id) return;
+      push(event.data.event);
+    };
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      window.removeEventListener('message', onMessage);
+      signal?.removeEventListener('abort', onAbort);
+      window.postMessage({ source: PAGE_SOURCE, type: 'close', id }, location.origin);
+    };
+
+    const onAbort = () => {
+      close();
+      push({ type: 'abort' });
+    };
+
+    window.addEventListener('message', onMessage);
+    signal?.addEventListener('abort', onAbort);
+    window.postMessage({ source: PAGE_SOURCE, type: 'request', id, request }, location.origin);
+
+    return {
+      async next() {
+        while (queue.length === 0) {
+          await new Promise((resolve) => {
+            wake = resolve;
+          });
+          wake = null;
+        }
+        return queue.shift();
+      },
+      close
+    };
+  }
+
+  /**
+   * Turns a call event into an exception, if it ends the call unsuccessfully.
+   *
+   * @param {Object} event - Call event
+   * @throws {Error} For error events
+   * @throws {DOMException} AbortError for aborted calls
+   */
+  function throwIfFailed(event) {
+    if (event.type === 'error') {
+      throw new Error(event.message);
+    }
+    if (event.type === 'abort') {
+      throw new DOMException('The request was aborted', 'AbortError');
+    }
+  }
+
+  /**
+   * Runs a call to completion.
+   *
+   * @async
+   * @param {Object} request - External API request
+   * @param {AbortSignal} [signal] - Aborts the call
+   * @returns {Promise<Object>} The final done or result event
+   */
+  async function callOnce(request, signal) {
+    if (signal?.aborted) throwIfFailed({ type: 'abort' });
+
+    const call = openCall(request, signal);
+    try {
+      for (;;) {
+        const event = await call.next();
+        throwIfFailed(event);
+        if (event.type === 'done' || event.type === 'result') return event;
+      }
+    } finally {
+      call.close();
+    }
+  }
+
+  /**
+   * Streams the text of a completion or chat call.
+   *
+   * Breaking out of the loop that reads the stream cancels the request.
+   *
+   * @async
+   * @generator
+   * @param {Object} request - External API request
+   * @param {AbortSignal} signal - Aborts the call
+   * @yields {Object} delta events, then the done event
+   */
+  async function* streamEvents(request, signal) {
+    if (signal.aborted) throwIfFailed({ type: 'abort' });
+
+    const call = openCall(request, signal);
+    try {
+      for (;;) {
+        const event = await call.next();
+        throwIfFailed(event);
+        if (event.type === 'delta' || event.type === 'done') yield event;
+        if (event.type === 'done') return;
+      }
+    } finally {
+      call.close();
+    }
+  }
+
+  /**
+   * Wraps a generator like the Stream object of the OpenAI SDK, which
+   * carries an AbortController for the request.
+   *
+   * @param {function(AbortSignal): AsyncGenerator<Object>} generate - Chunk generator
+   * @param {AbortSignal} [signal] - Caller's signal, forwarded to the controller
+   * @returns {AsyncGenerator<Object> & {controller: AbortController}} Chunk stream
+   */
+  function createStream(generate, signal) {
+    const controller = new AbortController();
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+    if (signal?.aborted) controller.abort();
+
+    const stream = generate(controller.signal);
+    stream.controller = controller;
+    return stream;
+  }
+
+  /**
+   * Maps OpenAI generation parameters to external API options.
+   *
+   * @param {Object} params - Request parameters
+   * @returns {Object} nPredict, temp, top_p, top_k and thinking, where given
+   */
+  function toOptions(params) {
+    const options = {};
+    const maxTokens = params.max_completion_tokens ?? params.max_tokens;
+    if (maxTokens != null) options.nPredict = maxTokens;
+    if (params.temperature != null) options.temp = params.temperature;
+    if (params.top_p != null) options.top_p = params.top_p;
+    if (params.top_k != null) options.top_k = params.top_k;
+    if (params.thinking != null) options.thinking = !!params.thinking;
+    return options;
+  }
+
+  /**
+   * Maps OpenAI chat messages to the plain role/content pairs the model
+   * takes. Text parts of multi-part content are joined; developer
+   * messages count as system messages.
+   *
+   * @param {Array<Object>} messages - OpenAI chat messages
+   * @returns {Array<{role: string, content: string}>} Chat messages
+   */
+  function toChatMessages(messages) {
+    if (!Array.isArray(messages)) {
+      throw new TypeError('messages must be an array');
+    }
+    return messages.map(({ role, content }) => ({
+      role: role === 'developer' ? 'system' : role,
+      content: Array.isArray(content)
+        ? content.filter(part => part.type === 'text').map(part => part.text).join('')
+        : content
+    }));
+  }
+
+  /**
+   * Maps a finish reason to the OpenAI values. Requests cancelled by the
+   * extension (e.g. when the model is reloaded) end like a stop.
+   *
+   * @param {string} finishReason - 'stop' | 'length' | 'cancelled'
+   * @returns {string} 'stop' | 'length'
+   */
+  function toFinishReason(finishReason) {
+    return finishReason === 'length' ? 'length' : 'stop';
+  }
+
+  /**
+   * Returns the ID, creation time and model of a new response.
+   *
+   * @param {string} prefix - ID prefix used by OpenAI for the object type
+   * @param {Object} params - Request parameters
+   * @returns {{id: string, created: number, model: string}} Response fields
+   */
+  function responseFields(prefix, params) {
+    return {
+      id: `${prefix}-${crypto.randomUUID()}`,
+      created: Math.floor(Date.now() / 1000),
+      model: params.model || DEFAULT_MODEL_ID
+    };
+  }
+
+  /**
+   * Creates a chat completion.
+   *
+   * @async
+   * @param {Object} params - OpenAI chat completion parameters
+   * @param {Object} [requestOptions] - Per-request options
+   * @param {AbortSignal} [requestOptions.signal] - Aborts the request
+   * @returns {Promise<Object>} chat.completion object, or a stream of
+   *   chat.completion.chunk objects when params.stream is set
+   */
+  async function createChatCompletion(params, { signal } = {}) {
+    const request = { action: 'CHAT', messages: toChatMessages(params.messages), options: toOptions(params) };
+    const fields = responseFields('chatcmpl', params);
+
+    if (!params.stream) {
+      const { response, reasoning, finishReason } = await callOnce(request, signal);
+      const message = { role: 'assistant', content: response };
+      if (reasoning) message.reasoning_content = reasoning;
+      return {
+        ...fields,
+        object: 'chat.completion',
+        choices: [{ index: 0, message, logprobs: null, finish_reason: toFinishReason(finishReason) }],
+        usage: null
+      };
+    }
+
+    return createStream(async function* (streamSignal) {
+      const chunk = (delta, finishReason = null) => ({
+        ...fields,
+        object: 'chat.completion.chunk',
+        choices: [{ index: 0, delta, logprobs: null, finish_reason: finishReason }]
+      });
+
+      yield chunk({ role: 'assistant', content: '' });
+      for await (const event of streamEvents(request, streamSignal)) {
+        if (event.type === 'done') {
+          yield chunk({}, toFinishReason(event.finishReason));
+        } else if (event.delta || event.reasoningDelta) {
+          const delta = {};
+          if (event.delta) delta.content = event.delta;
+          if (event.reasoningDelta) delta.reasoning_content = event.reasoningDelta;
+          yield chunk(delta);
+        }
+      }
+    }, signal);
+  }
+
+  /**
+   * Creates a text completion. The prompt is answered as a single user
+   * message; reasoning is left out of the text.
+   *
+   * @async
+   * @param {Object} params - OpenAI completion parameters
+   * @param {Object} [requestOptions] - Per-request options
+   * @param {AbortSignal} [requestOptions.signal] - Aborts the request
+   * @returns {Promise<Object>} text_completion object, or a stream of them
+   *   when params.stream is set
+   */
+  async function createCompletion(params, { signal } = {}) {
+    const prompt = Array.isArray(params.prompt) ? params.prompt.join('') : params.prompt;
+    const request = { action: 'COMPLETION', prompt, options: toOptions(params) };
+    const fields = responseFields('cmpl', params);
+    const completion = (text, finishReason = null) => ({
+      ...fields,
+      object: 'text_completion',
+      choices: [{ index: 0, text, logprobs: null, finish_reason: finishReason }]
+    });
+
+    if (!params.stream) {
+      const { response, finishReason } = await callOnce(request, signal);
+      return { ...completion(response, toFinishReason(finishReason)), usage: null };
+    }
+
+    return createStream(async function* (streamSignal) {
+      for await (const event of streamEvents(request, streamSignal)) {
+        if (event.type === 'done') {
+          yield completion('', toFinishReason(event.finishReason));
+        } else if (event.delta) {
+          yield completion(event.delta);
+        }
+      }
+    }, signal);
+  }
+
+  /**
+   * Creates embedding vectors.
+   *
+   * @async
+   * @param {Object} params - OpenAI embedding parameters
+   * @param {string|string[]} params.input - Text or texts to embed
+   * @param {Object} [requestOptions] - Per-request options
+   * @param {AbortSignal} [requestOptions.signal] - Aborts the request
+   * @returns {Promise<Object>} List of embedding objects
+   */
+  async function createEmbeddings(params, { signal } = {}) {
+    const { embeddings } = await callOnce({ action: 'EMBEDDINGS', input: params.input }, signal);
+    return {
+      object: 'list',
+      data: embeddings.map((embedding, index) => ({ object: 'embedding', index, embedding })),
+      model: params.model || DEFAULT_MODEL_ID,
+      usage: null
+    };
+  }
+
+  /**
+   * Reads the model status.
+   *
+   * @async
+   * @returns {Promise<{status: string, message: string}>} Model status
+   */
+  async function getStatus() {
+    const { status, message } = await callOnce({ action: 'GET_STATUS' });
+    return { status, message };
+  }
+
+  Object.defineProperty(window, 'localLLM', {
+    value: Object.freeze({
+      chat: Object.freeze({ completions: Object.freeze({ create: createChatCompletion }) }),
+      completions: Object.freeze({ create: createCompletion }),
+      embeddings: Object.freeze({ create: createEmbeddings }),
+      status: getStatus
+    }),
+    enumerable: true
+  });
+})();
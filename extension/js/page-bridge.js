@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Page API Bridge (content script, isolated world)
+ *
+ * Relays calls of the window.localLLM page API (see page-api.js, which
+ * runs in the page's main world) to the background script. Page scripts
+ * cannot use chrome.runtime, so the two scripts talk via
+ * window.postMessage:
+ *
+ * - The page posts { source: 'qwen3-local-llm-page', type: 'request', id, request }
+ *   to start a call and { ..., type: 'close', id } to abandon it.
+ * - For each call the bridge opens a 'page-api' port, posts the request
+ *   and relays every port event back as
+ *   { source: 'qwen3-local-llm-bridge', id, event }.
+ *
+ * Requests use the external API actions of background.js and need the
+ * same per-origin approval. Closing a port cancels its running request.
+ *
+ * Registered as a classic script for the allowed sites by
+ * syncPageApiScripts() in external-access.js, so it cannot use imports.
+ *
+ * @license MIT
+ */
+
+(() => {
+  const PAGE_SOURCE = 'qwen3-local-llm-page';
+  const BRIDGE_SOURCE = 'qwen3-local-llm-bridge';
+  const PORT_NAME = 'page-api';
+
+  /* Events after which a call is complete */
+  const FINAL_EVENT_TYPES = ['done', 'error', 'result'];
+
+  /**
+   * Open ports keyed by the call ID chosen by the page.
+   * @type {Map<string, chrome.runtime.Port>}
+   */
+  const ports = new Map();
+
+  /**
+   * Posts an event of a call to the page.
+   *
+   * @param {string} id - Call ID
+   * @param {Object} event - Port event from the background script
+   */
+  function postToPage(id, event) {
+    window.postMessage({ source: BRIDGE_SOURCE, id, event }, location.origin);
+  }
+
+  /**
+   * Starts a call on its own port.
+   *
+   * @param {string} id - Call ID
+   * @param {Object} request - External API request
+   */
+  function startCall(id, request) {
+    let port;
+    try {
+      port = chrome.runtime.connect({ name: PORT_NAME });
+    } catch (error) {
+      /* The extension was reloaded or removed since the page loaded */
+      postToPage(id, { type: 'error', message: 'The local model extension is not available' });
+      return;
+    }
+    ports.set(id, port);
+
+    port.onMessage.addListener((event) => {
+      postToPage(id, event);
+      if (FINAL_EVENT_TYPES.includes(event.type)) {
+        ports.delete(id);
+        port.disconnect();
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      if (ports.delete(id)) {
+        postToPage(id, { type: 'error', message: 'The local model extension closed the connection' });
+      }
+    });
+
+    port.postMessage(request);
+  }
+
+  /**
+   * Relays requests from page-api.js.
+   * Messages from other windows and frames are ignored.
+   * @listens message
+   */
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || event.data?.source !== PAGE_SOURCE) return;
+
+    const { type, id, request } = event.data;
+    if (typeof id !== 'string') return;
+
+    if (type === 'request' && !ports.has(id)) {
+      startCall(id, request);
+    } else if (type === 'close') {
+      const port = ports.get(id);
+      if (port) {
+        ports.delete(id);
+        port.disconnect();
+      }
+    }
+  });
+})();
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Page Context
+ *
+ * Lets the model answer questions about the page in the active tab.
+ *
+ * extractPageText() is injected into the tab with chrome.scripting and
+ * returns the readable main text without navigation, ads and other
+ * boilerplate. The offscreen document then trims that text to the token
+ * budget left in the context window and wraps it around the question with
+ * formatPageQuestion().
+ *
+ * References:
+ * - chrome.scripting: https://developer.chrome.com/docs/extensions/reference/api/scripting
+ *
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} PageContext
+ * @property {string} title - Document title
+ * @property {string} url - Page URL
+ * @property {string} text - Readable main text
+ */
+
+/**
+ * Extracts the readable main text of the current document.
+ *
+ * Runs in the page via chrome.scripting.executeScript, so it must be
+ * self-contained: no closures over module variables and no imports.
+ *
+ * Heuristics:
+ * - Prefer <article>, <main> or [role=main] over the whole body
+ * - Skip navigation, headers, footers, sidebars, forms and elements whose
+ *   class or ID suggests comments, sharing widgets, ads or cookie banners
+ * - Skip elements that are not rendered
+ * - Keep headings, paragraphs, list items, quotes, code and table cells,
+ *   one block per line
+ *
+ * @param {number} maxLength - Maximum number of characters returned
+ * @returns {PageContext} Title, URL and text of the page
+ */
+export function extractPageText(maxLength) {
+  const BOILERPLATE_SELECTOR = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas',
+    'nav', 'header', 'footer', 'aside', 'form', 'button', 'dialog',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+    '[role="complementary"]', '[role="dialog"]', '[aria-hidden="true"]', '[hidden]'
+  ].join(',');
+  const BOILERPLATE_NAME = /(^|[-_\s])(comments?|share|social|related|promo|ad|ads|advert|sponsor|cookie|consent|banner|sidebar|newsletter|subscribe|breadcrumbs?|menu|popup|modal)([-_\s]|$)/i;
+  const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, td, th, dt, dd, figcaption';
+
+  const isBoilerplate = (element) => {
+    for (let node = element; node && node !== document.body; node = node.parentElement) {
+      if (node.matches(BOILERPLATE_SELECTOR)) return true;
+      const name = `${node.id} ${typeof node.className === 'string' ? node.className : ''}`;
+      if (BOILERPLATE_NAME.test(name)) return true;
+    }
+    return false;
+  };
+
+  const isRendered = (element) => (
+    element.checkVisibility ? element.checkVisibility() : element.offsetParent !== null
+  );
+
+  /* The candidate root holding the most text wins */
+  const candidates = [...document.querySelectorAll('article, main, [role="main"]')]
+    .filter(element => !isBoilerplate(element));
+  let root = document.body;
+  let bestLength = 0;
+  for (const candidate of candidates) {
+    const length = candidate.textContent.length;
+    if (length > bestLength) {
+      root = candidate;
+      bestLength = length;
+    }
+  }
+
+  const lines = [];
+  let length = 0;
+  for (const block of root.querySelectorAll(BLOCK_SELECTOR)) {
+    /* Nested blocks (a <p> in an <li>) are read through their parent */
+    if (block.parentElement.closest(BLOCK_SELECTOR)) continue;
+    if (!isRendered(block) || isBoilerplate(block)) continue;
+
+    const text = block.innerText.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+    if (!text) continue;
+
+    const line = /^H\d$/.test(block.tagName) ? `## ${text}` : text;
+    lines.push(line);
+    length += line.length + 1;
+    if (length >= maxLength) break;
+  }
+
+  /* Pages without block markup fall back to all rendered text */
+  let text = lines.join('\n');
+  if (text.length < 200) {
+    text = (root.innerText || '').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  return {
+    title: document.title,
+    url: location.href,
+    text: text.slice(0, maxLength)
+  };
+}
+
+/**
+ * Maximum number of characters extracted from a page before token-based
+ * trimming. Bounds the message size and tokenization time.
+ * @const {number}
+ */
+export const MAX_PAGE_TEXT_LENGTH = 100000;
+
+/**
+ * Wraps a question with the page it is about.
+ *
+ * @param {PageContext} page - Page title, URL and (trimmed) text
+ * @param {string} question - User question
+ * @returns {string} Message content for the model
+ */
+export function formatPageQuestion(page, question) {
+  return [
+    'Answer the question using the web page below. If the page does not contain the answer, say so.',
+    '',
+    `Page title: ${page.title || 'Untitled'}`,
+    `Page URL: ${page.url}`,
+    '"""',
+    page.text,
+    '"""',
+    '',
+    `Question: ${question}`
+  ].join('\n');
+}
+
+/**
+ * Reads the page in a tab.
+ *
+ * @async
+ * @param {number} tabId - Tab to read
+ * @returns {Promise<PageContext>} Extracted page
+ * @throws {Error} If the page cannot be scripted (e.g. chrome:// pages) or has no text
+ */
+export async function readPageContext(tabId) {
+  let results;
+  try {
+    results = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: extractPageText,
+      args: [MAX_PAGE_TEXT_LENGTH]
+    });
+  } catch (error) {
+    throw new Error(`This page cannot be read (${error.message})`);
+  }
+
+  const page = results?.[0]?.result;
+  if (!page || !page.text) {
+    throw new Error('No readable text found on this page');
+  }
+  return page;
+}
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Prompt Prefix Re-warm
+ *
+ * The wasm build of wllama has a single KV sequence and cannot copy KV
+ * state out of its heap, so an evaluated prompt prefix (the system
+ * prompt, an earlier conversation) cannot be snapshotted and restored.
+ * What it can do is re-warm: keep the token list of the prefix and, while
+ * the model is idle, bring the KV cache back to it. Tokens the cache
+ * shares with the prefix are kept and only the rest is decoded again, so
+ * the next completion with useCache skips the prefix.
+ *
+ * A re-warm leaves the cache alone when it already starts with the
+ * prefix: a conversation continued behind it stays cached.
+ *
+ * The tokens are decoded without being fed to the sampler. That is the
+ * same as any prefix reused with useCache: createCompletion initializes
+ * sampling again and only accepts the tokens it evaluates itself.
+ *
+ * @license MIT
+ */
+
+/**
+ * Tokenizes a prefix the way createCompletion tokenizes a prompt, BOS
+ * token included, so its tokens match the start of the prompts that
+ * begin with it.
+ *
+ * @async
+ * @param {Wllama} wllama - Loaded model
+ * @param {string} text - Formatted prefix, e.g. from formatChat()
+ * @returns {Promise<number[]>} Tokens of the prefix
+ */
+export async function tokenizePrefix(wllama, text) {
+  const tokens = await wllama.tokenize(text, true);
+  if (wllama.addBosToken && tokens[0] !== wllama.bosToken) {
+    tokens.unshift(wllama.bosToken);
+  }
+  return tokens;
+}
+
+/**
+ * Formats the start that every next turn of a conversation shares.
+ *
+ * The conversation is formatted twice for a next turn, with two different
+ * user messages, and the text both begin with is returned. It ends where
+ * the content of the next user message would start, whatever the chat
+ * template renders around the turns.
+ *
+ * @async
+ * @param {Wllama} wllama - Loaded model
+ * @param {Array<{role: string, content: string}>} messages - Conversation
+ *   so far, as passed to createChatCompletion
+ * @returns {Promise<string>} Formatted prefix
+ */
+export async function formatConversationPrefix(wllama, messages) {
+  const first = await wllama.formatChat([...messages, { role: 'user', content: 'a' }], true);
+  const second = await wllama.formatChat([...messages, { role: 'user', content: 'b' }], true);
+  let length = 0;
+  while (length < first.length && first[length] === second[length]) length++;
+  return first.slice(0, length);
+}
+
+/**
+ * Tells whether a token list starts with another.
+ *
+ * @param {number[]} tokens - Tokens to look at
+ * @param {number[]} prefix - Expected start
+ * @returns {boolean} True if tokens begins with every token of prefix
+ */
+export function startsWithTokens(tokens, prefix) {
+  return prefix.length <= tokens.length && prefix.every((token, i) => tokens[i] === token);
+}
+
+/**
+ * Makes the KV cache start with a prefix again.
+ *
+ * If the cache already does, nothing changes. Otherwise the cache is cut
+ * after the longest start it shares with the prefix and the rest of the
+ * prefix is decoded.
+ *
+ * @async
+ * @param {Wllama} wllama - Loaded model, not generating
+ * @param {number[]} tokens - Prefix, see tokenizePrefix()
+ * @returns {Promise<number>} Number of tokens decoded, 0 if the cache
+ *   already held the prefix
+ */
+export async function rewarmPrefix(wllama, tokens) {
+  if (tokens.length === 0) return 0;
+  const cached = await wllama.getCachedTokens();
+  if (startsWithTokens(cached, tokens)) return 0;
+
+  const missing = await wllama.computeNonCachedTokens(tokens);
+  if (missing.length > 0) {
+    await wllama.decode(missing, {});
+  }
+  return missing.length;
+}
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Session Store
+ *
+ * Keeps the saved session of a conversation (the tokens the model had
+ * evaluated for it, see wllama/session.js) in the origin private file
+ * system, one JSON file per conversation, and turns sessions into files
+ * users can download and import in another browser profile.
+ *
+ * A session file carries its conversation as well, so importing it
+ * restores the chat the tokens belong to.
+ *
+ * File shape:
+ * - type: SESSION_FILE_TYPE
+ * - session: The session
+ * - conversation: Title, model, settings and messages of the conversation
+ *
+ * References:
+ * - Origin private file system: https://developer.mozilla.org/en-US/docs/Web/API/File_System_API/Origin_private_file_system
+ *
+ * @license MIT
+ */
+
+import { WllamaError } from './wllama/errors.js';
+import { parseSession } from './wllama/session.js';
+
+/**
+ * OPFS directory holding one session per conversation.
+ * @const {string}
+ */
+const SESSION_DIRECTORY = 'sessions';
+
+/**
+ * Marker of exported session files.
+ * @const {string}
+ */
+const SESSION_FILE_TYPE = 'qwen3-chat-session';
+
+/**
+ * Roles a message of an imported conversation may have.
+ * @const {string[]}
+ */
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Opens the session directory, creating it on first use.
+ *
+ * @async
+ * @returns {Promise<FileSystemDirectoryHandle>} Directory handle
+ */
+async function getSessionDirectory() {
+  const root = await navigator.storage.getDirectory();
+  return root.getDirectoryHandle(SESSION_DIRECTORY, { create: true });
+}
+
+/**
+ * Saves the session of a conversation, replacing an earlier one.
+ *
+ * @async
+ * @param {string} conversationId - Conversation the session belongs to
+ * @param {import('./wllama/session.js').Session} session - Session to save
+ */
+export async function writeSession(conversationId, session) {
+  const directory = await getSessionDirectory();
+  const handle = await directory.getFileHandle(`${conversationId}.json`, { create: true });
+  const writable = await handle.createWritable();
+  try {
+    await writable.write(JSON.stringify(session));
+  } finally {
+    await writable.close();
+  }
+}
+
+/**
+ * Reads the saved session of a conversation.
+ *
+ * @async
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<import('./wllama/session.js').Session|null>} The
+ *   session, or null if none was saved
+ * @throws {WllamaError} session_error if the stored file is not a session
+ */
+export async function readSession(conversationId) {
+  const directory = await getSessionDirectory();
+  let file;
+  try {
+    file = await (await directory.getFileHandle(`${conversationId}.json`)).getFile();
+  } catch (error) {
+    if (error.name === 'NotFoundError') return null;
+    throw error;
+  }
+  try {
+    return parseSession(JSON.parse(await file.text()));
+  } catch (error) {
+    throw error instanceof SyntaxError ? new WllamaError('Not a session', 'session_error') : error;
+  }
+}
+
+/**
+ * Deletes the saved session of a conversation, if there is one.
+ *
+ * @async
+ * @param {string} conversationId - Conversation ID
+ */
+export async function deleteSession(conversationId) {
+  const directory = await getSessionDirectory();
+  try {
+    await directory.removeEntry(`${conversationId}.json`);
+  } catch (error) {
+    if (error.name !== 'NotFoundError') throw error;
+  }
+}
+
+/**
+ * Builds the file a session is exported as.
+ *
+ * @param {import('./wllama/session.js').Session} session - Session
+ * @param {import('./conversation-store.js').Conversation} conversation -
+ *   Conversation the session belongs to
+ * @returns {Blob} JSON file
+ */
+export function createSessionFile(session, conversation) {
+  const { title, model, settings, messages } = conversation;
+  const file = { type: SESSION_FILE_TYPE, session, conversation: { title, model, settings, messages } };
+  return new Blob([JSON.stringify(file)], { type: 'application/json' });
+}
+
+/**
+ * Reads an exported session file.
+ *
+ * @async
+ * @param {Blob} file - File picked by the user
+ * @returns {Promise<{session: import('./wllama/session.js').Session, conversation: Object}>}
+ *   Session and the title, model, settings and messages of its conversation;
+ *   messages without a timestamp get their index as one
+ * @throws {Error} If the file is not a session file
+ */
+export async function readSessionFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error('Not a session file');
+  }
+  if (data?.type !== SESSION_FILE_TYPE) {
+    throw new Error('Not a session file');
+  }
+
+  const session = parseSession(data.session);
+  const { title = '', model = null, settings = {}, messages } = data.conversation || {};
+  const valid = Array.isArray(messages) && messages.every(message =>
+    MESSAGE_ROLES.includes(message?.role) && typeof message.content === 'string'
+  );
+  if (!valid || typeof title !== 'string') {
+    throw new Error('Invalid session file: bad conversation');
+  }
+  return {
+    session,
+    conversation: {
+      title,
+      model,
+      settings,
+      messages: messages.map((message, index) => ({
+        ...message,
+        createdAt: Number.isFinite(message.createdAt) ? message.createdAt : index
+      }))
+    }
+  };
+}
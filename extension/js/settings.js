@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Extension Settings
+ *
+ * Defines the user-configurable inference and model-loading settings,
+ * their defaults and validation rules. Settings are edited on the options
+ * page and persisted in chrome.storage.local under the 'settings' key.
+ * The model to load is stored separately under 'selectedModelUrl'.
+ *
+ * The offscreen document cannot access chrome.storage, so the background
+ * script reads the settings and passes the relevant subset along with
+ * OFFSCREEN_INIT_MODEL and OFFSCREEN_RUN_PROMPT messages.
+ *
+ * References:
+ * - chrome.storage: https://developer.chrome.com/docs/extensions/reference/api/storage
+ *
+ * @license MIT
+ */
+
+/**
+ * Key under which settings are stored in chrome.storage.local.
+ * @const {string}
+ */
+export const SETTINGS_STORAGE_KEY = 'settings';
+
+/**
+ * Key under which the URL of the selected model is stored.
+ * @const {string}
+ */
+export const SELECTED_MODEL_STORAGE_KEY = 'selectedModelUrl';
+
+/**
+ * Relative path to the GGUF model bundled with the extension package.
+ * Used until the user selects another model.
+ * @const {string}
+ */
+export const BUNDLED_MODEL_PATH = 'models/Qwen3-0.6B-UD-Q8_K_XL.gguf';
+
+/**
+ * KV cache data types accepted by llama.cpp for cache_type_k/cache_type_v.
+ * @const {string[]}
+ */
+export const KV_CACHE_TYPES = Object.freeze(['f32', 'f16', 'q8_0', 'q5_1', 'q5_0', 'q4_1', 'q4_0']);
+
+/**
+ * What to do when a model is estimated to need more memory than the
+ * device has (see Wllama.preflightMemory): load anyway with a warning,
+ * shrink the context and batch size until it fits, or refuse to load.
+ * @const {string[]}
+ */
+export const MEMORY_PREFLIGHT_MODES = Object.freeze(['warn', 'shrink', 'refuse']);
+
+/**
+ * @typedef {Object} Settings
+ * @property {number} n_ctx - Context size in tokens
+ * @property {number} n_threads - Worker threads, 0 for automatic
+ * @property {number} n_batch - Prompt processing batch size
+ * @property {string} cache_type_k - KV cache type for keys
+ * @property {string} cache_type_v - KV cache type for values
+ * @property {boolean} flash_attn - Whether to use flash attention
+ * @property {string} memoryPreflight - One of MEMORY_PREFLIGHT_MODES
+ * @property {number} nPredict - Maximum tokens generated per reply
+ * @property {number} temp - Sampling temperature
+ * @property {number} top_k - Top-K sampling cutoff, 0 to disable
+ * @property {number} top_p - Nucleus sampling threshold
+ * @property {string} systemPrompt - System message prepended to every chat
+ * @property {number} idleUnloadMinutes - Minutes without prompts before the
+ *   model is unloaded, 0 to keep it loaded
+ * @property {boolean} closeOffscreenWhenIdle - Whether to also close the
+ *   offscreen document when the model is unloaded
+ */
+
+/**
+ * Settings used until the user changes them.
+ * @const {Settings}
+ */
+export const DEFAULT_SETTINGS = Object.freeze({
+  n_ctx: 2048,
+  n_threads: 0,
+  n_batch: 512,
+  cache_type_k: 'f16',
+  cache_type_v: 'f16',
+  flash_attn: false,
+  memoryPreflight: 'shrink',
+  nPredict: 256,
+  temp: 0.7,
+  top_k: 40,
+  top_p: 0.9,
+  systemPrompt: '',
+  idleUnloadMinutes: 15,
+  closeOffscreenWhenIdle: false
+});
+
+/**
+ * Settings that are applied when the model is loaded.
+ * Changing any of them requires reloading the model.
+ * @const {string[]}
+ */
+export const LOAD_SETTING_KEYS = Object.freeze([
+  'n_ctx',
+  'n_threads',
+  'n_batch',
+  'cache_type_k',
+  'cache_type_v',
+  'flash_attn',
+  'memoryPreflight'
+]);
+
+/**
+ * Maximum length of the system prompt in characters.
+ * @const {number}
+ */
+const MAX_SYSTEM_PROMPT_LENGTH = 4000;
+
+/**
+ * Numeric settings and their accepted ranges.
+ * @const {Object<string, {min: number, max: number, integer: boolean}>}
+ */
+const NUMERIC_RULES = {
+  n_ctx: { min: 256, max: 32768, integer: true },
+  n_threads: { min: 0, max: 32, integer: true },
+  n_batch: { min: 32, max: 4096, integer: true },
+  nPredict: { min: 1, max: 32768, integer: true },
+  temp: { min: 0, max: 2, integer: false },
+  top_k: { min: 0, max: 200, integer: false },
+  top_p: { min: 0, max: 1, integer: false },
+  idleUnloadMinutes: { min: 0, max: 1440, integer: true }
+};
+
+/**
+ * Validates settings and fills in defaults for missing values.
+ *
+ * Besides per-field ranges, cross-field rules are enforced:
+ * - n_batch and nPredict cannot exceed n_ctx
+ * - A quantized V cache requires flash attention in llama.cpp
+ *
+ * @param {Partial<Settings>} input - Settings to check
+ * @returns {{settings: Settings, errors: Object<string, string>}}
+ *   Normalized settings and an error message per invalid field
+ */
+export function validateSettings(input) {
+  const settings = { ...DEFAULT_SETTINGS, ...input };
+  const errors = {};
+
+  for (const [key, rule] of Object.entries(NUMERIC_RULES)) {
+    const value = Number(settings[key]);
+    settings[key] = value;
+
+    if (!Number.isFinite(value) || value < rule.min || value > rule.max) {
+      errors[key] = `Must be between ${rule.min} and ${rule.max}`;
+    } else if (rule.integer && !Number.isInteger(value)) {
+      errors[key] = 'Must be a whole number';
+    }
+  }
+
+  for (const key of ['cache_type_k', 'cache_type_v']) {
+    if (!KV_CACHE_TYPES.includes(settings[key])) {
+      errors[key] = `Must be one of ${KV_CACHE_TYPES.join(', ')}`;
+    }
+  }
+
+  if (!MEMORY_PREFLIGHT_MODES.includes(settings.memoryPreflight)) {
+    errors.memoryPreflight = `Must be one of ${MEMORY_PREFLIGHT_MODES.join(', ')}`;
+  }
+
+  settings.flash_attn = !!settings.flash_attn;
+  settings.closeOffscreenWhenIdle = !!settings.closeOffscreenWhenIdle;
+  settings.systemPrompt = String(settings.systemPrompt ?? '');
+
+  if (settings.systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+    errors.systemPrompt = `Must be at most ${MAX_SYSTEM_PROMPT_LENGTH} characters`;
+  }
+
+  if (!errors.n_batch && !errors.n_ctx && settings.n_batch > settings.n_ctx) {
+    errors.n_batch = 'Cannot exceed the context size';
+  }
+
+  if (!errors.nPredict && !errors.n_ctx && settings.nPredict >= settings.n_ctx) {
+    errors.nPredict = 'Must be smaller than the context size';
+  }
+
+  if (!errors.cache_type_v && !settings.flash_attn && !['f32', 'f16'].includes(settings.cache_type_v)) {
+    errors.cache_type_v = 'A quantized V cache requires flash attention';
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * Reads the stored settings.
+ *
+ * Invalid stored values (e.g. from an older version) fall back to the
+ * defaults field by field.
+ *
+ * @async
+ * @returns {Promise<Settings>} Valid settings
+ */
+export async function loadSettings() {
+  const data = await chrome.storage.local.get(SETTINGS_STORAGE_KEY);
+  const { settings, errors } = validateSettings(data[SETTINGS_STORAGE_KEY] || {});
+
+  for (const key of Object.keys(errors)) {
+    settings[key] = DEFAULT_SETTINGS[key];
+  }
+  return settings;
+}
+
+/**
+ * Validates and stores settings.
+ *
+ * Nothing is written if any field is invalid.
+ *
+ * @async
+ * @param {Partial<Settings>} input - Settings to store
+ * @returns {Promise<Object<string, string>>} Validation errors, empty on success
+ */
+export async function saveSettings(input) {
+  const { settings, errors } = validateSettings(input);
+  if (Object.keys(errors).length === 0) {
+    await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: settings });
+  }
+  return errors;
+}
+
+/**
+ * Extracts the Wllama.loadModel options from the settings.
+ *
+ * @param {Settings} settings - Valid settings
+ * @returns {Object} Load config; n_threads is omitted when automatic
+ */
+export function getLoadConfig(settings) {
+  const config = {};
+  for (const key of LOAD_SETTING_KEYS) {
+    config[key] = settings[key];
+  }
+  if (!config.n_threads) delete config.n_threads;
+  return config;
+}
+
+/**
+ * Extracts the per-prompt generation settings.
+ *
+ * @param {Settings} settings - Valid settings
+ * @returns {{nPredict: number, temp: number, top_k: number, top_p: number, systemPrompt: string}}
+ */
+export function getInferenceSettings(settings) {
+  const { nPredict, temp, top_k, top_p, systemPrompt } = settings;
+  return { nPredict, temp, top_k, top_p, systemPrompt };
+}
+
+/**
+ * Returns how long the offscreen document keeps an unused model loaded.
+ *
+ * @param {Settings} settings - Valid settings
+ * @returns {number} Idle timeout in milliseconds, 0 to never unload
+ */
+export function getIdleTimeoutMs(settings) {
+  return settings.idleUnloadMinutes * 60 * 1000;
+}
+
+/**
+ * Returns the chrome-extension:// URL of the bundled model.
+ *
+ * @returns {string} Model URL
+ */
+export function getBundledModelUrl() {
+  return chrome.runtime.getURL(BUNDLED_MODEL_PATH);
+}
+
+/**
+ * Reads the URL of the model to load.
+ *
+ * @async
+ * @returns {Promise<string>} Selected model URL, or the bundled model
+ */
+export async function getSelectedModelUrl() {
+  const data = await chrome.storage.local.get(SELECTED_MODEL_STORAGE_KEY);
+  return data[SELECTED_MODEL_STORAGE_KEY] || getBundledModelUrl();
+}
+
+/**
+ * Stores the URL of the model to load.
+ *
+ * @async
+ * @param {string} url - Model URL as listed by the model library
+ */
+export async function selectModel(url) {
+  await chrome.storage.local.set({ [SELECTED_MODEL_STORAGE_KEY]: url });
+}
@@ -0,0 +1,66 @@
+/**
+ * @file sidepanel.js
+ * @description Extension side panel entry point
+ *
+ * Runs the shared chat controller (see chat-controller.js) in the browser
+ * side panel. Unlike the popup, the side panel stays open while the user
+ * browses, so long generations can be followed to the end.
+ *
+ * The panel follows the active tab of its window and shows which page is
+ * current, so questions can be asked about it. Because the panel stays
+ * open across tab switches, it asks for optional host access instead of
+ * relying on activeTab, which only covers the tab the extension was
+ * invoked on.
+ *
+ * @author llama-cpp-wasm-qwen3
+ * @license MIT
+ */
+
+import { initChatController } from './chat-controller.js';
+
+/**
+ * Initialize the side panel when DOM is ready.
+ * @listens DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  initChatController({ requestPageAccess: true });
+
+  /** @type {HTMLDivElement|null} */
+  const pageContext = document.getElementById('pageContext');
+  if (!pageContext) return;
+
+  /* The panel belongs to one window; tabs of other windows are ignored */
+  const { id: windowId } = await chrome.windows.getCurrent();
+
+  /**
+   * Shows the active tab of the panel's window.
+   * Titles are only readable for pages the extension has access to.
+   *
+   * @async
+   */
+  async function showActiveTab() {
+    const [tab] = await chrome.tabs.query({ active: true, windowId });
+    pageContext.textContent = `Current tab: ${tab?.title || 'untitled page'}`;
+    pageContext.title = tab?.url || '';
+  }
+
+  /**
+   * Follows tab switches in the panel's window.
+   * @listens chrome.tabs.onActivated
+   */
+  chrome.tabs.onActivated.addListener((activeInfo) => {
+    if (activeInfo.windowId === windowId) showActiveTab();
+  });
+
+  /**
+   * Follows navigation and title changes of the active tab.
+   * @listens chrome.tabs.onUpdated
+   */
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (tab.active && tab.windowId === windowId && (changeInfo.title || changeInfo.url)) {
+      showActiveTab();
+    }
+  });
+
+  showActiveTab();
+});
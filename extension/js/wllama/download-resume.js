@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Download Resume Helpers
+ *
+ * Decide whether an interrupted model download can continue with a Range
+ * request. They are shared by the OPFS worker of the wllama build, which
+ * receives their source text (see OPFS_UTILS_WORKER_CODE in index.js),
+ * and by the Node.js filesystem cache in node/fs-cache-manager.mjs.
+ *
+ * Both functions are plain function declarations that use nothing from
+ * the module scope, so that Function.prototype.toString() yields code
+ * that runs on its own inside the worker.
+ *
+ * @license MIT
+ */
+
+/**
+ * Returns the ETag of a response in the form stored in the cache metadata.
+ *
+ * @param {Response} response - HTTP response
+ * @returns {string} ETag, alphanumerics only
+ */
+export function getEtag(response) {
+  return (response.headers.get('etag') || '').replace(/[^A-Za-z0-9]/g, '');
+}
+
+/**
+ * Checks that a 206 response continues a partial download: same remote
+ * file (ETag and size), starting right after the bytes already written.
+ *
+ * @param {Response} response - Response to the Range request
+ * @param {{loaded: number, total: number, etag: string}} partial - Partial download
+ * @returns {boolean} True if the body can be appended
+ */
+export function isContinuation(response, partial) {
+  if (response.status !== 206 || getEtag(response) !== partial.etag) return false;
+  const range = (response.headers.get('content-range') || '').match(/^bytes (\d+)-\d+\/(\d+)$/);
+  return !!range && Number(range[1]) === partial.loaded && Number(range[2]) === partial.total;
+}
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Model Memory Estimate
+ *
+ * Estimates the wasm memory a model needs from its GGUF headers (see
+ * gguf.js) before it is loaded, so Wllama.loadModel() can warn about,
+ * shrink or refuse a context that would not fit instead of crashing the
+ * tab with an out-of-memory abort.
+ *
+ * The estimate adds:
+ * - weights: the tensor data of every shard
+ * - kvCache: n_ctx cells of K and V for every layer, in cache_type_k/v
+ * - compute: the float32 buffers of one n_batch (logits, activations
+ *   and, without flash attention, the attention scores)
+ * - overhead: a fixed allowance for the runtime and the allocator
+ *
+ * References:
+ * - llama.cpp KV cache size: https://github.com/ggml-org/llama.cpp/blob/master/src/llama-kv-cache.cpp
+ *
+ * @license MIT
+ */
+
+import { WllamaError } from './errors.js';
+import { GGML_TYPE_NAMES } from './gguf.js';
+
+/**
+ * Largest memory a wasm32 module can address.
+ * @const {number}
+ */
+const WASM32_MEMORY_LIMIT = 4 * 1024 * 1024 * 1024;
+
+/**
+ * Memory used besides the model: runtime, allocator slack, tokenizer.
+ * @const {number}
+ */
+const WASM_MEMORY_OVERHEAD = 64 * 1024 * 1024;
+
+/**
+ * Defaults of Wllama.loadModel().
+ * @const {number}
+ */
+const DEFAULT_N_CTX = 1024;
+const DEFAULT_N_BATCH = 512;
+
+/**
+ * Smallest context and batch the "shrink" mode goes down to.
+ * @const {number}
+ */
+const MEMORY_PREFLIGHT_MIN_CTX = 512;
+const MEMORY_PREFLIGHT_MIN_BATCH = 64;
+
+/**
+ * Block size and bytes per block of each tensor type.
+ * @const {Object<number, number[]>}
+ */
+const GGML_TYPE_SIZES = {
+  0: [1, 4],
+  1: [1, 2],
+  2: [32, 18],
+  3: [32, 20],
+  6: [32, 22],
+  7: [32, 24],
+  8: [32, 34],
+  9: [32, 36],
+  10: [256, 84],
+  11: [256, 110],
+  12: [256, 144],
+  13: [256, 176],
+  14: [256, 210],
+  15: [256, 292],
+  16: [256, 66],
+  17: [256, 74],
+  18: [256, 98],
+  19: [256, 50],
+  20: [32, 18],
+  21: [256, 110],
+  22: [256, 82],
+  23: [256, 136],
+  24: [1, 1],
+  25: [1, 2],
+  26: [1, 4],
+  27: [1, 8],
+  28: [1, 8],
+  29: [256, 56],
+  30: [1, 2],
+  34: [256, 54],
+  35: [256, 66],
+  39: [32, 17]
+};
+
+/**
+ * @typedef {Object} MemoryEstimate
+ * @property {number} weights - Tensor data, in bytes
+ * @property {number} kvCache - KV cache, in bytes
+ * @property {number} compute - Compute buffers, in bytes
+ * @property {number} overhead - Fixed allowance, in bytes
+ * @property {number} total - Sum of the above
+ * @property {number} n_ctx - Context size the estimate is for
+ * @property {number} n_batch - Batch size the estimate is for
+ */
+
+/**
+ * @typedef {Object} MemoryBudget
+ * @property {number} wasmLimit - wasm32 address space
+ * @property {?number} deviceMemory - navigator.deviceMemory in bytes
+ * @property {?number} jsHeapLimit - performance.memory.jsHeapSizeLimit
+ * @property {number} budget - Memory a model may use
+ */
+
+/**
+ * Returns the size of `count` values of a tensor type.
+ *
+ * @param {number} type - ggml_type
+ * @param {number} count - Number of values
+ * @returns {number} Size in bytes
+ */
+function ggmlRowSize(type, count) {
+  const [blockSize, blockBytes] = GGML_TYPE_SIZES[type] || [1, 0];
+  return Math.ceil(count / blockSize) * blockBytes;
+}
+
+/**
+ * Returns the tensor type of a KV cache type name, e.g. 'q8_0'.
+ *
+ * @param {string} name - Lowercase type name
+ * @returns {number} ggml_type
+ * @throws {WllamaError} If the name is unknown
+ */
+function ggmlTypeFromName(name) {
+  const type = Object.keys(GGML_TYPE_NAMES).find(t => GGML_TYPE_NAMES[t].toLowerCase() === name);
+  if (type === undefined) {
+    throw new WllamaError(`Unknown KV cache type: ${name}`, 'load_error');
+  }
+  return Number(type);
+}
+
+/**
+ * Formats a size for messages.
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in MiB
+ */
+function formatMiB(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))} MiB`;
+}
+
+/**
+ * Estimates the peak memory of loading a model.
+ *
+ * @param {Array<Object>} headers - GGUF headers of all shards, see
+ *   readGGUFHeader(); arrays may be skipped except tokenizer.ggml.tokens'
+ *   length, which gives the vocabulary size
+ * @param {Object} [config={}] - LoadModelConfig: n_ctx, n_batch,
+ *   cache_type_k, cache_type_v and flash_attn are used
+ * @returns {MemoryEstimate} Estimate
+ */
+export function estimateModelMemory(headers, config = {}) {
+  const metadata = headers[0].metadata;
+  const value = key => metadata[key]?.value;
+  const arch = value('general.architecture');
+  /* Per-layer values are arrays in some architectures */
+  const maxOf = (v, fallback) => (Array.isArray(v) ? Math.max(...v) : v || fallback);
+
+  const nLayer = value(`${arch}.block_count`) || 0;
+  const nEmbd = value(`${arch}.embedding_length`) || 0;
+  const nHead = maxOf(value(`${arch}.attention.head_count`), 1);
+  const headCountKv = value(`${arch}.attention.head_count_kv`);
+  const keyLength = value(`${arch}.attention.key_length`) || nEmbd / nHead;
+  const valueLength = value(`${arch}.attention.value_length`) || nEmbd / nHead;
+  const nFf = maxOf(value(`${arch}.feed_forward_length`), 4 * nEmbd);
+  const nVocab = value(`${arch}.vocab_size`) || metadata['tokenizer.ggml.tokens']?.length || 0;
+
+  const nCtx = config.n_ctx || DEFAULT_N_CTX;
+  const nBatch = Math.min(config.n_batch || DEFAULT_N_BATCH, nCtx);
+  const typeK = ggmlTypeFromName(config.cache_type_k || 'f16');
+  const typeV = ggmlTypeFromName(config.cache_type_v || 'f16');
+
+  let weights = 0;
+  for (const header of headers) {
+    weights += header.tensorDataOffset;
+    for (const tensor of header.tensors) {
+      weights += ggmlRowSize(tensor.type, tensor.shape.reduce((acc, dim) => acc * Number(dim), 1));
+    }
+  }
+
+  let kvCache = 0;
+  for (let il = 0; il < nLayer; il++) {
+    const nHeadKv = Array.isArray(headCountKv) ? headCountKv[il] : headCountKv ?? nHead;
+    kvCache += nCtx * (ggmlRowSize(typeK, nHeadKv * keyLength) + ggmlRowSize(typeV, nHeadKv * valueLength));
+  }
+
+  const compute = 4 * nBatch * (nVocab + 4 * nEmbd + 2 * nFf + (config.flash_attn ? 0 : nHead * nCtx));
+  const overhead = WASM_MEMORY_OVERHEAD;
+  return {
+    weights,
+    kvCache,
+    compute,
+    overhead,
+    total: weights + kvCache + compute + overhead,
+    n_ctx: nCtx,
+    n_batch: nBatch
+  };
+}
+
+/**
+ * Returns the memory a model may use: the wasm32 limit, half of
+ * navigator.deviceMemory and performance.memory.jsHeapSizeLimit, where
+ * the browser reports them.
+ *
+ * @returns {MemoryBudget} Budget and what it was derived from
+ */
+export function getMemoryBudget() {
+  const deviceMemory = typeof navigator !== 'undefined' && navigator.deviceMemory
+    ? navigator.deviceMemory * 1024 * 1024 * 1024
+    : null;
+  const jsHeapLimit = (typeof performance !== 'undefined' && performance.memory?.jsHeapSizeLimit) || null;
+  return {
+    wasmLimit: WASM32_MEMORY_LIMIT,
+    deviceMemory,
+    jsHeapLimit,
+    budget: Math.min(WASM32_MEMORY_LIMIT, deviceMemory ? deviceMemory / 2 : Infinity, jsHeapLimit || Infinity)
+  };
+}
+
+/**
+ * Compares the estimate of a model with the memory budget and decides
+ * how to load it, following config.memoryPreflight:
+ * - "warn" (default): load anyway with a warning, unless even the wasm32
+ *   limit is exceeded
+ * - "shrink": halve n_ctx, then n_batch, until the estimate fits
+ * - "refuse": throw
+ * - "off": skip the estimate
+ *
+ * @param {Array<Object>} headers - GGUF headers of all shards
+ * @param {Object} config - LoadModelConfig
+ * @param {MemoryBudget} [memoryBudget=getMemoryBudget()] - Budget to fit in
+ * @returns {{config: Object, estimate: ?MemoryEstimate, warning: ?string}}
+ *   Config to load with (n_ctx and n_batch may be smaller with "shrink"),
+ *   its estimate (null with "off") and a warning to log, if any
+ * @throws {WllamaError} load_error if the model cannot fit
+ */
+export function preflightModelMemory(headers, config, memoryBudget = getMemoryBudget()) {
+  const mode = config.memoryPreflight ?? 'warn';
+  if (mode === 'off') {
+    return { config, estimate: null, warning: null };
+  }
+  const { budget, wasmLimit } = memoryBudget;
+  let estimate = estimateModelMemory(headers, config);
+  const describe = e =>
+    `${formatMiB(e.total)} needed (weights ${formatMiB(e.weights)}, KV cache ${formatMiB(e.kvCache)}, ` +
+    `compute ${formatMiB(e.compute)}) with n_ctx = ${e.n_ctx}, n_batch = ${e.n_batch}; ${formatMiB(budget)} available`;
+
+  if (estimate.total > budget && mode === 'shrink') {
+    let shrunk = { ...config, n_ctx: estimate.n_ctx, n_batch: estimate.n_batch };
+    let next = estimate;
+    while (next.total > budget && (shrunk.n_ctx > MEMORY_PREFLIGHT_MIN_CTX || shrunk.n_batch > MEMORY_PREFLIGHT_MIN_BATCH)) {
+      if (shrunk.n_ctx > MEMORY_PREFLIGHT_MIN_CTX) {
+        const n_ctx = Math.max(MEMORY_PREFLIGHT_MIN_CTX, Math.floor(shrunk.n_ctx / 2));
+        shrunk = { ...shrunk, n_ctx, n_batch: Math.min(shrunk.n_batch, n_ctx) };
+      } else {
+        shrunk = { ...shrunk, n_batch: Math.max(MEMORY_PREFLIGHT_MIN_BATCH, Math.floor(shrunk.n_batch / 2)) };
+      }
+      next = estimateModelMemory(headers, shrunk);
+    }
+    if (next.total <= budget) {
+      return {
+        config: shrunk,
+        estimate: next,
+        warning: `Not enough memory for the requested context: ${describe(estimate)}. Loading with n_ctx = ${next.n_ctx}, n_batch = ${next.n_batch}`
+      };
+    }
+    estimate = next;
+  }
+
+  if (estimate.total > budget && (mode === 'refuse' || mode === 'shrink' || estimate.total > wasmLimit)) {
+    throw new WllamaError(
+      `Not enough memory to load the model: ${describe(estimate)}. Use a smaller n_ctx or n_batch, a quantized KV cache or a smaller model`,
+      'load_error'
+    );
+  }
+  return {
+    config,
+    estimate,
+    warning: estimate.total > budget ? `The model may not fit in memory: ${describe(estimate)}` : null
+  };
+}
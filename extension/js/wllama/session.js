@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Token-list Sessions
+ *
+ * The compiled wasm has no "session_save" or "session_load" action (the
+ * glue protocol only declares sesa_req and sesl_req), so the KV state
+ * cannot be written out of the heap. A session therefore keeps the token
+ * list of the KV cache together with a fingerprint of the model and the
+ * load parameters it was evaluated with. Wllama.sessionLoad() checks the
+ * fingerprint and decodes the tokens again, reusing only the part the
+ * cache still shares with them: loading a session does NOT skip the
+ * prefill, it saves tokenizing and formatting the conversation again.
+ *
+ * The model is identified by the SHA-256 of each of its files, so two
+ * finetunes with the same metadata and size are still told apart.
+ *
+ * Sessions are plain JSON, so they can be kept in OPFS or in files.
+ *
+ * @license MIT
+ */
+
+import { WllamaError } from './errors.js';
+import { Sha256, hashBlob } from './sha256.js';
+
+/**
+ * Version written to new sessions; sessions of other versions are refused.
+ * @const {number}
+ */
+export const SESSION_FORMAT_VERSION = 1;
+
+/**
+ * Load parameters that change what the KV cache holds for the same tokens.
+ * @const {string[]}
+ */
+const SESSION_LOAD_KEYS = [
+  'cache_type_k',
+  'cache_type_v',
+  'flash_attn',
+  'rope_scaling_type',
+  'rope_freq_base',
+  'rope_freq_scale',
+  'yarn_ext_factor',
+  'yarn_attn_factor',
+  'yarn_beta_fast',
+  'yarn_beta_slow',
+  'yarn_orig_ctx'
+];
+
+/**
+ * @typedef {Object} SessionFingerprint
+ * @property {string[]} model - SHA-256 of each model file (hex), in shard
+ *   order
+ * @property {number} n_ctx - Context size the model was loaded with
+ * @property {Object<string, *>} params - Load parameters shaping the KV
+ *   cache, null where the default was used
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {number} version - SESSION_FORMAT_VERSION
+ * @property {number} savedAt - Time of saving, in ms since the epoch
+ * @property {SessionFingerprint} fingerprint - Model and load parameters
+ * @property {number[]} tokens - Tokens of the KV cache
+ */
+
+/**
+ * Returns the SHA-256 digest of each model file.
+ *
+ * A digest recorded when the cached file passed its checksum is used as
+ * is; other files are hashed, which reads them completely.
+ *
+ * @async
+ * @param {Blob[]} blobs - Model files, in shard order
+ * @param {Array<string|undefined>} [recordedSha256=[]] - Known digests, by
+ *   index of the file
+ * @returns {Promise<string[]>} Lowercase hex digests
+ */
+export async function hashModelFiles(blobs, recordedSha256 = []) {
+  const digests = [];
+  for (const [index, blob] of blobs.entries()) {
+    let digest = recordedSha256[index];
+    if (!digest) {
+      const hasher = new Sha256();
+      await hashBlob(blob, hasher);
+      digest = hasher.digest();
+    }
+    digests.push(digest);
+  }
+  return digests;
+}
+
+/**
+ * Computes the fingerprint of a loaded model.
+ *
+ * @param {string[]} modelSha256 - Digests of the model files, see
+ *   hashModelFiles()
+ * @param {number} nCtx - Context size the model was loaded with
+ * @param {Object} [config={}] - LoadModelConfig
+ * @returns {SessionFingerprint} Fingerprint
+ */
+export function getSessionFingerprint(modelSha256, nCtx, config = {}) {
+  return {
+    model: [...modelSha256],
+    n_ctx: nCtx,
+    params: Object.fromEntries(SESSION_LOAD_KEYS.map(key => [key, config[key] ?? null]))
+  };
+}
+
+/**
+ * Creates a session.
+ *
+ * @param {number[]} tokens - Tokens of the KV cache
+ * @param {SessionFingerprint} fingerprint - Fingerprint of the loaded model
+ * @returns {Session} Session
+ */
+export function createSession(tokens, fingerprint) {
+  return {
+    version: SESSION_FORMAT_VERSION,
+    savedAt: Date.now(),
+    fingerprint,
+    tokens: [...tokens]
+  };
+}
+
+/**
+ * Checks the shape of a session read from storage or a file.
+ *
+ * @param {*} value - Parsed JSON
+ * @returns {Session} The session
+ * @throws {WllamaError} session_error if it is not a session of this version
+ */
+export function parseSession(value) {
+  if (!value || typeof value !== 'object' || !Array.isArray(value.tokens) || !value.fingerprint) {
+    throw new WllamaError('Not a session', 'session_error');
+  }
+  if (value.version !== SESSION_FORMAT_VERSION) {
+    throw new WllamaError(`Unsupported session version ${value.version}`, 'session_error');
+  }
+  if (!value.tokens.every(Number.isInteger)) {
+    throw new WllamaError('Invalid session: tokens must be integers', 'session_error');
+  }
+  const { model, n_ctx, params } = value.fingerprint;
+  const validModel = Array.isArray(model) && model.length > 0 && model.every(digest => /^[0-9a-f]{64}$/.test(digest));
+  if (!validModel || !Number.isInteger(n_ctx) || !params || typeof params !== 'object') {
+    throw new WllamaError('Invalid session: bad fingerprint', 'session_error');
+  }
+  return value;
+}
+
+/**
+ * Refuses a session saved with another model, context size or KV cache
+ * settings than the loaded ones.
+ *
+ * @param {Session} session - Session to load
+ * @param {SessionFingerprint} fingerprint - Fingerprint of the loaded model
+ * @throws {WllamaError} session_error naming what differs
+ */
+export function checkSession(session, fingerprint) {
+  const saved = session.fingerprint;
+  if (saved.model.join() !== fingerprint.model.join()) {
+    throw new WllamaError('The session was saved with another model', 'session_error');
+  }
+  if (saved.n_ctx !== fingerprint.n_ctx) {
+    throw new WllamaError(
+      `The session was saved with n_ctx = ${saved.n_ctx}, but the model is loaded with n_ctx = ${fingerprint.n_ctx}`,
+      'session_error'
+    );
+  }
+  const changed = SESSION_LOAD_KEYS.filter(key => (saved.params[key] ?? null) !== fingerprint.params[key]);
+  if (changed.length > 0) {
+    throw new WllamaError(`The session was saved with other load settings: ${changed.join(', ')}`, 'session_error');
+  }
+  if (session.tokens.length > fingerprint.n_ctx) {
+    throw new WllamaError('The session has more tokens than the context holds', 'session_error');
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Incremental SHA-256
+ *
+ * crypto.subtle.digest() needs the whole input in memory, which does not
+ * work for multi-GB model files, so the OPFS worker of the wllama build
+ * hashes downloads and cached files with this implementation instead,
+ * chunk by chunk.
+ *
+ * The worker runs from a Blob URL and cannot import modules: it receives
+ * the source text of Sha256 and hashBlob (see OPFS_UTILS_WORKER_CODE in
+ * index.js). Neither may therefore use anything from the module scope.
+ *
+ * References:
+ * - FIPS 180-4: https://csrc.nist.gov/pubs/fips/180-4/upd1/final
+ *
+ * @license MIT
+ */
+
+/**
+ * SHA-256 hash that is fed with update() and read once with digest().
+ */
+export class Sha256 {
+  /**
+   * Round constants.
+   * @const {Int32Array}
+   */
+  static K = new Int32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+    0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+    0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+    0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+    0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+    0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+    0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+    0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+    0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ]);
+
+  constructor() {
+    this.state = new Uint32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+      0x1f83d9ab, 0x5be0cd19
+    ]);
+    this.block = new Uint8Array(64);
+    this.blockLength = 0;
+    this.length = 0;
+    this.w = new Int32Array(64);
+  }
+
+  /**
+   * Hashes more data.
+   *
+   * @param {Uint8Array|ArrayBuffer} data - Next bytes of the input
+   */
+  update(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    this.length += bytes.length;
+    let i = 0;
+    if (this.blockLength > 0) {
+      i = Math.min(64 - this.blockLength, bytes.length);
+      this.block.set(bytes.subarray(0, i), this.blockLength);
+      this.blockLength += i;
+      if (this.blockLength < 64) return;
+      this.compress(this.block, 0);
+      this.blockLength = 0;
+    }
+    for (; i + 64 <= bytes.length; i += 64) {
+      this.compress(bytes, i);
+    }
+    this.block.set(bytes.subarray(i), 0);
+    this.blockLength = bytes.length - i;
+  }
+
+  /**
+   * Processes one 64-byte block.
+   *
+   * @param {Uint8Array} bytes - Buffer holding the block
+   * @param {number} offset - Start of the block in the buffer
+   */
+  compress(bytes, offset) {
+    const K = Sha256.K;
+    const w = this.w;
+    for (let t = 0; t < 16; t++) {
+      const j = offset + t * 4;
+      w[t] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let t = 16; t < 64; t++) {
+      const x = w[t - 15];
+      const y = w[t - 2];
+      const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+      const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+      w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+    }
+    const state = this.state;
+    let a = state[0];
+    let b = state[1];
+    let c = state[2];
+    let d = state[3];
+    let e = state[4];
+    let f = state[5];
+    let g = state[6];
+    let h = state[7];
+    for (let t = 0; t < 64; t++) {
+      const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + s1 + ch + K[t] + w[t]) | 0;
+      const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (s0 + maj) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+  }
+
+  /**
+   * Pads the input and returns the digest. The hash cannot be updated
+   * afterwards.
+   *
+   * @returns {string} Lowercase hex digest
+   */
+  digest() {
+    const bitLength = this.length * 8;
+    const padLength = this.blockLength < 56 ? 56 - this.blockLength : 120 - this.blockLength;
+    const padding = new Uint8Array(padLength + 8);
+    padding[0] = 0x80;
+    const view = new DataView(padding.buffer);
+    view.setUint32(padLength, Math.floor(bitLength / 0x100000000));
+    view.setUint32(padLength + 4, bitLength >>> 0);
+    this.update(padding);
+    return Array.from(this.state, x => x.toString(16).padStart(8, '0')).join('');
+  }
+}
+
+/**
+ * Feeds the content of a Blob (or an OPFS File) into a hash.
+ *
+ * @async
+ * @param {Blob} blob - Data to hash
+ * @param {Sha256} hasher - Hash to update
+ * @param {function(number, number): void} [onProgress] - Receives the bytes
+ *   read so far and the size of the blob
+ */
+export async function hashBlob(blob, hasher, onProgress) {
+  const reader = blob.stream().getReader();
+  let loaded = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    hasher.update(value);
+    loaded += value.byteLength;
+    if (onProgress) onProgress(loaded, blob.size);
+  }
+}
@@ -0,0 +1,538 @@
+/**
+ * @fileoverview Filesystem Cache Manager for wllama under Node.js
+ *
+ * Drop-in replacement for the OPFS-backed CacheManager of the vendored
+ * wllama build (extension/js/wllama/index.js), which needs
+ * navigator.storage and is not exported. Pass an instance as the
+ * cacheManager option of the Wllama constructor so loadModelFromUrl()
+ * downloads models into a directory instead.
+ *
+ * Files are named like in OPFS: `${sha1(url)}_${basename}` for the data
+ * and the same name prefixed with '__metadata__' for its metadata, so the
+ * ModelManager validation logic works unchanged. Downloads also behave
+ * the same: the metadata is written first, an interrupted download is
+ * resumed with a Range request if the remote ETag has not changed, and a
+ * file with an expected SHA-256 digest is hashed while it is written.
+ * Until a download completes, its metadata is marked partial and list()
+ * leaves the file out.
+ *
+ * The cache directory defaults to $WLLAMA_CACHE_DIR, then
+ * $XDG_CACHE_HOME/wllama, then ~/.cache/wllama.
+ *
+ * @license MIT
+ */
+
+import { createHash } from 'node:crypto';
+import { openAsBlob } from 'node:fs';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { getEtag, isContinuation } from '../extension/js/wllama/download-resume.js';
+import { POLYFILL_ETAG, WllamaError } from '../extension/js/wllama/index.js';
+
+/**
+ * Prefix of metadata file names, as used by the OPFS cache.
+ * @const {string}
+ */
+const PREFIX_METADATA = '__metadata__';
+
+/**
+ * Minimum interval between two progress callbacks, in milliseconds.
+ * @const {number}
+ */
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * @typedef {Object} CacheEntryMetadata
+ * @property {string} originalURL - URL the file was downloaded from
+ * @property {number} originalSize - Size announced by the server
+ * @property {string} etag - ETag of the download, alphanumerics only
+ * @property {string} [sha256] - Expected SHA-256 digest, lowercase hex
+ * @property {string} [actualSha256] - SHA-256 digest of the cached file,
+ *   once it has been hashed
+ * @property {number} [lastUsed] - Time the model was last downloaded or
+ *   opened, in milliseconds since the epoch
+ * @property {boolean} [partial] - Set while the file is being downloaded
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} name - File name in the cache
+ * @property {number} size - File size in bytes
+ * @property {CacheEntryMetadata} metadata - Download metadata
+ */
+
+/**
+ * Returns the default cache directory.
+ *
+ * @returns {string} Absolute directory path
+ */
+export function getDefaultCacheDir() {
+  if (process.env.WLLAMA_CACHE_DIR) return process.env.WLLAMA_CACHE_DIR;
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'wllama');
+}
+
+/**
+ * Converts a URL into its file name in the cache.
+ *
+ * @param {string} url - Original URL
+ * @param {string} prefix - '' for data, PREFIX_METADATA for metadata
+ * @returns {string} File name
+ */
+function urlToFileName(url, prefix) {
+  const hash = createHash('sha1').update(url).digest('hex');
+  return `${prefix}${hash}_${url.split('/').pop()}`;
+}
+
+/**
+ * Feeds a file into a hash.
+ *
+ * @async
+ * @param {string} filePath - File to read
+ * @param {Hash} hash - node:crypto hash to update
+ * @param {function(number): void} [onChunk] - Receives the bytes read so far
+ */
+async function hashFile(filePath, hash, onChunk) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    let read = 0;
+    for await (const chunk of handle.readableWebStream()) {
+      const bytes = new Uint8Array(chunk);
+      hash.update(bytes);
+      read += bytes.byteLength;
+      if (onChunk) onChunk(read);
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Returns the error for a file that does not match its expected digest.
+ *
+ * @param {string} url - File URL
+ * @param {string} expected - Expected SHA-256 digest
+ * @param {string} actual - Digest of the downloaded file
+ * @returns {WllamaError} download_error
+ */
+function checksumMismatchError(url, expected, actual) {
+  return new WllamaError(
+    `Checksum mismatch for ${url}: expected SHA-256 ${expected}, got ${actual}. The file is corrupted or was modified.`,
+    'download_error'
+  );
+}
+
+/**
+ * Writes a web stream to a file.
+ *
+ * @async
+ * @param {string} filePath - Destination
+ * @param {ReadableStream<Uint8Array>} stream - Data to write
+ * @param {function(number): void} [onChunk] - Receives the file size so far
+ * @param {boolean} [append=false] - Append instead of replacing the file
+ * @param {Hash} [hash] - node:crypto hash updated with the written data
+ */
+async function writeStreamToFile(filePath, stream, onChunk, append = false, hash = null) {
+  const handle = await fs.open(filePath, append ? 'a' : 'w');
+  try {
+    let written = append ? (await handle.stat()).size : 0;
+    for await (const chunk of stream) {
+      await handle.write(chunk);
+      if (hash) hash.update(chunk);
+      written += chunk.byteLength;
+      if (onChunk) onChunk(written);
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * CacheManager implementation storing files in a directory.
+ */
+export class FsCacheManager {
+  /**
+   * @param {string} [cacheDir] - Directory holding the cached files
+   */
+  constructor(cacheDir = getDefaultCacheDir()) {
+    /** @type {string} */
+    this.cacheDir = cacheDir;
+  }
+
+  /**
+   * Returns the path of a cache file, creating the directory if needed.
+   *
+   * @async
+   * @param {string} fileName - File name in the cache
+   * @returns {Promise<string>} Absolute path
+   */
+  async getFilePath(fileName) {
+    await fs.mkdir(this.cacheDir, { recursive: true });
+    return path.join(this.cacheDir, fileName);
+  }
+
+  /**
+   * Converts a URL into its file name in the cache.
+   *
+   * @async
+   * @param {string} url - Original URL
+   * @returns {Promise<string>} File name
+   */
+  async getNameFromURL(url) {
+    return urlToFileName(url, '');
+  }
+
+  /**
+   * Writes a file to the cache, replacing an existing one.
+   *
+   * @async
+   * @param {string} name - URL or name the file is stored under
+   * @param {ReadableStream<Uint8Array>} stream - File content
+   * @param {CacheEntryMetadata} metadata - Metadata to store with it
+   */
+  async write(name, stream, metadata) {
+    await this.writeMetadata(name, metadata);
+    await writeStreamToFile(await this.getFilePath(urlToFileName(name, '')), stream);
+  }
+
+  /**
+   * Downloads a file into the cache.
+   *
+   * The metadata is written before the data and marked partial until the
+   * download completes. An interrupted download keeps the bytes received so
+   * far and, unless options.resume is false, the next download of the URL
+   * continues from there if the remote ETag is unchanged. Aborting
+   * options.signal therefore pauses the download.
+   *
+   * @async
+   * @param {string} url - File URL
+   * @param {Object} [options={}] - Download options
+   * @param {Object<string, string>} [options.headers] - Extra request headers
+   * @param {AbortSignal} [options.signal] - Aborts (pauses) the download
+   * @param {boolean} [options.resume=true] - Continue an interrupted download
+   * @param {string} [options.sha256] - Expected SHA-256 digest, lowercase hex;
+   *   the file is hashed while it is written
+   * @param {function({loaded: number, total: number}): void} [options.progressCallback] - Progress reports
+   * @throws {WllamaError} download_error if the file does not match options.sha256
+   * @throws {Error} If the request fails or is aborted
+   */
+  async download(url, options = {}) {
+    const { headers, signal, sha256 } = options;
+    const filePath = await this.getFilePath(urlToFileName(url, ''));
+    let partial = options.resume === false ? null : await this.getPartialDownload(url);
+
+    if (partial && partial.loaded === partial.total) {
+      /* Complete file left by an interrupted multi-file download */
+      const head = await fetch(url, { headers, signal, method: 'HEAD' });
+      if (getEtag(head) === partial.etag && parseInt(head.headers.get('content-length'), 10) === partial.total) {
+        const metadata = { originalURL: url, originalSize: partial.total, etag: partial.etag };
+        if (sha256) metadata.sha256 = sha256;
+        if (partial.actualSha256) metadata.actualSha256 = partial.actualSha256;
+        /* Not hashed again if it already matched */
+        if (sha256 && partial.actualSha256 !== sha256) {
+          const hash = createHash('sha256');
+          await hashFile(filePath, hash);
+          metadata.actualSha256 = hash.digest('hex');
+        }
+        /* Also clears the partial flag if the last write was interrupted */
+        await this.writeMetadata(url, { ...metadata, lastUsed: Date.now() });
+        if (sha256 && metadata.actualSha256 !== sha256) {
+          throw checksumMismatchError(url, sha256, metadata.actualSha256);
+        }
+        options.progressCallback?.({ loaded: partial.total, total: partial.total });
+        return;
+      }
+      partial = null;
+    }
+
+    let response = await fetch(url, {
+      headers: partial ? { ...headers, Range: `bytes=${partial.loaded}-` } : headers,
+      signal
+    });
+    if (partial && !isContinuation(response, partial)) {
+      /* The remote file changed, or the server ignores Range */
+      partial = null;
+      if (response.status !== 200) {
+        await response.body?.cancel();
+        response = await fetch(url, { headers, signal });
+      }
+    }
+    if (!response.ok) {
+      throw new Error(`Download failed with HTTP ${response.status}: ${url}`);
+    }
+
+    const total = partial ? partial.total : parseInt(response.headers.get('content-length'), 10);
+    const metadata = { originalURL: url, originalSize: total, etag: getEtag(response) };
+    if (sha256) metadata.sha256 = sha256;
+    await this.writeMetadata(url, { ...metadata, partial: true });
+
+    /* A resumed download is hashed from the bytes already on disk */
+    const hash = sha256 ? createHash('sha256') : null;
+    if (hash && partial) await hashFile(filePath, hash);
+
+    let lastProgress = 0;
+    await writeStreamToFile(filePath, response.body, (loaded) => {
+      const now = Date.now();
+      if (options.progressCallback && now - lastProgress > PROGRESS_INTERVAL_MS) {
+        lastProgress = now;
+        options.progressCallback({ loaded, total });
+      }
+    }, !!partial, hash);
+
+    if (hash) metadata.actualSha256 = hash.digest('hex');
+    await this.writeMetadata(url, { ...metadata, lastUsed: Date.now() });
+    if (hash && metadata.actualSha256 !== sha256) {
+      throw checksumMismatchError(url, sha256, metadata.actualSha256);
+    }
+    options.progressCallback?.({ loaded: total, total });
+  }
+
+  /**
+   * Computes the SHA-256 digest of a cached file.
+   *
+   * @async
+   * @param {string} nameOrURL - File name in the cache, or the original URL
+   * @param {Object} [options={}] - Options
+   * @param {function({loaded: number, total: number}): void} [options.progressCallback] - Progress reports
+   * @returns {Promise<string>} Lowercase hex digest
+   * @throws {WllamaError} load_error if the file is not cached
+   */
+  async computeSha256(nameOrURL, options = {}) {
+    const filePath = await this.findFile(nameOrURL);
+    if (!filePath) {
+      throw new WllamaError(`File not found in cache: ${nameOrURL}`, 'load_error');
+    }
+
+    const { size } = await fs.stat(filePath);
+    const hash = createHash('sha256');
+    let lastProgress = 0;
+    await hashFile(filePath, hash, (loaded) => {
+      const now = Date.now();
+      if (options.progressCallback && now - lastProgress > PROGRESS_INTERVAL_MS) {
+        lastProgress = now;
+        options.progressCallback({ loaded, total: size });
+      }
+    });
+    return hash.digest('hex');
+  }
+
+  /**
+   * Finds an interrupted download of a URL that can be resumed. Its
+   * metadata must record an ETag to compare with the remote file, and
+   * it must not have failed a checksum verification.
+   *
+   * @async
+   * @param {string} url - File URL
+   * @returns {Promise<{loaded: number, total: number, etag: string, actualSha256: (string|undefined)}|null>}
+   *   Bytes on disk, expected size, ETag and digest if hashed, or null
+   */
+  async getPartialDownload(url) {
+    const loaded = await this.getSize(url);
+    let metadata;
+    try {
+      metadata = JSON.parse(await fs.readFile(await this.getFilePath(urlToFileName(url, PREFIX_METADATA)), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+    if (loaded < 0 || metadata.originalURL !== url || !metadata.etag || !(metadata.originalSize >= loaded)) {
+      return null;
+    }
+    if (metadata.sha256 && metadata.actualSha256 && metadata.sha256 !== metadata.actualSha256) {
+      return null;
+    }
+    return { loaded, total: metadata.originalSize, etag: metadata.etag, actualSha256: metadata.actualSha256 };
+  }
+
+  /**
+   * Opens a cached file for reading.
+   *
+   * @async
+   * @param {string} nameOrURL - File name in the cache, or the original URL
+   * @returns {Promise<Blob|null>} File-backed Blob, or null if not cached
+   */
+  async open(nameOrURL) {
+    const filePath = await this.findFile(nameOrURL);
+    return filePath ? openAsBlob(filePath) : null;
+  }
+
+  /**
+   * Finds the path of a cached file.
+   *
+   * @async
+   * @param {string} nameOrURL - File name in the cache, or the original URL
+   * @returns {Promise<string|null>} Absolute path, or null if not cached
+   */
+  async findFile(nameOrURL) {
+    for (const fileName of [nameOrURL, urlToFileName(nameOrURL, '')]) {
+      if (fileName.includes('/')) continue;
+      const filePath = await this.getFilePath(fileName);
+      try {
+        if ((await fs.stat(filePath)).isFile()) return filePath;
+      } catch (e) {}
+    }
+    return null;
+  }
+
+  /**
+   * Returns the size of a cached file.
+   *
+   * @async
+   * @param {string} name - Original URL
+   * @returns {Promise<number>} Size in bytes, or -1 if not cached
+   */
+  async getSize(name) {
+    try {
+      const stats = await fs.stat(await this.getFilePath(urlToFileName(name, '')));
+      return stats.size;
+    } catch (e) {
+      return -1;
+    }
+  }
+
+  /**
+   * Reads the metadata of a cached file.
+   *
+   * Files without metadata get a placeholder, like in the OPFS cache.
+   *
+   * @async
+   * @param {string} name - Original URL
+   * @returns {Promise<CacheEntryMetadata|null>} Metadata, or null if not cached
+   */
+  async getMetadata(name) {
+    const cachedSize = await this.getSize(name);
+    let text;
+    try {
+      text = await fs.readFile(await this.getFilePath(urlToFileName(name, PREFIX_METADATA)), 'utf8');
+    } catch (e) {
+      return cachedSize > 0
+        ? { etag: POLYFILL_ETAG, originalSize: cachedSize, originalURL: '' }
+        : null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Lists the cached files. Downloads that have not completed are left out.
+   *
+   * @async
+   * @returns {Promise<CacheEntry[]>} Cached files with their metadata
+   */
+  async list() {
+    return (await this.listEntries()).filter(entry => !entry.metadata.partial);
+  }
+
+  /**
+   * Lists every file in the cache directory, including partial downloads.
+   *
+   * @async
+   * @returns {Promise<CacheEntry[]>} Files with their metadata
+   */
+  async listEntries() {
+    let fileNames;
+    try {
+      fileNames = await fs.readdir(this.cacheDir);
+    } catch (e) {
+      return [];
+    }
+
+    const result = [];
+    for (const name of fileNames) {
+      if (name.startsWith(PREFIX_METADATA)) continue;
+
+      const stats = await fs.stat(path.join(this.cacheDir, name));
+      if (!stats.isFile()) continue;
+
+      let metadata = null;
+      try {
+        metadata = JSON.parse(await fs.readFile(path.join(this.cacheDir, `${PREFIX_METADATA}${name}`), 'utf8'));
+      } catch (e) {}
+      result.push({
+        name,
+        size: stats.size,
+        metadata: metadata || { originalSize: stats.size, originalURL: '', etag: '' }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Deletes every cached file.
+   *
+   * @async
+   */
+  async clear() {
+    await this.deleteMany(() => true);
+  }
+
+  /**
+   * Deletes a cached file.
+   *
+   * @async
+   * @param {string} nameOrURL - File name in the cache, or the original URL
+   */
+  async delete(nameOrURL) {
+    const name = urlToFileName(nameOrURL, '');
+    await this.deleteMany(entry => entry.name === nameOrURL || entry.name === name);
+  }
+
+  /**
+   * Deletes the cached files matching a predicate, with their metadata.
+   *
+   * @async
+   * @param {function(CacheEntry): boolean} predicate - Selects the files to delete
+   */
+  async deleteMany(predicate) {
+    for (const entry of await this.listEntries()) {
+      if (!predicate(entry)) continue;
+      await fs.rm(path.join(this.cacheDir, entry.name), { force: true });
+      await fs.rm(path.join(this.cacheDir, `${PREFIX_METADATA}${entry.name}`), { force: true });
+    }
+  }
+
+  /**
+   * Estimates the space left for the cache on its file system.
+   *
+   * @async
+   * @returns {Promise<{usage: number, quota: number, available: number, persisted: boolean}>}
+   *   Bytes used by the cache, size of the file system and bytes free for
+   *   this user; files on disk are always persisted
+   */
+  async estimateStorage() {
+    const stats = await fs.statfs(await this.getFilePath(''));
+    const entries = await this.listEntries();
+    return {
+      usage: entries.reduce((sum, entry) => sum + entry.size, 0),
+      quota: stats.blocks * stats.bsize,
+      available: stats.bavail * stats.bsize,
+      persisted: true
+    };
+  }
+
+  /**
+   * Files on disk are never evicted by the runtime, so there is nothing to
+   * request.
+   *
+   * @async
+   * @returns {Promise<boolean>} Always true
+   */
+  async persistStorage() {
+    return true;
+  }
+
+  /**
+   * Writes the metadata of a cached file.
+   *
+   * @async
+   * @param {string} name - Original URL
+   * @param {CacheEntryMetadata} metadata - Metadata to store
+   */
+  async writeMetadata(name, metadata) {
+    await fs.writeFile(await this.getFilePath(urlToFileName(name, PREFIX_METADATA)), JSON.stringify(metadata));
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Headless wllama Runner
+ *
+ * Loads a GGUF model with the Node.js adapter and answers a prompt or
+ * prints an embedding, to check model behaviour without a browser.
+ *
+ * Usage:
+ *   node node/run.mjs <model.gguf | https://…/model.gguf> [options] <prompt>
+ *
+ * Options:
+ *   --raw             Complete the prompt as-is instead of as a chat message
+ *   --embed           Print the embedding of the prompt instead of a reply
+ *   --n-predict <n>   Maximum tokens to generate (default 256)
+ *   --n-ctx <n>       Context size (default 2048)
+ *   --temp <t>        Sampling temperature (default 0.7)
+ *   --sha256 <hex>    Expected SHA-256 of a remote model, checked while
+ *                     downloading and before using a cached copy
+ *   --debug           Log wllama and llama.cpp debug output
+ *
+ * Remote models are cached in the directory described in
+ * fs-cache-manager.mjs (getDefaultCacheDir).
+ *
+ * @license MIT
+ */
+
+import { parseArgs } from 'node:util';
+
+import { createWllama, openGgufFile } from './wllama-node.mjs';
+
+const USAGE = 'Usage: node node/run.mjs <model.gguf | url> [--raw] [--embed] [--n-predict N] [--n-ctx N] [--temp T] [--sha256 HEX] [--debug] <prompt>';
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    raw: { type: 'boolean', default: false },
+    embed: { type: 'boolean', default: false },
+    'n-predict': { type: 'string', default: '256' },
+    'n-ctx': { type: 'string', default: '2048' },
+    temp: { type: 'string', default: '0.7' },
+    sha256: { type: 'string' },
+    debug: { type: 'boolean', default: false }
+  }
+});
+
+const [model, ...promptWords] = positionals;
+const prompt = promptWords.join(' ');
+if (!model || !prompt) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const wllama = createWllama({ debug: options.debug });
+const loadConfig = {
+  n_ctx: Number(options['n-ctx']),
+  embeddings: options.embed
+};
+
+try {
+  if (/^https?:\/\//.test(model)) {
+    await wllama.loadModelFromUrl(model, {
+      ...loadConfig,
+      sha256: options.sha256,
+      progressCallback: ({ loaded, total }) => {
+        process.stderr.write(`\rDownloading... ${Math.round((loaded / total) * 100)}%`);
+      }
+    });
+    process.stderr.write('\n');
+  } else {
+    await wllama.loadModel([await openGgufFile(model)], loadConfig);
+  }
+
+  if (options.embed) {
+    const embedding = await wllama.createEmbedding(prompt);
+    console.log(JSON.stringify(embedding));
+  } else {
+    const completionOptions = {
+      nPredict: Number(options['n-predict']),
+      sampling: { temp: Number(options.temp) },
+      onNewToken: (token, piece) => process.stdout.write(piece)
+    };
+    if (options.raw) {
+      await wllama.createCompletion(prompt, completionOptions);
+    } else {
+      await wllama.createChatCompletion([{ role: 'user', content: prompt }], completionOptions);
+    }
+    process.stdout.write('\n');
+  }
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await wllama.exit();
+}
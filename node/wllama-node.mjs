@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Node.js Runtime Adapter for wllama
+ *
+ * Runs the vendored wllama build (extension/js/wllama/index.js) under
+ * Node.js, so model behaviour can be checked headlessly on Linux.
+ *
+ * The build expects browser globals. This adapter provides them without
+ * modifying the vendored file:
+ * - Worker: created from blob: URLs of generated code; backed by
+ *   worker_threads, with postMessage/onmessage wired to the parent port
+ * - navigator.hardwareConcurrency and navigator.userAgent (Node < 21)
+ * - document.baseURI, used to resolve the .wasm paths
+ * - navigator.storage (OPFS) is replaced by FsCacheManager
+ *
+ * The emscripten single-thread build already supports Node (it reads the
+ * .wasm with fs), so the worker code runs unchanged. The multi-thread
+ * build spawns pthread workers from a Blob, which Node cannot do, so only
+ * the single-thread build is configured.
+ *
+ * Requires Node.js 20 or later (fs.openAsBlob). The vendored index.js is
+ * loaded as an ES module because package.json sets "type": "module".
+ *
+ * Usage:
+ *   import { createWllama, openGgufFile } from './node/wllama-node.mjs';
+ *   const wllama = createWllama();
+ *   await wllama.loadModel([await openGgufFile('model.gguf')], { n_ctx: 2048 });
+ *   const text = await wllama.createCompletion('Hello', { nPredict: 32 });
+ *
+ * References:
+ * - worker_threads: https://nodejs.org/api/worker_threads.html
+ * - wllama: https://github.com/ngxson/wllama
+ *
+ * @license MIT
+ */
+
+import { openAsBlob } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { resolveObjectURL } from 'node:buffer';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { Worker as ThreadWorker } from 'node:worker_threads';
+
+import { LoggerWithoutDebug, Wllama } from '../extension/js/wllama/index.js';
+import { FsCacheManager } from './fs-cache-manager.mjs';
+
+/**
+ * Directory holding the vendored wllama build and its .wasm files.
+ * @const {string}
+ */
+const WLLAMA_DIR = fileURLToPath(new URL('../extension/js/wllama/', import.meta.url));
+
+/**
+ * Code run in each worker thread before the wllama worker code.
+ *
+ * Gives the code the postMessage/onmessage interface of a web worker.
+ * onmessage is declared first so assigning it does not depend on sloppy
+ * mode creating a global.
+ *
+ * @const {string}
+ */
+const WORKER_PRELUDE = `
+const { parentPort } = require('worker_threads');
+globalThis.onmessage = null;
+globalThis.postMessage = (data, transfer) => parentPort.postMessage(data, transfer);
+parentPort.on('message', (data) => {
+  if (typeof globalThis.onmessage === 'function') globalThis.onmessage({ data });
+});
+`;
+
+/**
+ * Web Worker look-alike backed by worker_threads.
+ *
+ * wllama creates workers from blob: URLs. The code is read from the blob
+ * asynchronously, so messages posted before the thread exists are queued.
+ */
+class NodeWorker {
+  /**
+   * @param {string|URL} url - blob: URL of the worker code
+   */
+  constructor(url) {
+    /** @type {function(MessageEvent): void|null} */
+    this.onmessage = null;
+
+    /** @type {function(Error): void|null} */
+    this.onerror = null;
+
+    /** @type {ThreadWorker|null} */
+    this.thread = null;
+
+    /** @type {Array<[*, Transferable[]]>} */
+    this.queue = [];
+
+    this.terminated = false;
+
+    const blob = resolveObjectURL(String(url));
+    if (!blob) {
+      throw new Error(`Worker code not found: ${url}`);
+    }
+    blob.text().then((code) => this.start(code));
+  }
+
+  /**
+   * Starts the thread and posts the queued messages.
+   *
+   * @param {string} code - Worker code
+   */
+  start(code) {
+    if (this.terminated) return;
+
+    this.thread = new ThreadWorker(WORKER_PRELUDE + code, { eval: true });
+    this.thread.on('message', (data) => {
+      if (this.onmessage) this.onmessage({ data });
+    });
+    this.thread.on('error', (error) => {
+      if (this.onerror) this.onerror(error);
+    });
+
+    for (const [data, transfer] of this.queue) {
+      this.thread.postMessage(data, transfer);
+    }
+    this.queue = [];
+  }
+
+  /**
+   * Posts a message to the worker.
+   *
+   * @param {*} data - Message
+   * @param {Transferable[]|{transfer: Transferable[]}} [options] - Transfer list,
+   *   as an array or in the options object of the web API
+   */
+  postMessage(data, options) {
+    const transfer = Array.isArray(options) ? options : options?.transfer || [];
+    if (this.thread) {
+      this.thread.postMessage(data, transfer);
+    } else {
+      this.queue.push([data, transfer]);
+    }
+  }
+
+  /**
+   * Stops the worker.
+   */
+  terminate() {
+    this.terminated = true;
+    this.queue = [];
+    if (this.thread) this.thread.terminate();
+  }
+}
+
+/**
+ * Installs the browser globals wllama uses, where Node lacks them.
+ * Safe to call more than once.
+ */
+export function installNodeGlobals() {
+  if (typeof globalThis.Worker === 'undefined') {
+    globalThis.Worker = NodeWorker;
+  }
+
+  if (typeof globalThis.navigator === 'undefined') {
+    Object.defineProperty(globalThis, 'navigator', {
+      value: {},
+      configurable: true,
+      writable: true
+    });
+  }
+  const { navigator } = globalThis;
+  if (!navigator.hardwareConcurrency) {
+    Object.defineProperty(navigator, 'hardwareConcurrency', { value: os.availableParallelism(), configurable: true });
+  }
+  if (!navigator.userAgent) {
+    Object.defineProperty(navigator, 'userAgent', { value: `Node.js/${process.versions.node}`, configurable: true });
+  }
+
+  /* Only baseURI is read; relative .wasm paths resolve against the build directory */
+  if (typeof globalThis.document === 'undefined') {
+    globalThis.document = { baseURI: pathToFileURL(WLLAMA_DIR).href };
+  }
+}
+
+/**
+ * Creates a Wllama instance configured for Node.js.
+ *
+ * @param {Object} [options={}] - Adapter options
+ * @param {string} [options.cacheDir] - Directory for models downloaded by
+ *   loadModelFromUrl(); see getDefaultCacheDir()
+ * @param {boolean} [options.debug=false] - Log wllama and llama.cpp debug output
+ * @param {Object} [options.config] - Extra Wllama constructor options
+ * @returns {Wllama} Wllama using the single-thread build
+ */
+export function createWllama({ cacheDir, debug = false, config = {} } = {}) {
+  installNodeGlobals();
+
+  const pathConfig = {
+    'single-thread/wllama.wasm': pathToFileURL(path.join(WLLAMA_DIR, 'single-thread/wllama.wasm')).href
+  };
+
+  return new Wllama(pathConfig, {
+    /* Native info lines are logged at debug level, warnings and errors always */
+    logger: debug ? console : LoggerWithoutDebug,
+    cacheManager: new FsCacheManager(cacheDir),
+    ...config
+  });
+}
+
+/**
+ * Opens a local GGUF file for Wllama.loadModel().
+ *
+ * The file is read in chunks while it is copied into the wasm heap, not
+ * loaded into memory first.
+ *
+ * @async
+ * @param {string} filePath - Path to the .gguf file
+ * @returns {Promise<Blob>} File-backed Blob
+ */
+export async function openGgufFile(filePath) {
+  return openAsBlob(filePath);
+}
@@ -90,6 +90,12 @@ const server = http.createServer((req, res) => {
     const fileSize = stats.size;
     const range = req.headers.range;
 
+    /*
+     * ETag derived from modification time and size, as nginx does.
+     * wllama only resumes a download if the ETag has not changed.
+     */
+    res.setHeader('ETag', `"${Math.floor(stats.mtimeMs / 1000).toString(16)}-${fileSize.toString(16)}"`);
+
     /*
      * Support HTTP Range requests for large files.
      * This allows browsers to resume interrupted downloads of the model file.
@@ -100,6 +106,12 @@ const server = http.createServer((req, res) => {
       const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
       const chunkSize = end - start + 1;
 
+      if (!(start >= 0 && start <= end && end < fileSize)) {
+        res.writeHead(416, { 'Content-Range': `bytes */${fileSize}` });
+        res.end();
+        return;
+      }
+
       res.writeHead(206, {
         'Content-Range': `bytes ${start}-${end}/${fileSize}`,
         'Accept-Ranges': 'bytes',
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Qwen3 Reasoning Parser
+ *
+ * Qwen3 models wrap their chain of thought in <think>…</think> before the
+ * answer. This module separates that reasoning from the answer, both for
+ * complete texts and for text arriving token by token, so the UI can show
+ * reasoning in its own collapsible section and history can omit it.
+ *
+ * Qwen3 also understands the soft switches '/think' and '/no_think' at the
+ * end of a user message, which enable or disable reasoning for that turn.
+ *
+ * References:
+ * - Qwen3 thinking mode: https://qwenlm.github.io/blog/qwen3/
+ *
+ * @license MIT
+ */
+
+/**
+ * Tag opening a reasoning block.
+ * @const {string}
+ */
+const THINK_OPEN = '<think>';
+
+/**
+ * Tag closing a reasoning block.
+ * @const {string}
+ */
+const THINK_CLOSE = '</think>';
+
+/**
+ * Appends the Qwen3 soft switch for the requested thinking mode.
+ *
+ * @param {string} content - User message text
+ * @param {boolean} thinking - Whether the model should reason first
+ * @returns {string} Message text ending with '/think' or '/no_think'
+ */
+export function withThinkingSwitch(content, thinking) {
+  return `${content} ${thinking ? '/think' : '/no_think'}`;
+}
+
+/**
+ * Returns the length of the longest suffix of text that is a prefix of tag.
+ * Such a suffix may be the start of a tag split across two chunks.
+ *
+ * @param {string} text - Buffered text
+ * @param {string} tag - Tag being searched for
+ * @returns {number} Number of trailing characters to hold back
+ */
+function partialTagLength(text, tag) {
+  for (let length = Math.min(text.length, tag.length - 1); length > 0; length--) {
+    if (text.endsWith(tag.slice(0, length))) return length;
+  }
+  return 0;
+}
+
+/**
+ * Incremental splitter for streamed model output.
+ *
+ * Feed each new chunk of text to push(); it returns the reasoning and
+ * answer text that became known with that chunk. Text that could be the
+ * beginning of a tag is held back until the next chunk or flush().
+ *
+ * @example
+ * const parser = new ThinkStreamParser();
+ * parser.push('<think>Let me');       // { reasoning: 'Let me', content: '' }
+ * parser.push(' see</thi');           // { reasoning: ' see', content: '' }
+ * parser.push('nk>\n\nHello');        // { reasoning: '', content: 'Hello' }
+ */
+export class ThinkStreamParser {
+  constructor() {
+    /** @type {string} Text not yet attributed to reasoning or answer */
+    this.buffer = '';
+
+    /** @type {boolean} Whether the parser is inside a <think> block */
+    this.inThink = false;
+
+    /** @type {string} All reasoning text seen so far */
+    this.reasoning = '';
+
+    /** @type {string} All answer text seen so far */
+    this.content = '';
+  }
+
+  /**
+   * Consumes a chunk of generated text.
+   *
+   * @param {string} chunk - Newly generated text
+   * @returns {{reasoning: string, content: string}} Newly attributed text
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    const delta = { reasoning: '', content: '' };
+
+    while (this.buffer) {
+      const tag = this.inThink ? THINK_CLOSE : THINK_OPEN;
+      const index = this.buffer.indexOf(tag);
+
+      if (index === -1) {
+        const keep = partialTagLength(this.buffer, tag);
+        this.emit(this.buffer.slice(0, this.buffer.length - keep), delta);
+        this.buffer = this.buffer.slice(this.buffer.length - keep);
+        break;
+      }
+
+      this.emit(this.buffer.slice(0, index), delta);
+      this.buffer = this.buffer.slice(index + tag.length);
+      this.inThink = !this.inThink;
+    }
+
+    return delta;
+  }
+
+  /**
+   * Releases any held-back text once generation has ended.
+   *
+   * @returns {{reasoning: string, content: string}} Remaining text
+   */
+  flush() {
+    const delta = { reasoning: '', content: '' };
+    this.emit(this.buffer, delta);
+    this.buffer = '';
+    return delta;
+  }
+
+  /**
+   * Attributes text to reasoning or answer depending on parser state.
+   *
+   * Whitespace separating the closing tag from the answer is dropped, so
+   * the answer never starts with blank lines.
+   *
+   * @private
+   * @param {string} text - Text to attribute
+   * @param {{reasoning: string, content: string}} delta - Accumulator
+   */
+  emit(text, delta) {
+    if (!text) return;
+
+    if (this.inThink) {
+      this.reasoning += text;
+      delta.reasoning += text;
+      return;
+    }
+
+    const content = this.content ? text : text.replace(/^\s+/, '');
+    this.content += content;
+    delta.content += content;
+  }
+}
+
+/**
+ * Splits a complete model output into reasoning and answer.
+ *
+ * @param {string} text - Full generated text
+ * @returns {{reasoning: string, content: string}} Trimmed reasoning and answer
+ */
+export function splitThinking(text) {
+  const parser = new ThinkStreamParser();
+  parser.push(text);
+  parser.flush();
+  return { reasoning: parser.reasoning.trim(), content: parser.content.trimEnd() };
+}
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview wllama Errors
+ *
+ * WllamaError is thrown by the wllama build (index.js, which re-exports
+ * it) and by the modules it imports, so it lives in a module of its own.
+ *
+ * Error types:
+ * - load_error: The model cannot be read, checked or loaded
+ * - download_error: A download failed or did not match its checksum
+ * - storage_error: The cache has no room for a download
+ * - model_not_loaded: A call needs a loaded model
+ * - kv_cache_full: The context has no room for more tokens
+ * - inference_error: Decoding, encoding or embedding failed
+ * - session_error: A session is invalid or does not match the loaded model
+ * - unknown_error: Anything else
+ *
+ * @license MIT
+ */
+
+/**
+ * Error raised by wllama, with a type to tell failures apart.
+ */
+export class WllamaError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [type='unknown_error'] - Error type, listed above
+   */
+  constructor(message, type = 'unknown_error') {
+    super(message);
+    /** @type {string} */
+    this.type = type;
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Least Recently Used Model Eviction
+ *
+ * Chooses which cached models ModelManager.ensureSpace() removes when a
+ * download does not fit in the storage left to the origin. Models are
+ * taken least recently used first (Model.lastUsed, recorded when a model
+ * is downloaded or opened) until enough space is free.
+ *
+ * @license MIT
+ */
+
+/**
+ * Selects the models to remove so that `bytes` more bytes fit.
+ *
+ * @param {Array<{lastUsed: number, files: Array<{size: number}>}>} models -
+ *   Models that may be removed
+ * @param {number} bytes - Size of the data to be written
+ * @param {number} available - Free space before anything is removed
+ * @returns {Array<Object>|null} Models to remove, least recently used
+ *   first (empty if the data already fits), or null if removing all of
+ *   them would not free enough space
+ */
+export function selectLeastRecentlyUsed(models, bytes, available) {
+  const candidates = [...models].sort((a, b) => a.lastUsed - b.lastUsed);
+  const selected = [];
+  for (const model of candidates) {
+    if (bytes <= available) break;
+    selected.push(model);
+    available += model.files.reduce((sum, file) => sum + file.size, 0);
+  }
+  return bytes <= available ? selected : null;
+}
@@ -0,0 +1,576 @@
+/**
+ * @fileoverview GGUF Header Reader
+ *
+ * Reads the header of a GGUF file (metadata and tensor table) from a Blob
+ * or a URL without loading the model, so the wllama build can reject a
+ * file llama.cpp cannot load before it is downloaded or copied into the
+ * wasm heap, and estimate the memory a model needs (see memory.js).
+ *
+ * Only the start of the file is read: 1 MiB first, doubled until the
+ * whole header fits. URLs are read with Range requests.
+ *
+ * References:
+ * - GGUF format: https://github.com/ggml-org/ggml/blob/master/docs/gguf.md
+ *
+ * @license MIT
+ */
+
+import { WllamaError } from './errors.js';
+
+/**
+ * "GGUF" read as a little-endian uint32.
+ * @const {number}
+ */
+const GGUF_MAGIC = 0x46554747;
+
+/**
+ * Alignment of the tensor data when general.alignment is not set.
+ * @const {number}
+ */
+const GGUF_DEFAULT_ALIGNMENT = 32;
+
+/**
+ * Bytes read before the header size is known.
+ * @const {number}
+ */
+const GGUF_INITIAL_READ_SIZE = 1024 * 1024;
+
+/**
+ * Default limit of the header size.
+ * @const {number}
+ */
+const GGUF_MAX_HEADER_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Types of GGUF metadata values.
+ * @enum {number}
+ */
+export const GGUFValueType = Object.freeze({
+  UINT8: 0,
+  INT8: 1,
+  UINT16: 2,
+  INT16: 3,
+  UINT32: 4,
+  INT32: 5,
+  FLOAT32: 6,
+  BOOL: 7,
+  STRING: 8,
+  ARRAY: 9,
+  UINT64: 10,
+  INT64: 11,
+  FLOAT64: 12
+});
+
+/**
+ * Names of the value types, by type.
+ * @const {Object<number, string>}
+ */
+const GGUF_VALUE_TYPE_NAMES = Object.fromEntries(
+  Object.entries(GGUFValueType).map(([name, type]) => [type, name.toLowerCase()])
+);
+
+/**
+ * Sizes of the fixed-size value types, in bytes.
+ * @const {Object<number, number>}
+ */
+const GGUF_VALUE_SIZES = {
+  [GGUFValueType.UINT8]: 1,
+  [GGUFValueType.INT8]: 1,
+  [GGUFValueType.UINT16]: 2,
+  [GGUFValueType.INT16]: 2,
+  [GGUFValueType.UINT32]: 4,
+  [GGUFValueType.INT32]: 4,
+  [GGUFValueType.FLOAT32]: 4,
+  [GGUFValueType.BOOL]: 1,
+  [GGUFValueType.UINT64]: 8,
+  [GGUFValueType.INT64]: 8,
+  [GGUFValueType.FLOAT64]: 8
+};
+
+/**
+ * Tensor types (ggml_type) that the bundled llama.cpp can load.
+ * @const {Object<number, string>}
+ */
+export const GGML_TYPE_NAMES = {
+  0: 'F32',
+  1: 'F16',
+  2: 'Q4_0',
+  3: 'Q4_1',
+  6: 'Q5_0',
+  7: 'Q5_1',
+  8: 'Q8_0',
+  9: 'Q8_1',
+  10: 'Q2_K',
+  11: 'Q3_K',
+  12: 'Q4_K',
+  13: 'Q5_K',
+  14: 'Q6_K',
+  15: 'Q8_K',
+  16: 'IQ2_XXS',
+  17: 'IQ2_XS',
+  18: 'IQ3_XXS',
+  19: 'IQ1_S',
+  20: 'IQ4_NL',
+  21: 'IQ3_S',
+  22: 'IQ2_S',
+  23: 'IQ4_XS',
+  24: 'I8',
+  25: 'I16',
+  26: 'I32',
+  27: 'I64',
+  28: 'F64',
+  29: 'IQ1_M',
+  30: 'BF16',
+  34: 'TQ1_0',
+  35: 'TQ2_0',
+  39: 'MXFP4'
+};
+
+/**
+ * Tensor types that llama.cpp no longer loads.
+ * @const {Object<number, string>}
+ */
+const GGML_REMOVED_TYPE_NAMES = {
+  4: 'Q4_2',
+  5: 'Q4_3',
+  31: 'Q4_0_4_4',
+  32: 'Q4_0_4_8',
+  33: 'Q4_0_8_8',
+  36: 'IQ4_NL_4_4',
+  37: 'IQ4_NL_4_8',
+  38: 'IQ4_NL_8_8'
+};
+
+/**
+ * Quantization names of general.file_type (llama_ftype).
+ * @const {Object<number, string>}
+ */
+const LLAMA_FILE_TYPE_NAMES = {
+  0: 'F32',
+  1: 'F16',
+  2: 'Q4_0',
+  3: 'Q4_1',
+  7: 'Q8_0',
+  8: 'Q5_0',
+  9: 'Q5_1',
+  10: 'Q2_K',
+  11: 'Q3_K_S',
+  12: 'Q3_K_M',
+  13: 'Q3_K_L',
+  14: 'Q4_K_S',
+  15: 'Q4_K_M',
+  16: 'Q5_K_S',
+  17: 'Q5_K_M',
+  18: 'Q6_K',
+  19: 'IQ2_XXS',
+  20: 'IQ2_XS',
+  21: 'Q2_K_S',
+  22: 'IQ3_XS',
+  23: 'IQ3_XXS',
+  24: 'IQ1_S',
+  25: 'IQ4_NL',
+  26: 'IQ3_S',
+  27: 'IQ3_M',
+  28: 'IQ2_S',
+  29: 'IQ2_M',
+  30: 'IQ4_XS',
+  31: 'IQ1_M',
+  32: 'BF16',
+  36: 'TQ1_0',
+  37: 'TQ2_0',
+  38: 'MXFP4_MOE'
+};
+
+/**
+ * Thrown by the reader when the header continues past the bytes read so
+ * far; readGGUFHeader() then reads more.
+ * @const {Error}
+ */
+const GGUF_END_OF_DATA = new Error('GGUF header continues past the bytes read so far');
+
+/**
+ * @typedef {Object} GGUFTensorInfo
+ * @property {string} name - Tensor name
+ * @property {Array<number|bigint>} shape - Dimensions
+ * @property {number} type - ggml_type
+ * @property {string} typeName - Name of the type, e.g. 'Q8_0'
+ * @property {number|bigint} offset - Offset in the tensor data
+ */
+
+/**
+ * @typedef {Object} GGUFHeader
+ * @property {number} version - GGUF version (2 or 3)
+ * @property {Object<string, {type: string, value: *, itemType: (string|undefined), length: (number|undefined)}>} metadata -
+ *   Metadata by key. Arrays longer than maxArrayLength have no value.
+ * @property {GGUFTensorInfo[]} tensors - Tensor table
+ * @property {number} headerSize - Size of the header in bytes
+ * @property {number} tensorDataOffset - Start of the tensor data
+ */
+
+/**
+ * Returns the name of a tensor type.
+ *
+ * @param {number} type - ggml_type
+ * @returns {string} Type name
+ */
+function ggmlTypeName(type) {
+  return GGML_TYPE_NAMES[type] || GGML_REMOVED_TYPE_NAMES[type] || `unknown type ${type}`;
+}
+
+/**
+ * Returns the name of a value type, in lowercase.
+ *
+ * @param {number} type - GGUFValueType
+ * @returns {string} Type name
+ * @throws {WllamaError} If the type is unknown
+ */
+function ggufValueTypeName(type) {
+  const name = GGUF_VALUE_TYPE_NAMES[type];
+  if (!name) {
+    throw new WllamaError(`Invalid GGUF file: unknown value type ${type}`, 'load_error');
+  }
+  return name;
+}
+
+/**
+ * Sequential little-endian reader over the bytes read so far.
+ */
+class GGUFBufferReader {
+  /**
+   * @param {Uint8Array} bytes - Start of the file
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  /**
+   * Advances past `size` bytes and returns their offset.
+   *
+   * @param {number} size - Bytes to skip
+   * @returns {number} Offset of the bytes
+   * @throws {Error} GGUF_END_OF_DATA if they were not read yet
+   */
+  take(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw GGUF_END_OF_DATA;
+    }
+    const offset = this.offset;
+    this.offset += size;
+    return offset;
+  }
+
+  u32() {
+    return this.view.getUint32(this.take(4), true);
+  }
+
+  /**
+   * Reads a uint64 as a number, or as a BigInt if it is too large for one.
+   *
+   * @returns {number|bigint} Value
+   */
+  u64() {
+    const value = this.view.getBigUint64(this.take(8), true);
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+  }
+
+  /**
+   * Reads a uint64 length or count.
+   *
+   * @returns {number} Value
+   */
+  count() {
+    const value = this.u64();
+    if (typeof value !== 'number') {
+      throw new WllamaError('Invalid GGUF file: length out of range', 'load_error');
+    }
+    return value;
+  }
+
+  string() {
+    const length = this.count();
+    const start = this.take(length);
+    return new TextDecoder().decode(this.bytes.subarray(start, start + length));
+  }
+
+  /**
+   * Reads a value of the given type.
+   *
+   * @param {number} type - GGUFValueType
+   * @returns {*} Value
+   */
+  value(type) {
+    switch (type) {
+      case GGUFValueType.UINT8:
+        return this.view.getUint8(this.take(1));
+      case GGUFValueType.INT8:
+        return this.view.getInt8(this.take(1));
+      case GGUFValueType.UINT16:
+        return this.view.getUint16(this.take(2), true);
+      case GGUFValueType.INT16:
+        return this.view.getInt16(this.take(2), true);
+      case GGUFValueType.UINT32:
+        return this.u32();
+      case GGUFValueType.INT32:
+        return this.view.getInt32(this.take(4), true);
+      case GGUFValueType.FLOAT32:
+        return this.view.getFloat32(this.take(4), true);
+      case GGUFValueType.BOOL:
+        return this.view.getUint8(this.take(1)) !== 0;
+      case GGUFValueType.STRING:
+        return this.string();
+      case GGUFValueType.ARRAY:
+        return this.array(Infinity).value;
+      case GGUFValueType.UINT64:
+        return this.u64();
+      case GGUFValueType.INT64: {
+        const value = this.view.getBigInt64(this.take(8), true);
+        return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER) ? Number(value) : value;
+      }
+      case GGUFValueType.FLOAT64:
+        return this.view.getFloat64(this.take(8), true);
+      default:
+        throw new WllamaError(`Invalid GGUF file: unknown value type ${type}`, 'load_error');
+    }
+  }
+
+  /**
+   * Reads an array. Arrays longer than `maxLength` are skipped and
+   * returned without `value`.
+   *
+   * @param {number} maxLength - Longest array to read
+   * @returns {{type: string, itemType: string, length: number, value: (Array|undefined)}} Array entry
+   */
+  array(maxLength) {
+    const itemType = this.u32();
+    const itemTypeName = ggufValueTypeName(itemType);
+    const length = this.count();
+    if (length <= maxLength) {
+      const value = [];
+      for (let i = 0; i < length; i++) {
+        value.push(this.value(itemType));
+      }
+      return { type: 'array', itemType: itemTypeName, length, value };
+    }
+    if (GGUF_VALUE_SIZES[itemType]) {
+      this.take(GGUF_VALUE_SIZES[itemType] * length);
+    } else {
+      for (let i = 0; i < length; i++) {
+        if (itemType === GGUFValueType.STRING) this.take(this.count());
+        else this.array(0);
+      }
+    }
+    return { type: 'array', itemType: itemTypeName, length };
+  }
+}
+
+/**
+ * Parses a GGUF header from the start of a file.
+ *
+ * @param {Uint8Array} bytes - Start of the file
+ * @param {{maxArrayLength: (number|undefined)}} [options={}] - Arrays longer
+ *   than maxArrayLength (e.g. the tokenizer vocabulary) are skipped
+ * @returns {GGUFHeader} Header
+ * @throws {Error} GGUF_END_OF_DATA if the header continues past `bytes`
+ */
+function parseGGUFHeader(bytes, options = {}) {
+  const maxArrayLength = options.maxArrayLength ?? Infinity;
+  const reader = new GGUFBufferReader(bytes);
+  if (reader.u32() !== GGUF_MAGIC) {
+    throw new WllamaError('Not a GGUF file: the file does not start with "GGUF"', 'load_error');
+  }
+  const version = reader.u32();
+  if (version !== 2 && version !== 3) {
+    throw new WllamaError(
+      version > 0xffff
+        ? 'Big-endian GGUF files are not supported'
+        : `Unsupported GGUF version ${version}; only versions 2 and 3 can be read`,
+      'load_error'
+    );
+  }
+  const tensorCount = reader.count();
+  const kvCount = reader.count();
+
+  const metadata = {};
+  for (let i = 0; i < kvCount; i++) {
+    const key = reader.string();
+    const type = reader.u32();
+    metadata[key] = type === GGUFValueType.ARRAY
+      ? reader.array(maxArrayLength)
+      : { type: ggufValueTypeName(type), value: reader.value(type) };
+  }
+
+  const tensors = [];
+  for (let i = 0; i < tensorCount; i++) {
+    const name = reader.string();
+    const nDims = reader.u32();
+    const shape = [];
+    for (let d = 0; d < nDims; d++) {
+      shape.push(reader.u64());
+    }
+    const type = reader.u32();
+    const offset = reader.u64();
+    tensors.push({ name, shape, type, typeName: ggmlTypeName(type), offset });
+  }
+
+  const alignment = metadata['general.alignment']?.value || GGUF_DEFAULT_ALIGNMENT;
+  return {
+    version,
+    metadata,
+    tensors,
+    headerSize: reader.offset,
+    tensorDataOffset: Math.ceil(reader.offset / alignment) * alignment
+  };
+}
+
+/**
+ * Reads bytes [start, end) of a Blob or a remote file.
+ *
+ * @async
+ * @param {Blob|string} source - Blob, or URL read with a Range request
+ * @param {number} start - First byte
+ * @param {number} end - Byte after the last one
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<{bytes: Uint8Array, size: number}>} Bytes read (fewer at
+ *   the end of the file), and the file size (Infinity if unknown)
+ */
+async function readGGUFBytes(source, start, end, signal) {
+  if (typeof source !== 'string') {
+    return {
+      bytes: new Uint8Array(await source.slice(start, end).arrayBuffer()),
+      size: source.size
+    };
+  }
+
+  const response = await fetch(source, {
+    headers: { Range: `bytes=${start}-${end - 1}` },
+    signal
+  });
+  if (!response.ok) {
+    throw new WllamaError(`Failed to read the GGUF header of ${source}: HTTP status ${response.status}`, 'download_error');
+  }
+  if (response.status === 206) {
+    const total = response.headers.get('Content-Range')?.split('/')[1];
+    return {
+      bytes: new Uint8Array(await response.arrayBuffer()),
+      size: total && total !== '*' ? Number(total) : Infinity
+    };
+  }
+
+  /* The server ignored the Range header: read the wanted bytes and stop */
+  const output = new Uint8Array(end - start);
+  const reader = response.body.getReader();
+  let received = 0;
+  while (received < end) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    const from = Math.max(start - received, 0);
+    const to = Math.min(end - received, value.length);
+    if (from < to) {
+      output.set(value.subarray(from, to), received + from - start);
+    }
+    received += value.length;
+  }
+  await reader.cancel();
+  return {
+    bytes: output.subarray(0, Math.max(Math.min(received, end) - start, 0)),
+    size: Number(response.headers.get('Content-Length')) || Infinity
+  };
+}
+
+/**
+ * Reads the header of a GGUF file.
+ *
+ * @async
+ * @param {Blob|string} source - Local file, or URL of a remote file
+ * @param {Object} [options={}] - Read options
+ * @param {number} [options.maxArrayLength=Infinity] - Arrays longer than
+ *   this are skipped, e.g. 0 to skip the tokenizer vocabulary
+ * @param {number} [options.maxHeaderSize=64 MiB] - Largest header to read
+ * @param {AbortSignal} [options.signal] - Aborts the requests
+ * @returns {Promise<GGUFHeader>} Header
+ * @throws {WllamaError} load_error if the file is not a readable GGUF file,
+ *   download_error if a request fails
+ */
+export async function readGGUFHeader(source, options = {}) {
+  const maxHeaderSize = options.maxHeaderSize ?? GGUF_MAX_HEADER_SIZE;
+  let bytes = new Uint8Array(0);
+  let sourceSize = typeof source === 'string' ? Infinity : source?.size;
+  if (!(sourceSize >= 0)) {
+    throw new WllamaError('GGUF header must be read from a URL or a Blob', 'load_error');
+  }
+
+  let readSize = GGUF_INITIAL_READ_SIZE;
+  while (true) {
+    const end = Math.min(readSize, sourceSize, maxHeaderSize);
+    if (end > bytes.length) {
+      const chunk = await readGGUFBytes(source, bytes.length, end, options.signal);
+      const joined = new Uint8Array(bytes.length + chunk.bytes.length);
+      joined.set(bytes);
+      joined.set(chunk.bytes, bytes.length);
+      bytes = joined;
+      sourceSize = bytes.length < end ? bytes.length : chunk.size;
+    }
+    try {
+      return parseGGUFHeader(bytes, options);
+    } catch (e) {
+      if (e !== GGUF_END_OF_DATA) throw e;
+    }
+    if (bytes.length >= sourceSize) {
+      throw new WllamaError('Invalid GGUF file: the file ends inside its header', 'load_error');
+    }
+    if (bytes.length >= maxHeaderSize) {
+      throw new WllamaError(`GGUF header is larger than ${maxHeaderSize} bytes; raise maxHeaderSize to read it`, 'load_error');
+    }
+    readSize *= 2;
+  }
+}
+
+/**
+ * Summarizes a GGUF header for display.
+ *
+ * @param {GGUFHeader} header - Header of the file (the first shard of a
+ *   split model)
+ * @returns {{architecture: ?string, name: ?string, quantization: ?string, contextLength: ?number, chatTemplate: ?string, parameterCount: number, tensorCount: number, splitCount: number}}
+ *   Model information; parameterCount and tensorCount cover this file only
+ */
+export function getGGUFModelInfo(header) {
+  const value = key => header.metadata[key]?.value;
+  const architecture = value('general.architecture');
+  const fileType = value('general.file_type');
+  return {
+    architecture: architecture || null,
+    name: value('general.name') || null,
+    quantization: fileType !== undefined ? LLAMA_FILE_TYPE_NAMES[fileType] || `unknown file type ${fileType}` : null,
+    contextLength: (architecture && value(`${architecture}.context_length`)) || null,
+    chatTemplate: value('tokenizer.chat_template') || null,
+    parameterCount: header.tensors.reduce((sum, t) => sum + t.shape.reduce((acc, dim) => acc * Number(dim), 1), 0),
+    tensorCount: header.tensors.length,
+    splitCount: value('split.count') || 1
+  };
+}
+
+/**
+ * Checks that llama.cpp can load a GGUF file.
+ *
+ * @param {GGUFHeader} header - Header of the file
+ * @throws {WllamaError} load_error naming the reason if it cannot
+ */
+export function checkGGUFSupport(header) {
+  /* Later shards of a split model only hold tensors */
+  const isFirstShard = !header.metadata['split.no']?.value;
+  if (isFirstShard && !header.metadata['general.architecture']) {
+    throw new WllamaError('Unsupported model: the GGUF file does not name a model architecture', 'load_error');
+  }
+  if (isFirstShard && header.tensors.length === 0) {
+    throw new WllamaError('Unsupported model: the GGUF file has no tensors (is it a vocabulary-only file?)', 'load_error');
+  }
+  const tensor = header.tensors.find(t => !GGML_TYPE_NAMES[t.type]);
+  if (tensor) {
+    throw new WllamaError(
+      `Unsupported model: tensor ${tensor.name} has type ${tensor.typeName}, which llama.cpp cannot load; use another quantization of the model`,
+      'load_error'
+    );
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview wllama Copy Sync
+ *
+ * The extension and the browser demo each serve their own copy of the
+ * vendored wllama build, because neither can load files from outside its
+ * directory. extension/js/wllama/ is the source: this script copies its
+ * modules (index.js and the modules it imports) to
+ * qwen3-browser-demo/wllama/. The wasm assets in single-thread/ and
+ * multi-thread/ are not touched.
+ *
+ * Usage:
+ *   node scripts/sync-wllama.mjs           Copy the modules
+ *   node scripts/sync-wllama.mjs --check   List the modules that differ,
+ *                                          and exit with status 1 if any do
+ *
+ * @license MIT
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Directory holding the wllama modules that are copied.
+ * @const {string}
+ */
+const SOURCE_DIR = path.join(ROOT, 'extension/js/wllama');
+
+/**
+ * Directory receiving the copies.
+ * @const {string}
+ */
+const TARGET_DIR = path.join(ROOT, 'qwen3-browser-demo/wllama');
+
+/**
+ * Returns the module files of the source directory.
+ *
+ * @async
+ * @returns {Promise<string[]>} File names, sorted
+ */
+async function listModules() {
+  const entries = await fs.readdir(SOURCE_DIR, { withFileTypes: true });
+  return entries.filter(entry => entry.isFile() && entry.name.endsWith('.js')).map(entry => entry.name).sort();
+}
+
+/**
+ * Returns the modules whose copy is missing or differs from the source.
+ *
+ * @async
+ * @returns {Promise<string[]>} File names
+ */
+export async function findOutdatedCopies() {
+  const outdated = [];
+  for (const name of await listModules()) {
+    const source = await fs.readFile(path.join(SOURCE_DIR, name));
+    const copy = await fs.readFile(path.join(TARGET_DIR, name)).catch(() => null);
+    if (!copy || !source.equals(copy)) outdated.push(name);
+  }
+  return outdated;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const outdated = await findOutdatedCopies();
+  if (process.argv.includes('--check')) {
+    for (const name of outdated) console.error(`qwen3-browser-demo/wllama/${name} differs from extension/js/wllama/${name}`);
+    process.exitCode = outdated.length > 0 ? 1 : 0;
+  } else {
+    for (const name of outdated) {
+      await fs.copyFile(path.join(SOURCE_DIR, name), path.join(TARGET_DIR, name));
+      console.log(`Copied ${name}`);
+    }
+  }
+}
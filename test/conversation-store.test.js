@@ -0,0 +1,55 @@
+import 'fake-indexeddb/auto';
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  appendMessage,
+  createConversation,
+  getConversation,
+  removeMessage,
+  updateConversation
+} from '../extension/js/conversation-store.js';
+
+const message = (role, content, createdAt) => ({ role, content, createdAt });
+
+describe('removeMessage', () => {
+  it('removes only the message with the given timestamp', async () => {
+    const { id } = await createConversation();
+    await updateConversation(id, {
+      messages: [
+        message('user', 'Hi', 1),
+        message('assistant', 'Hello', 2),
+        message('user', 'Why?', 3)
+      ]
+    });
+
+    const updated = await removeMessage(id, 3);
+
+    assert.deepEqual(updated.messages.map(m => m.content), ['Hi', 'Hello']);
+    assert.deepEqual((await getConversation(id)).messages, updated.messages);
+  });
+
+  it('keeps every message if none matches', async () => {
+    const { id } = await createConversation();
+    await updateConversation(id, { messages: [message('user', 'Hi', 1)] });
+
+    const updated = await removeMessage(id, 2);
+
+    assert.deepEqual(updated.messages, [message('user', 'Hi', 1)]);
+  });
+
+  it('takes back the question appended last', async () => {
+    const { id } = await createConversation();
+    const { messages } = await appendMessage(id, { role: 'user', content: 'Hi' });
+
+    const updated = await removeMessage(id, messages.at(-1).createdAt);
+
+    assert.deepEqual(updated.messages, []);
+    assert.equal(updated.title, 'Hi');
+  });
+
+  it('rejects an unknown conversation', async () => {
+    await assert.rejects(removeMessage('missing', 1), /Conversation not found/);
+  });
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { getEtag, isContinuation } from '../extension/js/wllama/download-resume.js';
+
+const partial = { loaded: 100, total: 1000, etag: 'abc123' };
+
+function response(status, headers) {
+  return new Response(null, { status, headers });
+}
+
+describe('getEtag', () => {
+  it('keeps only alphanumerics', () => {
+    assert.equal(getEtag(response(200, { ETag: 'W/"abc-123"' })), 'Wabc123');
+  });
+
+  it('returns an empty string without an ETag', () => {
+    assert.equal(getEtag(response(200, {})), '');
+  });
+});
+
+describe('isContinuation', () => {
+  it('accepts a 206 starting after the bytes on disk', () => {
+    const res = response(206, { ETag: '"abc123"', 'Content-Range': 'bytes 100-999/1000' });
+    assert.equal(isContinuation(res, partial), true);
+  });
+
+  it('rejects a full response', () => {
+    assert.equal(isContinuation(response(200, { ETag: '"abc123"' }), partial), false);
+  });
+
+  it('rejects a changed remote file', () => {
+    const res = response(206, { ETag: '"def456"', 'Content-Range': 'bytes 100-999/1000' });
+    assert.equal(isContinuation(res, partial), false);
+  });
+
+  it('rejects a range that does not start at the loaded size', () => {
+    const res = response(206, { ETag: '"abc123"', 'Content-Range': 'bytes 0-999/1000' });
+    assert.equal(isContinuation(res, partial), false);
+  });
+
+  it('rejects a different total size', () => {
+    const res = response(206, { ETag: '"abc123"', 'Content-Range': 'bytes 100-1999/2000' });
+    assert.equal(isContinuation(res, partial), false);
+  });
+
+  it('rejects a missing or unknown Content-Range', () => {
+    assert.equal(isContinuation(response(206, { ETag: '"abc123"' }), partial), false);
+    const res = response(206, { ETag: '"abc123"', 'Content-Range': 'bytes 100-999/*' });
+    assert.equal(isContinuation(res, partial), false);
+  });
+});
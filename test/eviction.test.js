@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { selectLeastRecentlyUsed } from '../extension/js/wllama/eviction.js';
+import { ModelManager } from '../extension/js/wllama/index.js';
+
+const model = (url, lastUsed, ...sizes) => ({ url, lastUsed, files: sizes.map(size => ({ size })) });
+
+describe('selectLeastRecentlyUsed', () => {
+  const models = [model('b', 200, 300), model('a', 100, 100, 100), model('c', 300, 500)];
+
+  it('selects nothing if the data already fits', () => {
+    assert.deepEqual(selectLeastRecentlyUsed(models, 50, 50), []);
+  });
+
+  it('selects the least recently used models until the data fits', () => {
+    assert.deepEqual(selectLeastRecentlyUsed(models, 250, 100).map(m => m.url), ['a']);
+    assert.deepEqual(selectLeastRecentlyUsed(models, 400, 100).map(m => m.url), ['a', 'b']);
+  });
+
+  it('counts every shard of a model', () => {
+    assert.deepEqual(selectLeastRecentlyUsed([model('a', 1, 100, 100)], 200, 0).map(m => m.url), ['a']);
+  });
+
+  it('returns null if removing every model is not enough', () => {
+    assert.equal(selectLeastRecentlyUsed(models, 2000, 100), null);
+  });
+
+  it('does not reorder its input', () => {
+    selectLeastRecentlyUsed(models, 400, 100);
+    assert.deepEqual(models.map(m => m.url), ['b', 'a', 'c']);
+  });
+});
+
+/**
+ * In-memory cache manager with a fixed quota.
+ */
+class MemoryCacheManager {
+  constructor(quota, files) {
+    this.quota = quota;
+    this.entries = files.map(([url, size, lastUsed]) => ({
+      name: url.split('/').pop(),
+      size,
+      metadata: { originalURL: url, originalSize: size, etag: 'x', lastUsed }
+    }));
+  }
+
+  async list() {
+    return this.entries.map(entry => ({ ...entry }));
+  }
+
+  async deleteMany(predicate) {
+    this.entries = this.entries.filter(entry => !predicate(entry));
+  }
+
+  async writeMetadata(url, metadata) {
+    this.entries.find(entry => entry.metadata.originalURL === url).metadata = metadata;
+  }
+
+  async estimateStorage() {
+    const usage = this.entries.reduce((sum, entry) => sum + entry.size, 0);
+    return { usage, quota: this.quota, available: this.quota - usage, persisted: false };
+  }
+}
+
+describe('ModelManager eviction', () => {
+  const files = () => [
+    ['https://example.com/old.gguf', 400, 100],
+    ['https://example.com/recent.gguf', 400, 300],
+    ['https://example.com/split-00001-of-00002.gguf', 200, 200],
+    ['https://example.com/split-00002-of-00002.gguf', 200, 200]
+  ];
+
+  it('selects nothing while the data fits', async () => {
+    const manager = new ModelManager({ cacheManager: new MemoryCacheManager(1500, files()) });
+    assert.deepEqual(await manager.selectModelsToEvict(300), []);
+  });
+
+  it('selects the least recently used models', async () => {
+    const manager = new ModelManager({ cacheManager: new MemoryCacheManager(1500, files()) });
+    const models = await manager.selectModelsToEvict(800);
+    assert.deepEqual(models.map(m => m.url), ['https://example.com/old.gguf', 'https://example.com/split-00001-of-00002.gguf']);
+  });
+
+  it('keeps the models it is told to keep', async () => {
+    const manager = new ModelManager({ cacheManager: new MemoryCacheManager(1500, files()) });
+    const models = await manager.selectModelsToEvict(800, ['https://example.com/old.gguf']);
+    assert.deepEqual(models.map(m => m.url), ['https://example.com/split-00001-of-00002.gguf', 'https://example.com/recent.gguf']);
+  });
+
+  it('considers models whose files are incomplete', async () => {
+    const cacheManager = new MemoryCacheManager(1500, files());
+    cacheManager.entries[0].size = 100;
+    const manager = new ModelManager({ cacheManager });
+    const models = await manager.selectModelsToEvict(900);
+    assert.deepEqual(models.map(m => m.url), ['https://example.com/old.gguf', 'https://example.com/split-00001-of-00002.gguf']);
+  });
+
+  it('refuses a download that does not fit unless eviction is enabled', async () => {
+    const cacheManager = new MemoryCacheManager(1500, files());
+    const manager = new ModelManager({ cacheManager, logger: { debug() {}, warn() {} } });
+    await assert.rejects(manager.ensureSpace(800), { type: 'storage_error' });
+    assert.equal(cacheManager.entries.length, 4);
+
+    const removed = await manager.ensureSpace(800, { evictLeastRecentlyUsed: true });
+    assert.equal(removed.length, 2);
+    assert.deepEqual(cacheManager.entries.map(entry => entry.name), ['recent.gguf']);
+  });
+
+  it('refuses a download larger than the whole quota', async () => {
+    const manager = new ModelManager({
+      cacheManager: new MemoryCacheManager(1500, files()),
+      logger: { debug() {}, warn() {} },
+      evictLeastRecentlyUsed: true
+    });
+    await assert.rejects(manager.ensureSpace(2000), { type: 'storage_error' });
+  });
+});
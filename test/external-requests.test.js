@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { getExternalOverrides, validateChatMessages } from '../extension/js/external-requests.js';
+import { DEFAULT_SETTINGS } from '../extension/js/settings.js';
+
+describe('validateChatMessages', () => {
+  it('keeps only role and content', () => {
+    const messages = [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi', name: 'me' }
+    ];
+    assert.deepEqual(validateChatMessages(messages), [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' }
+    ]);
+  });
+
+  it('rejects an empty or missing history', () => {
+    assert.throws(() => validateChatMessages([]), /non-empty array/);
+    assert.throws(() => validateChatMessages(undefined), /non-empty array/);
+  });
+
+  it('rejects an unknown role', () => {
+    assert.throws(() => validateChatMessages([{ role: 'tool', content: 'x' }]), /messages\[0\]\.role/);
+  });
+
+  it('rejects a missing message', () => {
+    assert.throws(() => validateChatMessages([undefined]), /messages\[0\]\.role/);
+  });
+
+  it('allows a system message only first', () => {
+    const messages = [{ role: 'user', content: 'Hi' }, { role: 'system', content: 'x' }, { role: 'user', content: 'Hi' }];
+    assert.throws(() => validateChatMessages(messages), /Only the first message/);
+  });
+
+  it('requires string content', () => {
+    assert.throws(() => validateChatMessages([{ role: 'user', content: 1 }]), /messages\[0\]\.content/);
+  });
+
+  it('requires the last message to be from the user', () => {
+    const messages = [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }];
+    assert.throws(() => validateChatMessages(messages), /last message must be a user message/);
+  });
+});
+
+describe('getExternalOverrides', () => {
+  it('overrides nothing without options', () => {
+    assert.deepEqual(getExternalOverrides(undefined, DEFAULT_SETTINGS), {});
+    assert.deepEqual(getExternalOverrides({}, DEFAULT_SETTINGS), {});
+  });
+
+  it('leaves out thinking unless the caller sets it', () => {
+    assert.equal('thinking' in getExternalOverrides({ temp: 0.1 }, DEFAULT_SETTINGS), false);
+    assert.deepEqual(getExternalOverrides({ thinking: false }, DEFAULT_SETTINGS), { thinking: false });
+    assert.deepEqual(getExternalOverrides({ thinking: true }, DEFAULT_SETTINGS), { thinking: true });
+  });
+
+  it('rejects a thinking option that is not a boolean', () => {
+    assert.throws(() => getExternalOverrides({ thinking: 'yes' }, DEFAULT_SETTINGS), /Invalid option thinking/);
+  });
+
+  it('returns the requested options as numbers', () => {
+    assert.deepEqual(
+      getExternalOverrides({ nPredict: '64', temp: 0.2, top_k: 10, top_p: 0.5 }, DEFAULT_SETTINGS),
+      { nPredict: 64, temp: 0.2, top_k: 10, top_p: 0.5 }
+    );
+  });
+
+  it('ignores options that are not generation settings', () => {
+    assert.deepEqual(getExternalOverrides({ n_ctx: 256, systemPrompt: 'x' }, DEFAULT_SETTINGS), {});
+  });
+
+  it('rejects an option out of range', () => {
+    assert.throws(() => getExternalOverrides({ temp: 5 }, DEFAULT_SETTINGS), /Invalid option temp: Must be between 0 and 2/);
+  });
+
+  it('checks nPredict against the stored context size', () => {
+    const settings = { ...DEFAULT_SETTINGS, n_ctx: 1024 };
+    assert.deepEqual(getExternalOverrides({ nPredict: 512 }, settings), { nPredict: 512 });
+    assert.throws(() => getExternalOverrides({ nPredict: 1024 }, settings), /Invalid option nPredict/);
+  });
+});
@@ -0,0 +1,150 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+
+import { FsCacheManager } from '../node/fs-cache-manager.mjs';
+
+const DATA = Buffer.from(Array.from({ length: 300000 }, (_, i) => i % 251));
+const DATA_SHA256 = createHash('sha256').update(DATA).digest('hex');
+
+/**
+ * Serves DATA with an ETag and Range support. While `cutAfter` is set, the
+ * next response is cut off after that many bytes.
+ */
+function createServer() {
+  const server = http.createServer((req, res) => {
+    server.requests.push({ method: req.method, range: req.headers.range });
+    res.setHeader('ETag', '"v1"');
+    if (req.method === 'HEAD') {
+      res.setHeader('Content-Length', DATA.length);
+      res.end();
+      return;
+    }
+    const match = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    const start = match ? Number(match[1]) : 0;
+    res.writeHead(match ? 206 : 200, {
+      'Content-Length': DATA.length - start,
+      ...(match && { 'Content-Range': `bytes ${start}-${DATA.length - 1}/${DATA.length}` })
+    });
+    if (server.cutAfter) {
+      res.write(DATA.subarray(start, start + server.cutAfter));
+      server.cutAfter = 0;
+      setTimeout(() => res.destroy(), 20);
+    } else {
+      res.end(DATA.subarray(start));
+    }
+  });
+  server.requests = [];
+  server.cutAfter = 0;
+  return server;
+}
+
+describe('FsCacheManager downloads', () => {
+  let server;
+  let url;
+  let cacheDir;
+  let cache;
+
+  before(async () => {
+    server = createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/model.gguf`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wllama-cache-'));
+    cache = new FsCacheManager(cacheDir);
+    server.requests = [];
+  });
+
+  afterEach(() => fs.rm(cacheDir, { recursive: true, force: true }));
+
+  it('downloads a file and lists it with its metadata', async () => {
+    await cache.download(url);
+    const entries = await cache.list();
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].size, DATA.length);
+    assert.equal(entries[0].metadata.originalURL, url);
+    assert.equal(entries[0].metadata.etag, 'v1');
+    assert.equal(entries[0].metadata.partial, undefined);
+    assert.deepEqual(Buffer.from(await (await cache.open(url)).arrayBuffer()), DATA);
+  });
+
+  it('records when a download completed as lastUsed', async () => {
+    const before = Date.now();
+    await cache.download(url);
+    const [entry] = await cache.list();
+    assert.ok(entry.metadata.lastUsed >= before && entry.metadata.lastUsed <= Date.now());
+  });
+
+  it('leaves an interrupted download out of list()', async () => {
+    server.cutAfter = 100000;
+    await assert.rejects(cache.download(url));
+    assert.deepEqual(await cache.list(), []);
+    const [entry] = await cache.listEntries();
+    assert.equal(entry.metadata.partial, true);
+    assert.ok(entry.size > 0 && entry.size < DATA.length);
+  });
+
+  it('resumes an interrupted download with a Range request', async () => {
+    server.cutAfter = 100000;
+    await assert.rejects(cache.download(url));
+    const loaded = (await cache.listEntries())[0].size;
+
+    await cache.download(url);
+    assert.equal(server.requests.at(-1).range, `bytes=${loaded}-`);
+    const [entry] = await cache.list();
+    assert.equal(entry.size, DATA.length);
+    assert.equal(entry.metadata.partial, undefined);
+    assert.deepEqual(Buffer.from(await (await cache.open(url)).arrayBuffer()), DATA);
+  });
+
+  it('starts over when resume is false', async () => {
+    server.cutAfter = 100000;
+    await assert.rejects(cache.download(url));
+
+    await cache.download(url, { resume: false });
+    assert.equal(server.requests.at(-1).range, undefined);
+    assert.equal((await cache.list())[0].size, DATA.length);
+  });
+
+  it('records the digest of a download that matches its checksum', async () => {
+    await cache.download(url, { sha256: DATA_SHA256 });
+    const [entry] = await cache.list();
+    assert.equal(entry.metadata.sha256, DATA_SHA256);
+    assert.equal(entry.metadata.actualSha256, DATA_SHA256);
+  });
+
+  it('rejects a download that does not match its checksum', async () => {
+    const sha256 = '0'.repeat(64);
+    await assert.rejects(cache.download(url, { sha256 }), { type: 'download_error', message: /Checksum mismatch/ });
+    const [entry] = await cache.list();
+    assert.equal(entry.metadata.actualSha256, DATA_SHA256);
+    assert.equal(await cache.getPartialDownload(url), null, 'a corrupted file is not resumed');
+  });
+
+  it('hashes a resumed download from the bytes on disk', async () => {
+    server.cutAfter = 100000;
+    await assert.rejects(cache.download(url, { sha256: DATA_SHA256 }));
+    await cache.download(url, { sha256: DATA_SHA256 });
+    assert.equal((await cache.list())[0].metadata.actualSha256, DATA_SHA256);
+  });
+
+  it('computes the digest of a cached file', async () => {
+    await cache.download(url);
+    assert.equal(await cache.computeSha256(url), DATA_SHA256);
+  });
+
+  it('deletes partial downloads with clear()', async () => {
+    server.cutAfter = 100000;
+    await assert.rejects(cache.download(url));
+    await cache.clear();
+    assert.deepEqual(await fs.readdir(cacheDir), []);
+  });
+});
@@ -0,0 +1,222 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, describe, it } from 'node:test';
+
+import { checkGGUFSupport, getGGUFModelInfo, readGGUFHeader } from '../extension/js/wllama/gguf.js';
+import { GGUFValueType, buildGGUF, qwen3Metadata } from './helpers/gguf-builder.js';
+
+const Q8_0 = 8;
+const F32 = 0;
+
+const tensors = [
+  { name: 'token_embd.weight', shape: [1024, 151936], type: Q8_0 },
+  { name: 'output_norm.weight', shape: [1024], type: F32 }
+];
+
+const blob = bytes => new Blob([bytes]);
+
+describe('readGGUFHeader', () => {
+  it('reads metadata and the tensor table', async () => {
+    const header = await readGGUFHeader(blob(buildGGUF({ metadata: qwen3Metadata(), tensors, dataSize: 64 })));
+    assert.equal(header.version, 3);
+    assert.deepEqual(header.metadata['general.architecture'], { type: 'string', value: 'qwen3' });
+    assert.deepEqual(header.metadata['qwen3.block_count'], { type: 'uint32', value: 28 });
+    assert.deepEqual(header.metadata['tokenizer.ggml.tokens'], {
+      type: 'array',
+      itemType: 'string',
+      length: 4,
+      value: ['a', 'b', 'c', 'd']
+    });
+    assert.deepEqual(header.tensors, [
+      { name: 'token_embd.weight', shape: [1024, 151936], type: Q8_0, typeName: 'Q8_0', offset: 0 },
+      { name: 'output_norm.weight', shape: [1024], type: F32, typeName: 'F32', offset: 32 }
+    ]);
+    assert.equal(header.tensorDataOffset % 32, 0);
+    assert.ok(header.tensorDataOffset >= header.headerSize && header.tensorDataOffset < header.headerSize + 32);
+  });
+
+  it('reads every value type', async () => {
+    const metadata = [
+      ['u8', GGUFValueType.UINT8, 200],
+      ['i8', GGUFValueType.INT8, -100],
+      ['u16', GGUFValueType.UINT16, 60000],
+      ['i16', GGUFValueType.INT16, -30000],
+      ['i32', GGUFValueType.INT32, -5],
+      ['f32', GGUFValueType.FLOAT32, 0.5],
+      ['bool', GGUFValueType.BOOL, true],
+      ['u64', GGUFValueType.UINT64, 2n ** 60n],
+      ['i64', GGUFValueType.INT64, -7],
+      ['f64', GGUFValueType.FLOAT64, 1e-7],
+      ['nested', GGUFValueType.ARRAY, {
+        itemType: GGUFValueType.ARRAY,
+        items: [{ itemType: GGUFValueType.INT32, items: [1, 2] }]
+      }]
+    ];
+    const header = await readGGUFHeader(blob(buildGGUF({ metadata })));
+    const values = Object.fromEntries(Object.entries(header.metadata).map(([key, entry]) => [key, entry.value]));
+    assert.deepEqual(values, {
+      u8: 200,
+      i8: -100,
+      u16: 60000,
+      i16: -30000,
+      i32: -5,
+      f32: 0.5,
+      bool: true,
+      u64: 2n ** 60n,
+      i64: -7,
+      f64: 1e-7,
+      nested: [[1, 2]]
+    });
+  });
+
+  it('skips arrays longer than maxArrayLength', async () => {
+    const metadata = qwen3Metadata({ 'z.after': [GGUFValueType.UINT32, 42] });
+    const header = await readGGUFHeader(blob(buildGGUF({ metadata, tensors })), { maxArrayLength: 0 });
+    assert.deepEqual(header.metadata['tokenizer.ggml.tokens'], { type: 'array', itemType: 'string', length: 4 });
+    assert.equal(header.metadata['z.after'].value, 42);
+    assert.equal(header.tensors.length, 2);
+  });
+
+  it('aligns the tensor data to general.alignment', async () => {
+    const metadata = qwen3Metadata({ 'general.alignment': [GGUFValueType.UINT32, 4096] });
+    const header = await readGGUFHeader(blob(buildGGUF({ metadata, tensors })));
+    assert.equal(header.tensorDataOffset, 4096);
+  });
+
+  it('reads headers larger than the first read', async () => {
+    const metadata = qwen3Metadata({ 'tokenizer.chat_template': [GGUFValueType.STRING, 'x'.repeat(3 * 1024 * 1024)] });
+    const header = await readGGUFHeader(blob(buildGGUF({ metadata, tensors })));
+    assert.equal(header.metadata['tokenizer.chat_template'].value.length, 3 * 1024 * 1024);
+    assert.equal(header.tensors.length, 2);
+  });
+
+  it('refuses headers larger than maxHeaderSize', async () => {
+    const metadata = qwen3Metadata({ 'tokenizer.chat_template': [GGUFValueType.STRING, 'x'.repeat(2048)] });
+    await assert.rejects(readGGUFHeader(blob(buildGGUF({ metadata })), { maxHeaderSize: 1024 }), {
+      type: 'load_error',
+      message: /larger than 1024 bytes/
+    });
+  });
+
+  it('rejects files that are not GGUF', async () => {
+    await assert.rejects(readGGUFHeader(blob(new TextEncoder().encode('not a model at all'))), {
+      type: 'load_error',
+      message: /Not a GGUF file/
+    });
+  });
+
+  it('rejects unsupported versions', async () => {
+    await assert.rejects(readGGUFHeader(blob(buildGGUF({ version: 1 }))), { message: /Unsupported GGUF version 1/ });
+    await assert.rejects(readGGUFHeader(blob(buildGGUF({ version: 0x03000000 }))), { message: /Big-endian/ });
+  });
+
+  it('rejects files that end inside the header', async () => {
+    const bytes = buildGGUF({ metadata: qwen3Metadata(), tensors });
+    await assert.rejects(readGGUFHeader(blob(bytes.subarray(0, bytes.length - 10))), {
+      type: 'load_error',
+      message: /ends inside its header/
+    });
+  });
+
+  it('rejects unknown value types', async () => {
+    const bytes = buildGGUF({ metadata: [['bad', GGUFValueType.UINT32, 0]] });
+    /* The value type follows the magic, version, counts and key */
+    new DataView(bytes.buffer).setUint32(24 + 8 + 3, 99, true);
+    await assert.rejects(readGGUFHeader(blob(bytes)), { message: /unknown value type 99/ });
+  });
+
+  it('rejects sources that are neither a URL nor a Blob', async () => {
+    await assert.rejects(readGGUFHeader({}), { type: 'load_error' });
+  });
+});
+
+describe('readGGUFHeader from a URL', () => {
+  const bytes = buildGGUF({ metadata: qwen3Metadata(), tensors, dataSize: 4096 });
+  let server;
+  let baseUrl;
+  const ranges = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      ranges.push(req.headers.range);
+      if (req.url === '/missing.gguf') {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      const match = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+      if (req.url === '/ranged.gguf' && match) {
+        const start = Number(match[1]);
+        const end = Math.min(Number(match[2]), bytes.length - 1);
+        res.writeHead(206, { 'Content-Range': `bytes ${start}-${end}/${bytes.length}` });
+        res.end(bytes.subarray(start, end + 1));
+      } else {
+        res.writeHead(200, { 'Content-Length': bytes.length });
+        res.end(bytes);
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('reads the header with a Range request', async () => {
+    const header = await readGGUFHeader(`${baseUrl}/ranged.gguf`);
+    assert.equal(header.metadata['general.name'].value, 'Qwen3 Test');
+    assert.equal(ranges.at(-1), `bytes=0-${1024 * 1024 - 1}`);
+  });
+
+  it('reads the header from a server that ignores Range', async () => {
+    const header = await readGGUFHeader(`${baseUrl}/plain.gguf`);
+    assert.equal(header.tensors.length, 2);
+  });
+
+  it('reports HTTP errors', async () => {
+    await assert.rejects(readGGUFHeader(`${baseUrl}/missing.gguf`), { type: 'download_error', message: /HTTP status 404/ });
+  });
+});
+
+describe('getGGUFModelInfo', () => {
+  it('summarizes the header', async () => {
+    const header = await readGGUFHeader(blob(buildGGUF({ metadata: qwen3Metadata(), tensors })));
+    assert.deepEqual(getGGUFModelInfo(header), {
+      architecture: 'qwen3',
+      name: 'Qwen3 Test',
+      quantization: 'Q8_0',
+      contextLength: 40960,
+      chatTemplate: null,
+      parameterCount: 1024 * 151936 + 1024,
+      tensorCount: 2,
+      splitCount: 1
+    });
+  });
+});
+
+describe('checkGGUFSupport', () => {
+  const header = async (metadata, tensorList = tensors) =>
+    readGGUFHeader(blob(buildGGUF({ metadata, tensors: tensorList })));
+
+  it('accepts a supported model', async () => {
+    checkGGUFSupport(await header(qwen3Metadata()));
+  });
+
+  it('rejects a model without an architecture', async () => {
+    const h = await header(qwen3Metadata({ 'general.architecture': undefined }));
+    assert.throws(() => checkGGUFSupport(h), { type: 'load_error', message: /does not name a model architecture/ });
+  });
+
+  it('rejects a vocabulary-only file', async () => {
+    const h = await header(qwen3Metadata(), []);
+    assert.throws(() => checkGGUFSupport(h), { message: /no tensors/ });
+  });
+
+  it('rejects tensor types llama.cpp no longer loads', async () => {
+    const h = await header(qwen3Metadata(), [{ name: 'blk.0.ffn_up.weight', shape: [1024, 3072], type: 31 }]);
+    assert.throws(() => checkGGUFSupport(h), { message: /blk\.0\.ffn_up\.weight has type Q4_0_4_4/ });
+  });
+
+  it('accepts a later shard without architecture metadata', async () => {
+    checkGGUFSupport(await header([['split.no', GGUFValueType.UINT16, 1]]));
+  });
+});
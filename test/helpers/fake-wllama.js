@@ -0,0 +1,39 @@
+/**
+ * Stand-in for a loaded Wllama that tracks the tokens of its single KV
+ * sequence. Tokens are character codes, chats are formatted with XML-like
+ * tags, and the cache bookkeeping follows getCachedTokens,
+ * computeNonCachedTokens and decode of the wllama build.
+ */
+export class FakeWllama {
+  constructor({ addBosToken = true } = {}) {
+    this.bosToken = 1;
+    this.addBosToken = addBosToken;
+    this.cache = [];
+    this.decoded = [];
+  }
+
+  async tokenize(text) {
+    return [...text].map(c => c.charCodeAt(0));
+  }
+
+  async formatChat(messages, addAssistant) {
+    const turns = messages.map(({ role, content }) => `<${role}>${content}</${role}>`).join('');
+    return addAssistant ? `${turns}<assistant>` : turns;
+  }
+
+  async getCachedTokens() {
+    return [...this.cache];
+  }
+
+  async computeNonCachedTokens(seq) {
+    let nKeep = 0;
+    while (nKeep < Math.min(this.cache.length, seq.length) && this.cache[nKeep] === seq[nKeep]) nKeep++;
+    this.cache.length = nKeep;
+    return seq.slice(nKeep);
+  }
+
+  async decode(tokens) {
+    this.decoded.push([...tokens]);
+    this.cache.push(...tokens);
+  }
+}
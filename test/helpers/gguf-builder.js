@@ -0,0 +1,137 @@
+/**
+ * Builds small GGUF files for tests.
+ */
+
+import { GGUFValueType } from '../../extension/js/wllama/gguf.js';
+
+export { GGUFValueType };
+
+const encoder = new TextEncoder();
+
+class Writer {
+  constructor() {
+    this.chunks = [];
+  }
+
+  bytes(data) {
+    this.chunks.push(data);
+  }
+
+  fixed(size, write) {
+    const buffer = new ArrayBuffer(size);
+    write(new DataView(buffer));
+    this.chunks.push(new Uint8Array(buffer));
+  }
+
+  u32(value) {
+    this.fixed(4, view => view.setUint32(0, value, true));
+  }
+
+  u64(value) {
+    this.fixed(8, view => view.setBigUint64(0, BigInt(value), true));
+  }
+
+  string(value) {
+    const data = encoder.encode(value);
+    this.u64(data.length);
+    this.bytes(data);
+  }
+
+  value(type, value) {
+    switch (type) {
+      case GGUFValueType.UINT8: return this.fixed(1, view => view.setUint8(0, value));
+      case GGUFValueType.INT8: return this.fixed(1, view => view.setInt8(0, value));
+      case GGUFValueType.UINT16: return this.fixed(2, view => view.setUint16(0, value, true));
+      case GGUFValueType.INT16: return this.fixed(2, view => view.setInt16(0, value, true));
+      case GGUFValueType.UINT32: return this.u32(value);
+      case GGUFValueType.INT32: return this.fixed(4, view => view.setInt32(0, value, true));
+      case GGUFValueType.FLOAT32: return this.fixed(4, view => view.setFloat32(0, value, true));
+      case GGUFValueType.BOOL: return this.fixed(1, view => view.setUint8(0, value ? 1 : 0));
+      case GGUFValueType.STRING: return this.string(value);
+      case GGUFValueType.UINT64: return this.u64(value);
+      case GGUFValueType.INT64: return this.fixed(8, view => view.setBigInt64(0, BigInt(value), true));
+      case GGUFValueType.FLOAT64: return this.fixed(8, view => view.setFloat64(0, value, true));
+      case GGUFValueType.ARRAY:
+        this.u32(value.itemType);
+        this.u64(value.items.length);
+        for (const item of value.items) this.value(value.itemType, item);
+        return undefined;
+      default:
+        throw new Error(`unknown type ${type}`);
+    }
+  }
+
+  toBytes() {
+    const size = this.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const output = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      output.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return output;
+  }
+}
+
+/**
+ * Returns the bytes of a GGUF file.
+ *
+ * @param {Object} [options={}]
+ * @param {number} [options.version=3] - GGUF version
+ * @param {Array<[string, number, *]>} [options.metadata=[]] - Key, value
+ *   type and value; arrays are given as { itemType, items }
+ * @param {Array<{name: string, shape: number[], type: number}>} [options.tensors=[]] - Tensor table
+ * @param {number} [options.dataSize=0] - Bytes of tensor data after the header
+ * @returns {Uint8Array} File content
+ */
+export function buildGGUF({ version = 3, metadata = [], tensors = [], dataSize = 0 } = {}) {
+  const writer = new Writer();
+  writer.bytes(encoder.encode('GGUF'));
+  writer.u32(version);
+  writer.u64(tensors.length);
+  writer.u64(metadata.length);
+  for (const [key, type, value] of metadata) {
+    writer.string(key);
+    writer.u32(type);
+    writer.value(type, value);
+  }
+  let offset = 0;
+  for (const tensor of tensors) {
+    writer.string(tensor.name);
+    writer.u32(tensor.shape.length);
+    for (const dim of tensor.shape) writer.u64(dim);
+    writer.u32(tensor.type);
+    writer.u64(offset);
+    offset += 32;
+  }
+  writer.bytes(new Uint8Array(dataSize));
+  return writer.toBytes();
+}
+
+/**
+ * Metadata of a small Qwen3-like model.
+ *
+ * @param {Object} [overrides={}] - Values by key, replacing or adding entries
+ * @returns {Array<[string, number, *]>} Metadata entries
+ */
+export function qwen3Metadata(overrides = {}) {
+  const entries = {
+    'general.architecture': [GGUFValueType.STRING, 'qwen3'],
+    'general.name': [GGUFValueType.STRING, 'Qwen3 Test'],
+    'general.file_type': [GGUFValueType.UINT32, 7],
+    'qwen3.context_length': [GGUFValueType.UINT32, 40960],
+    'qwen3.block_count': [GGUFValueType.UINT32, 28],
+    'qwen3.embedding_length': [GGUFValueType.UINT32, 1024],
+    'qwen3.feed_forward_length': [GGUFValueType.UINT32, 3072],
+    'qwen3.attention.head_count': [GGUFValueType.UINT32, 16],
+    'qwen3.attention.head_count_kv': [GGUFValueType.UINT32, 8],
+    'qwen3.attention.key_length': [GGUFValueType.UINT32, 128],
+    'qwen3.attention.value_length': [GGUFValueType.UINT32, 128],
+    'tokenizer.ggml.tokens': [GGUFValueType.ARRAY, { itemType: GGUFValueType.STRING, items: ['a', 'b', 'c', 'd'] }]
+  };
+  for (const [key, entry] of Object.entries(overrides)) {
+    if (entry === undefined) delete entries[key];
+    else entries[key] = entry;
+  }
+  return Object.entries(entries).map(([key, [type, value]]) => [key, type, value]);
+}
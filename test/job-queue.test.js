@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { JobQueue, MAX_QUEUED_JOBS_PER_CALLER } from '../extension/js/job-queue.js';
+
+const job = (requestId, caller, priority) => ({ requestId, caller, priority, run: async () => {}, cancel: () => {} });
+
+const order = queue => queue.jobs.map(queued => queued.requestId);
+
+describe('JobQueue', () => {
+  it('runs higher priorities first', () => {
+    const queue = new JobQueue();
+    queue.add(job('e', 'ext', 'external'));
+    queue.add(job('b', 'menu', 'background'));
+    queue.add(job('i', 'popup', 'interactive'));
+    assert.deepEqual(order(queue), ['i', 'b', 'e']);
+  });
+
+  it('treats an unknown priority as external', () => {
+    const queue = new JobQueue();
+    queue.add(job('x', 'a', 'urgent'));
+    queue.add(job('b', 'menu', 'background'));
+    assert.deepEqual(order(queue), ['b', 'x']);
+  });
+
+  it('lets callers of the same priority take turns', () => {
+    const queue = new JobQueue();
+    queue.add(job('a1', 'a'));
+    queue.add(job('a2', 'a'));
+    queue.add(job('a3', 'a'));
+    queue.add(job('b1', 'b'));
+    queue.add(job('b2', 'b'));
+    assert.deepEqual(order(queue), ['a1', 'b1', 'a2', 'b2', 'a3']);
+  });
+
+  it('uses the request ID as the caller if none is given', () => {
+    const queue = new JobQueue();
+    for (let i = 0; i < MAX_QUEUED_JOBS_PER_CALLER + 1; i++) {
+      assert.equal(queue.add(job(`r${i}`)), true);
+    }
+  });
+
+  it(`turns away a caller with ${MAX_QUEUED_JOBS_PER_CALLER} jobs waiting`, () => {
+    const queue = new JobQueue();
+    for (let i = 0; i < MAX_QUEUED_JOBS_PER_CALLER; i++) {
+      assert.equal(queue.add(job(`a${i}`, 'a')), true);
+    }
+    assert.equal(queue.add(job('a4', 'a')), false);
+    assert.equal(queue.add(job('b0', 'b')), true);
+    assert.equal(queue.length, MAX_QUEUED_JOBS_PER_CALLER + 1);
+  });
+
+  it('takes a caller again once one of its jobs has run', () => {
+    const queue = new JobQueue();
+    for (let i = 0; i < MAX_QUEUED_JOBS_PER_CALLER; i++) queue.add(job(`a${i}`, 'a'));
+    assert.equal(queue.shift().requestId, 'a0');
+    assert.equal(queue.add(job('a4', 'a')), true);
+    assert.deepEqual(order(queue), ['a1', 'a2', 'a3', 'a4']);
+  });
+
+  it('moves a caller up a turn when one of its jobs is removed', () => {
+    const queue = new JobQueue();
+    queue.add(job('a1', 'a'));
+    queue.add(job('a2', 'a'));
+    queue.add(job('b1', 'b'));
+    queue.add(job('b2', 'b'));
+
+    assert.equal(queue.remove('a1').requestId, 'a1');
+    queue.add(job('c1', 'c'));
+    assert.deepEqual(order(queue), ['b1', 'a2', 'c1', 'b2']);
+    assert.equal(queue.remove('missing'), null);
+  });
+
+  it('reports only the jobs whose position changed', () => {
+    const queue = new JobQueue();
+    queue.add(job('a', 'a'));
+    queue.add(job('b', 'b'));
+    assert.deepEqual(queue.updatePositions().map(q => [q.requestId, q.position]), [['a', 1], ['b', 2]]);
+    assert.deepEqual(queue.updatePositions(), []);
+
+    queue.shift();
+    assert.deepEqual(queue.updatePositions().map(q => [q.requestId, q.position]), [['b', 1]]);
+  });
+});
@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { readGGUFHeader } from '../extension/js/wllama/gguf.js';
+import { estimateModelMemory, getMemoryBudget, preflightModelMemory } from '../extension/js/wllama/memory.js';
+import { GGUFValueType, buildGGUF, qwen3Metadata } from './helpers/gguf-builder.js';
+
+const MiB = 1024 * 1024;
+const GiB = 1024 * MiB;
+const Q8_0 = 8;
+const F32 = 0;
+
+const tensors = [
+  { name: 'token_embd.weight', shape: [1024, 151936], type: Q8_0 },
+  { name: 'output_norm.weight', shape: [1024], type: F32 }
+];
+
+const readHeader = (metadata = qwen3Metadata()) => readGGUFHeader(new Blob([buildGGUF({ metadata, tensors })]));
+
+describe('estimateModelMemory', () => {
+  it('sizes the f16 KV cache of Qwen3-0.6B', async () => {
+    const estimate = estimateModelMemory([await readHeader()], { n_ctx: 2048 });
+    /* 28 layers x 2048 cells x 8 KV heads x 128 x (K + V) x 2 bytes */
+    assert.equal(estimate.kvCache, 224 * MiB);
+    assert.equal(estimate.n_ctx, 2048);
+    assert.equal(estimate.n_batch, 512);
+  });
+
+  it('sizes a quantized KV cache by blocks', async () => {
+    const estimate = estimateModelMemory([await readHeader()], { n_ctx: 2048, cache_type_k: 'q8_0', cache_type_v: 'q8_0' });
+    /* 1024 values per row: 32 blocks of 34 bytes */
+    assert.equal(estimate.kvCache, 28 * 2048 * 2 * 32 * 34);
+  });
+
+  it('adds the tensor data of every shard to the weights', async () => {
+    const header = await readHeader();
+    const shard = { ...header, tensorDataOffset: 64, tensors: [{ type: F32, shape: [256] }] };
+    const estimate = estimateModelMemory([header, shard]);
+    const tensorData = (1024 * 151936 / 32) * 34 + 1024 * 4;
+    assert.equal(estimate.weights, header.tensorDataOffset + tensorData + 64 + 1024);
+  });
+
+  it('sizes the compute buffers from n_batch and drops the scores with flash attention', async () => {
+    const header = await readHeader();
+    const plain = estimateModelMemory([header], { n_ctx: 2048, n_batch: 256 });
+    const flash = estimateModelMemory([header], { n_ctx: 2048, n_batch: 256, flash_attn: true });
+    /* 4 tokens in the vocabulary, 1024 embedding, 3072 feed-forward, 16 heads */
+    assert.equal(flash.compute, 4 * 256 * (4 + 4 * 1024 + 2 * 3072));
+    assert.equal(plain.compute - flash.compute, 4 * 256 * 16 * 2048);
+    assert.equal(plain.total, plain.weights + plain.kvCache + plain.compute + plain.overhead);
+  });
+
+  it('uses the default context and keeps n_batch within n_ctx', async () => {
+    const header = await readHeader();
+    const estimate = estimateModelMemory([header]);
+    assert.equal(estimate.n_ctx, 1024);
+    assert.equal(estimate.n_batch, 512);
+    assert.equal(estimateModelMemory([header], { n_ctx: 128, n_batch: 512 }).n_batch, 128);
+  });
+
+  it('reads per-layer KV head counts', async () => {
+    const header = await readHeader(qwen3Metadata({
+      'qwen3.block_count': [GGUFValueType.UINT32, 2],
+      'qwen3.attention.head_count_kv': [GGUFValueType.ARRAY, { itemType: GGUFValueType.UINT32, items: [8, 0] }]
+    }));
+    assert.equal(estimateModelMemory([header], { n_ctx: 1024 }).kvCache, 1024 * 8 * 128 * 2 * 2);
+  });
+
+  it('rejects unknown KV cache types', async () => {
+    assert.throws(() => estimateModelMemory([{ metadata: {}, tensors: [], tensorDataOffset: 0 }], { cache_type_k: 'q9' }), {
+      type: 'load_error',
+      message: /Unknown KV cache type: q9/
+    });
+  });
+});
+
+describe('getMemoryBudget', () => {
+  it('never exceeds the wasm32 limit', () => {
+    const { wasmLimit, budget } = getMemoryBudget();
+    assert.equal(wasmLimit, 4 * GiB);
+    assert.ok(budget > 0 && budget <= wasmLimit);
+  });
+});
+
+describe('preflightModelMemory', () => {
+  const budget = (bytes, wasmLimit = 4 * GiB) => ({ budget: bytes, wasmLimit });
+
+  it('skips the estimate when off', async () => {
+    const config = { n_ctx: 2048, memoryPreflight: 'off' };
+    assert.deepEqual(preflightModelMemory([await readHeader()], config, budget(1)), { config, estimate: null, warning: null });
+  });
+
+  it('keeps a config that fits', async () => {
+    const config = { n_ctx: 2048 };
+    const result = preflightModelMemory([await readHeader()], config, budget(4 * GiB));
+    assert.equal(result.config, config);
+    assert.equal(result.warning, null);
+    assert.equal(result.estimate.n_ctx, 2048);
+  });
+
+  it('warns but keeps the config in warn mode', async () => {
+    const config = { n_ctx: 2048 };
+    const result = preflightModelMemory([await readHeader()], config, budget(100 * MiB));
+    assert.equal(result.config, config);
+    assert.match(result.warning, /may not fit in memory/);
+  });
+
+  it('refuses a model over the wasm32 limit even in warn mode', async () => {
+    const header = await readHeader();
+    assert.throws(() => preflightModelMemory([header], { n_ctx: 2048 }, budget(100 * MiB, 200 * MiB)), {
+      type: 'load_error'
+    });
+  });
+
+  it('refuses a model over the budget in refuse mode', async () => {
+    const header = await readHeader();
+    assert.throws(() => preflightModelMemory([header], { n_ctx: 2048, memoryPreflight: 'refuse' }, budget(100 * MiB)), {
+      type: 'load_error',
+      message: /Not enough memory to load the model/
+    });
+  });
+
+  it('halves n_ctx until the model fits in shrink mode', async () => {
+    const header = await readHeader();
+    const fitting = estimateModelMemory([header], { n_ctx: 2048 });
+    const result = preflightModelMemory([header], { n_ctx: 8192, memoryPreflight: 'shrink' }, budget(fitting.total));
+    assert.equal(result.config.n_ctx, 2048);
+    assert.equal(result.estimate.n_ctx, 2048);
+    assert.match(result.warning, /Loading with n_ctx = 2048/);
+  });
+
+  it('refuses in shrink mode when the smallest context does not fit', async () => {
+    const header = await readHeader();
+    assert.throws(() => preflightModelMemory([header], { n_ctx: 8192, memoryPreflight: 'shrink' }, budget(10 * MiB)), {
+      type: 'load_error'
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { formatConversationPrefix, rewarmPrefix, startsWithTokens, tokenizePrefix } from '../extension/js/prefix-rewarm.js';
+import { FakeWllama } from './helpers/fake-wllama.js';
+
+describe('tokenizePrefix', () => {
+  it('adds the BOS token like createCompletion', async () => {
+    assert.deepEqual(await tokenizePrefix(new FakeWllama(), 'ab'), [1, 97, 98]);
+  });
+
+  it('leaves it out for models without one', async () => {
+    assert.deepEqual(await tokenizePrefix(new FakeWllama({ addBosToken: false }), 'ab'), [97, 98]);
+  });
+});
+
+describe('formatConversationPrefix', () => {
+  it('ends where the next user message starts', async () => {
+    const messages = [
+      { role: 'system', content: 'sys' },
+      { role: 'user', content: 'hi' },
+      { role: 'assistant', content: 'hello' }
+    ];
+    assert.equal(
+      await formatConversationPrefix(new FakeWllama(), messages),
+      '<system>sys</system><user>hi</user><assistant>hello</assistant><user>'
+    );
+  });
+
+  it('formats the start of a new chat without messages', async () => {
+    assert.equal(await formatConversationPrefix(new FakeWllama(), []), '<user>');
+  });
+});
+
+describe('startsWithTokens', () => {
+  it('compares the start of a token list', () => {
+    assert.equal(startsWithTokens([1, 2, 3], [1, 2]), true);
+    assert.equal(startsWithTokens([1, 2, 3], []), true);
+    assert.equal(startsWithTokens([1, 3, 3], [1, 2]), false);
+    assert.equal(startsWithTokens([1], [1, 2]), false);
+  });
+});
+
+describe('rewarmPrefix', () => {
+  it('decodes the prefix into an empty cache', async () => {
+    const wllama = new FakeWllama();
+    const tokens = await tokenizePrefix(wllama, 'system');
+    assert.equal(await rewarmPrefix(wllama, tokens), tokens.length);
+    assert.deepEqual(wllama.cache, tokens);
+  });
+
+  it('keeps a conversation cached behind the prefix', async () => {
+    const wllama = new FakeWllama();
+    const tokens = await tokenizePrefix(wllama, 'system');
+    const conversation = await tokenizePrefix(wllama, 'system user assistant');
+    await wllama.decode(conversation);
+
+    assert.equal(await rewarmPrefix(wllama, tokens), 0);
+    assert.deepEqual(wllama.cache, conversation);
+    assert.equal(wllama.decoded.length, 1);
+  });
+
+  it('decodes only the part of the prefix the cache lost', async () => {
+    const wllama = new FakeWllama();
+    await wllama.decode(await tokenizePrefix(wllama, 'sys other'));
+    const tokens = await tokenizePrefix(wllama, 'system');
+
+    assert.equal(await rewarmPrefix(wllama, tokens), 3);
+    assert.deepEqual(wllama.decoded[1], [...'tem'].map(c => c.charCodeAt(0)));
+    assert.deepEqual(wllama.cache, tokens);
+  });
+
+  it('moves the cache from one conversation to another', async () => {
+    const wllama = new FakeWllama();
+    const first = await tokenizePrefix(wllama, '<system>sys</system><user>one');
+    const second = await tokenizePrefix(wllama, '<system>sys</system><user>two');
+    await rewarmPrefix(wllama, first);
+
+    assert.equal(await rewarmPrefix(wllama, second), 3);
+    assert.deepEqual(wllama.cache, second);
+  });
+
+  it('does nothing for an empty prefix', async () => {
+    const wllama = new FakeWllama();
+    await wllama.decode([1, 2]);
+    assert.equal(await rewarmPrefix(wllama, []), 0);
+    assert.deepEqual(wllama.cache, [1, 2]);
+  });
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createSessionFile, readSessionFile } from '../extension/js/session-store.js';
+import { createSession, getSessionFingerprint } from '../extension/js/wllama/session.js';
+
+const session = createSession([1, 2, 3], getSessionFingerprint(['0'.repeat(64)], 512));
+const conversation = {
+  id: 'c1',
+  title: 'Notes',
+  createdAt: 1,
+  updatedAt: 2,
+  model: 'qwen3.gguf',
+  settings: { nPredict: 64, thinking: false },
+  messages: [
+    { role: 'user', content: 'hi', createdAt: 10 },
+    { role: 'assistant', content: 'hello', createdAt: 11 }
+  ]
+};
+
+const file = data => new Blob([typeof data === 'string' ? data : JSON.stringify(data)]);
+
+describe('session files', () => {
+  it('round-trip a session and its conversation', async () => {
+    const read = await readSessionFile(createSessionFile(session, conversation));
+    assert.deepEqual(read.session, session);
+    assert.deepEqual(read.conversation, {
+      title: 'Notes',
+      model: 'qwen3.gguf',
+      settings: { nPredict: 64, thinking: false },
+      messages: conversation.messages
+    });
+  });
+
+  it('number messages without a timestamp', async () => {
+    const data = JSON.parse(await createSessionFile(session, conversation).text());
+    data.conversation.messages = [{ role: 'user', content: 'hi' }];
+    const read = await readSessionFile(file(data));
+    assert.deepEqual(read.conversation.messages, [{ role: 'user', content: 'hi', createdAt: 0 }]);
+  });
+
+  it('refuse other files', async () => {
+    await assert.rejects(readSessionFile(file('not json')), /Not a session file/);
+    await assert.rejects(readSessionFile(file({ session })), /Not a session file/);
+
+    const data = JSON.parse(await createSessionFile(session, conversation).text());
+    data.conversation.messages = [{ role: 'tool', content: 'x' }];
+    await assert.rejects(readSessionFile(file(data)), /bad conversation/);
+    data.session.tokens = 'x';
+    await assert.rejects(readSessionFile(file(data)), { type: 'session_error' });
+  });
+});
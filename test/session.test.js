@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  SESSION_FORMAT_VERSION,
+  checkSession,
+  createSession,
+  getSessionFingerprint,
+  hashModelFiles,
+  parseSession
+} from '../extension/js/wllama/session.js';
+
+const MODEL_SHA256 = 'a'.repeat(64);
+
+const fingerprint = getSessionFingerprint([MODEL_SHA256], 2048, { cache_type_k: 'q8_0' });
+
+describe('hashModelFiles', () => {
+  it('hashes the content of each file', async () => {
+    const digests = await hashModelFiles([new Blob(['abc']), new Blob([''])]);
+    assert.deepEqual(digests, [
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+      'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+    ]);
+  });
+
+  it('tells files of the same size apart', async () => {
+    const [a, b] = await hashModelFiles([new Blob(['abc']), new Blob(['abd'])]);
+    assert.notEqual(a, b);
+  });
+
+  it('uses recorded digests instead of reading the file', async () => {
+    const unreadable = { stream: () => assert.fail('file was read') };
+    const digests = await hashModelFiles([unreadable, new Blob([''])], [MODEL_SHA256]);
+    assert.equal(digests[0], MODEL_SHA256);
+    assert.equal(digests[1], 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  });
+});
+
+describe('getSessionFingerprint', () => {
+  it('records the model digests, n_ctx and the KV cache settings', () => {
+    assert.deepEqual(fingerprint.model, [MODEL_SHA256]);
+    assert.equal(fingerprint.n_ctx, 2048);
+    assert.equal(fingerprint.params.cache_type_k, 'q8_0');
+    assert.equal(fingerprint.params.cache_type_v, null);
+    assert.equal(fingerprint.params.n_threads, undefined);
+  });
+});
+
+describe('parseSession', () => {
+  it('accepts a session after a JSON round trip', () => {
+    const session = createSession([1, 2, 3], fingerprint);
+    assert.deepEqual(parseSession(JSON.parse(JSON.stringify(session))), session);
+  });
+
+  it('refuses other data', () => {
+    const session = createSession([1, 2, 3], fingerprint);
+    for (const value of [
+      null,
+      { tokens: [] },
+      { ...session, version: SESSION_FORMAT_VERSION + 1 },
+      { ...session, tokens: [1, 'a'] },
+      { ...session, fingerprint: { ...fingerprint, model: 'x' } },
+      { ...session, fingerprint: { ...fingerprint, model: ['x'] } }
+    ]) {
+      assert.throws(() => parseSession(value), { type: 'session_error' });
+    }
+  });
+});
+
+describe('checkSession', () => {
+  const session = createSession([1, 2, 3], fingerprint);
+
+  it('accepts a session of the loaded model', () => {
+    checkSession(session, fingerprint);
+  });
+
+  it('refuses another model', () => {
+    const other = getSessionFingerprint(['b'.repeat(64)], 2048, { cache_type_k: 'q8_0' });
+    assert.throws(() => checkSession(session, other), { type: 'session_error', message: /another model/ });
+  });
+
+  it('refuses another context size', () => {
+    const other = getSessionFingerprint([MODEL_SHA256], 4096, { cache_type_k: 'q8_0' });
+    assert.throws(() => checkSession(session, other), { message: /n_ctx = 2048.*n_ctx = 4096/ });
+  });
+
+  it('names changed KV cache settings', () => {
+    const other = getSessionFingerprint([MODEL_SHA256], 2048, { cache_type_k: 'f16', flash_attn: true });
+    assert.throws(() => checkSession(session, other), { message: /cache_type_k, flash_attn/ });
+  });
+
+  it('refuses more tokens than the context holds', () => {
+    const long = createSession(new Array(2049).fill(1), fingerprint);
+    assert.throws(() => checkSession(long, fingerprint), { type: 'session_error' });
+  });
+});
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+
+import { DEFAULT_SETTINGS, SETTINGS_STORAGE_KEY, loadSettings, validateSettings } from '../extension/js/settings.js';
+
+/**
+ * Installs a chrome.storage.local stub holding the given stored settings.
+ */
+function storeSettings(settings) {
+  const data = settings === undefined ? {} : { [SETTINGS_STORAGE_KEY]: settings };
+  globalThis.chrome = { storage: { local: { get: async () => data } } };
+}
+
+describe('validateSettings', () => {
+  it('accepts the defaults', () => {
+    assert.deepEqual(validateSettings({}), { settings: DEFAULT_SETTINGS, errors: {} });
+  });
+
+  it('rejects a batch larger than the context', () => {
+    const { errors } = validateSettings({ n_ctx: 1024, n_batch: 2048 });
+    assert.deepEqual(errors, { n_batch: 'Cannot exceed the context size' });
+  });
+
+  it('accepts a batch equal to the context', () => {
+    assert.deepEqual(validateSettings({ n_ctx: 1024, n_batch: 1024 }).errors, {});
+  });
+
+  it('requires nPredict to be smaller than the context', () => {
+    const { errors } = validateSettings({ n_ctx: 1024, nPredict: 1024 });
+    assert.deepEqual(errors, { nPredict: 'Must be smaller than the context size' });
+  });
+
+  it('skips the cross-field rules when the context size is invalid', () => {
+    const { errors } = validateSettings({ n_ctx: 100, n_batch: 4096, nPredict: 4096 });
+    assert.deepEqual(Object.keys(errors), ['n_ctx']);
+  });
+
+  it('requires flash attention for a quantized V cache', () => {
+    const { errors } = validateSettings({ cache_type_v: 'q8_0' });
+    assert.deepEqual(errors, { cache_type_v: 'A quantized V cache requires flash attention' });
+    assert.deepEqual(validateSettings({ cache_type_v: 'q8_0', flash_attn: true }).errors, {});
+  });
+
+  it('allows a quantized K cache without flash attention', () => {
+    assert.deepEqual(validateSettings({ cache_type_k: 'q4_0' }).errors, {});
+  });
+
+  it('converts numeric strings', () => {
+    const { settings, errors } = validateSettings({ n_ctx: '4096', temp: '0.2' });
+    assert.deepEqual(errors, {});
+    assert.equal(settings.n_ctx, 4096);
+    assert.equal(settings.temp, 0.2);
+  });
+});
+
+describe('loadSettings', () => {
+  afterEach(() => {
+    delete globalThis.chrome;
+  });
+
+  it('returns the defaults when nothing is stored', async () => {
+    storeSettings(undefined);
+    assert.deepEqual(await loadSettings(), DEFAULT_SETTINGS);
+  });
+
+  it('keeps valid stored values', async () => {
+    storeSettings({ n_ctx: 4096, temp: 0.2 });
+    assert.deepEqual(await loadSettings(), { ...DEFAULT_SETTINGS, n_ctx: 4096, temp: 0.2 });
+  });
+
+  it('falls back to the default for each invalid field only', async () => {
+    storeSettings({ n_ctx: 4096, top_k: -1, cache_type_k: 'q2_k', temp: 0.2 });
+    assert.deepEqual(await loadSettings(), { ...DEFAULT_SETTINGS, n_ctx: 4096, temp: 0.2 });
+  });
+
+  it('falls back for the field that breaks a cross-field rule', async () => {
+    storeSettings({ n_ctx: 1024, n_batch: 2048, cache_type_v: 'q8_0' });
+    assert.deepEqual(await loadSettings(), { ...DEFAULT_SETTINGS, n_ctx: 1024 });
+  });
+});
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { describe, it } from 'node:test';
+
+import { Sha256, hashBlob } from '../extension/js/wllama/sha256.js';
+
+const expected = data => createHash('sha256').update(data).digest('hex');
+
+function hashChunks(data, chunkSize) {
+  const hasher = new Sha256();
+  for (let i = 0; i < data.length; i += chunkSize) {
+    hasher.update(data.subarray(i, i + chunkSize));
+  }
+  return hasher.digest();
+}
+
+const DATA = new Uint8Array(Array.from({ length: 5000 }, (_, i) => (i * 7919) % 256));
+
+describe('Sha256', () => {
+  it('matches the FIPS 180-4 examples', () => {
+    assert.equal(new Sha256().digest(), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    const abc = new Sha256();
+    abc.update(new TextEncoder().encode('abc'));
+    assert.equal(abc.digest(), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  it('pads inputs around the block boundary', () => {
+    for (const length of [55, 56, 63, 64, 65, 119, 120, 128]) {
+      const data = DATA.subarray(0, length);
+      assert.equal(hashChunks(data, length), expected(data), `length ${length}`);
+    }
+  });
+
+  it('gives the same digest whatever the chunk size', () => {
+    for (const chunkSize of [1, 3, 63, 64, 65, 1000, DATA.length]) {
+      assert.equal(hashChunks(DATA, chunkSize), expected(DATA), `chunks of ${chunkSize}`);
+    }
+  });
+
+  it('accepts an ArrayBuffer', () => {
+    const hasher = new Sha256();
+    hasher.update(DATA.slice().buffer);
+    assert.equal(hasher.digest(), expected(DATA));
+  });
+
+  it('runs from its source text, as in the OPFS worker', () => {
+    const WorkerSha256 = new Function(`${Sha256}\nreturn Sha256;`)();
+    const hasher = new WorkerSha256();
+    hasher.update(DATA);
+    assert.equal(hasher.digest(), expected(DATA));
+  });
+});
+
+describe('hashBlob', () => {
+  it('hashes a blob and reports progress', async () => {
+    const hasher = new Sha256();
+    const progress = [];
+    await hashBlob(new Blob([DATA, DATA]), hasher, (loaded, total) => progress.push([loaded, total]));
+    assert.equal(hasher.digest(), expected(Buffer.concat([DATA, DATA])));
+    assert.deepEqual(progress.at(-1), [DATA.length * 2, DATA.length * 2]);
+  });
+});
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { ThinkStreamParser, splitThinking, withThinkingSwitch } from '../extension/js/think-parser.js';
+
+/**
+ * Streams chunks through a parser and collects everything it attributed.
+ */
+function stream(chunks) {
+  const parser = new ThinkStreamParser();
+  const deltas = chunks.map(chunk => parser.push(chunk));
+  deltas.push(parser.flush());
+  return {
+    deltas,
+    reasoning: deltas.map(d => d.reasoning).join(''),
+    content: deltas.map(d => d.content).join('')
+  };
+}
+
+describe('ThinkStreamParser', () => {
+  it('separates reasoning from the answer', () => {
+    const { reasoning, content } = stream(['<think>Let me see</think>\n\nHello']);
+    assert.equal(reasoning, 'Let me see');
+    assert.equal(content, 'Hello');
+  });
+
+  it('holds back a tag split across chunks', () => {
+    const { deltas } = stream(['<think>Let me', ' see</thi', 'nk>\n\nHello']);
+    assert.deepEqual(deltas.slice(0, 3), [
+      { reasoning: 'Let me', content: '' },
+      { reasoning: ' see', content: '' },
+      { reasoning: '', content: 'Hello' }
+    ]);
+  });
+
+  it('handles a tag arriving one character at a time', () => {
+    const { reasoning, content } = stream([...'<think>a</think>b']);
+    assert.equal(reasoning, 'a');
+    assert.equal(content, 'b');
+  });
+
+  it('treats output without tags as the answer', () => {
+    assert.equal(stream(['Hello', ' world']).content, 'Hello world');
+  });
+
+  it('releases a held-back partial tag on flush', () => {
+    const parser = new ThinkStreamParser();
+    assert.deepEqual(parser.push('x <thi'), { reasoning: '', content: 'x ' });
+    assert.deepEqual(parser.flush(), { reasoning: '', content: '<thi' });
+  });
+
+  it('keeps whitespace inside the answer', () => {
+    assert.equal(stream(['<think></think>\n\nA', '\n\nB']).content, 'A\n\nB');
+  });
+});
+
+describe('splitThinking', () => {
+  it('trims reasoning and answer', () => {
+    assert.deepEqual(splitThinking('<think>\nhmm\n</think>\n\nHi\n'), { reasoning: 'hmm', content: 'Hi' });
+  });
+
+  it('returns empty reasoning for an empty think block', () => {
+    assert.deepEqual(splitThinking('<think>\n\n</think>\n\nHi'), { reasoning: '', content: 'Hi' });
+  });
+
+  it('keeps reasoning from an unfinished think block', () => {
+    assert.deepEqual(splitThinking('<think>still going'), { reasoning: 'still going', content: '' });
+  });
+});
+
+describe('withThinkingSwitch', () => {
+  it('appends the soft switch for the mode', () => {
+    assert.equal(withThinkingSwitch('Hi', true), 'Hi /think');
+    assert.equal(withThinkingSwitch('Hi', false), 'Hi /no_think');
+  });
+});
@@ -0,0 +1,8 @@
+import assert from 'node:assert/strict';
+import { it } from 'node:test';
+
+import { findOutdatedCopies } from '../scripts/sync-wllama.mjs';
+
+it('keeps the demo copy of wllama in sync with the extension', async () => {
+  assert.deepEqual(await findOutdatedCopies(), [], 'run npm run wllama:sync');
+});